@@ -1,10 +1,44 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, updateDoc, deleteDoc, onSnapshot, collection, query, where, addDoc, serverTimestamp, getDoc } from 'firebase/firestore'; 
+import { getFirestore, doc, setDoc, getDoc } from 'firebase/firestore';
+import { createUserRepository, SERVER_TIMESTAMP, STORAGE_BACKEND } from './storage/taskRepository.js';
+import { generateId } from './storage/localRepository.js';
+import { chunkForBatches, packBatches } from './storage/batches.js';
+import { createSubtask, normalizeSubtasks, toggleSubtask, getSubtaskProgress, areAllSubtasksDone } from './tasks/subtasks.js';
+import { RECURRENCE_TYPES, WEEKDAY_NAMES, normalizeRecurrence, createDefaultRecurrence, getNextOccurrence, getOccurrencesBetween, describeRecurrence } from './tasks/recurrence.js';
+import { todayKey, toDateKey, parseDateKey, addDays, daysInMonth, startOfWeek } from './tasks/dates.js';
+import { summarizeAnalytics } from './tasks/analytics.js';
+import { collectWeekReview, describeWeekReview } from './tasks/weeklyReview.js';
+import { createAiProvider, generateTasks, generateDayPlan, generateWeeklyReview, AI_PROVIDERS, getProviderInfo } from './ai/providers.js';
+import { DEFAULT_AI_SETTINGS, normalizeAiSettings, loadApiKey, saveApiKey } from './ai/aiSettings.js';
+import { summarizeWorkload, describePlanningContext, correctDraftDates } from './tasks/planningContext.js';
+import { createDraft, updateDraft, removeDraft, moveDraft, replaceDraft, getAcceptedDrafts } from './tasks/aiDrafts.js';
+import { PRIORITY_LEVELS, getPriority, normalizePriority, normalizeDueTime, normalizeEstimate } from './tasks/priority.js';
+import { SORT_ORDERS, sortTasks } from './tasks/sorting.js';
+import { hasOrderKey, planTaskMove, appendOrderKeys } from './tasks/manualOrder.js';
+import { parseQuery, matchesQuery } from './tasks/searchQuery.js';
+import { parseQuickAdd } from './tasks/quickAdd.js';
+import { EMPTY_HISTORY, snapshotTasks, recordChange, undoStep, redoStep, applySnapshot } from './tasks/history.js';
+import { toggleSelected, selectRange } from './tasks/selection.js';
+import { fuzzySearch } from './commands/fuzzy.js';
+import { SHORTCUT_GROUPS, isEditableTarget, isShortcutEvent } from './commands/shortcuts.js';
+import { SESSION_TIMESTAMP_FIELDS, summarizeFocusByTask, countWorkSessionsOn } from './pomodoro/sessions.js';
+import { DEFAULT_TIMER_SETTINGS, normalizeTimerSettings, getDurationSeconds } from './pomodoro/timerSettings.js';
+import { getRemainingSeconds, getFocusedMs, startTimerState, pauseTimerState, resetTimerState, nextSessionState, isValidTimerState, loadLocalTimerState, saveLocalTimerState, claimSessionEnd } from './pomodoro/timerState.js';
+import { createTabCoordinator } from './pomodoro/tabCoordinator.js';
+import { DEFAULT_DAILY_SESSIONS, MAX_DAILY_SESSIONS, DAY_PLAN_STORAGE_KEY, selectPlanCandidates, describeDayPlanRequest, createDayPlan, getCurrentBlock, isDayPlanFinished, advanceDayPlan, loadDayPlan, saveDayPlan } from './pomodoro/dayPlan.js';
+import { serializeIcs } from './interchange/icsSerializer.js';
+import { parseIcs } from './interchange/icsParser.js';
+import { getTaskUid } from './interchange/icsMappings.js';
+import { serializeTodoTxt, parseTodoTxt } from './interchange/todoTxt.js';
+import { isMarkdownChecklist, parseMarkdownChecklist, serializeMarkdownChecklist } from './interchange/markdownChecklist.js';
+import { createBackup, validateBackup, findBackupConflicts, tasksToCsv } from './interchange/backup.js';
+import { primeAudio, playChime, isAudioReady, claimChime, notificationsSupported, requestNotificationPermission, showSessionNotification } from './pomodoro/alerts.js';
+import { PROJECT_COLORS, ALL_TASKS_FILTER, normalizeTags, collectTags, matchesFilter, describeFilter, projectNameFromPrompt, findProjectByName, nextProjectColor } from './tasks/projects.js';
 
 // --- Icon Imports (using lucide-react, assumed available) ---
-import { Clock, CheckCircle, Circle, Calendar, List, Play, Pause, RotateCcw, Zap, Music, BarChart, X, Link, Save } from 'lucide-react';
+import { Clock, CheckCircle, Circle, Calendar, List, Play, Pause, RotateCcw, Zap, Music, BarChart, X, Link, Save, ChevronDown, ChevronRight, ChevronUp, Plus, ListChecks, Repeat, Flag, Timer, ArrowUpDown, Folder, Hash, Trash2, Search, Bookmark, Target, Settings, Download, Upload, ListOrdered, SkipForward } from 'lucide-react';
 
 // =================================================================
 // 1. FIREBASE & AUTH SETUP (Mandatory Global Variables)
@@ -32,50 +66,40 @@ const appId = typeof __app_id !== 'undefined' ? __app_id : 'minimal-todo-app';
 const DEFAULT_YT_PLAYLIST = "https://www.youtube.com/embed/videoseries?list=PLQ_oFj9qU2sU99Uq-Wp6jC11l20NfX2P3";
 
 // =================================================================
-// 2. GEMINI API SETUP & HELPERS
+// 2. AI TASK GENERATION (providers live in ai/providers.js)
 // =================================================================
 
-// Placeholder API Key - Canvas runtime will provide the actual key
-const GEMINI_API_KEY = ""; // Using empty string as instructed
-const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent";
+const TASK_GENERATION_PROMPT = "You are an expert project manager and productivity assistant. Your task is to break down the user's high-level goal into 5 to 8 concrete, actionable, small, and distinct sub-tasks. For each task, provide a concise title (max 10 words), a scheduled date in YYYY-MM-DD format taken from the planning context at the top of the message (on or after today, never after the deadline, spread over the lighter days; or an empty string if a date is not applicable), and, when a task needs several steps, an ordered checklist of 2 to 5 short subtasks. Respond ONLY with JSON containing the list of tasks.";
+const TASK_REPLACEMENT_PROMPT = "You are an expert project manager and productivity assistant. The user is planning toward a goal and wants one task of their plan replaced with a better alternative. Suggest exactly one concrete, actionable task that fits the goal, differs from the task being replaced and does not repeat the other tasks. Provide a concise title (max 10 words), a scheduled date in YYYY-MM-DD format that respects the planning context at the top of the message (on or after today, never after the deadline, preferring lighter days; or an empty string), and, when the task needs several steps, an ordered checklist of 2 to 5 short subtasks. Respond ONLY with JSON containing a list with that single task.";
+const DAY_PLAN_PROMPT = "You are a productivity coach planning the user's day in Pomodoro work sessions. Using the pending tasks listed in the message (each with its id in square brackets, and any due date, estimate and priority), build an ordered sequence of work sessions for today. Use at most the number of work sessions available. Put overdue, due-today and high-priority tasks first, give a task several consecutive sessions when its estimate calls for it, and leave out tasks that do not fit. Each block is one work session and names the task id exactly as listed, with an optional short note on what to focus on. Respond ONLY with JSON containing the ordered list of blocks.";
+const WEEKLY_REVIEW_PROMPT = "You are a supportive productivity coach running the user's weekly retrospective. From the completed tasks, slipped tasks (each with its id in square brackets) and focus time in the message, write a short, honest summary of the week (two or three sentences), list the main wins, add a brief note for each slipped task on why it may have slipped or what would unblock it, and suggest carry-overs: slipped tasks still worth doing, each with a new date in YYYY-MM-DD format on or after today, spread so no single day is overloaded. Leave out slipped tasks that no longer look worth doing. Respond ONLY with JSON containing the summary, wins, slipped notes and carry-overs.";
 
 
-/**
- * Executes a fetch request with exponential backoff for handling rate limits.
- */
-const fetchWithBackoff = async (url, options, maxRetries = 5) => {
-    let delay = 1000;
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            const response = await fetch(url, options);
-            if (response.status === 429) {
-                if (i === maxRetries - 1) throw new Error("API rate limit exceeded after max retries.");
-                await new Promise(resolve => setTimeout(resolve, delay));
-                delay *= 2; // Exponential backoff
-                continue;
-            }
-            if (!response.ok) {
-                 const errorBody = await response.text();
-                 throw new Error(`API call failed with status ${response.status}: ${errorBody}`);
-            }
-            return response;
-        } catch (error) {
-            if (i === maxRetries - 1) throw error;
-            await new Promise(resolve => setTimeout(resolve, delay));
-            delay *= 2;
-        }
-    }
-};
-
 // =================================================================
 // 3. CORE UTILITY FUNCTIONS
 // =================================================================
 
-// Pomodoro Timer Constants
-const WORK_TIME = 25 * 60; // 25 minutes in seconds
-const SHORT_BREAK = 5 * 60; // 5 minutes in seconds
-const LONG_BREAK = 15 * 60; // 15 minutes in seconds
-const CYCLE_LENGTH = 4; // 4 work sessions before a long break
+// Pomodoro Timer Constants (durations and cycle length are user settings, see pomodoro/timerSettings.js)
+const ACTIVE_TASK_STORAGE_KEY = 'focus-hub:active-task';
+const TIMER_CHANNEL_NAME = 'focus-hub-timer';
+const TIMER_TICK_INTERVAL = 250; // ms; display is derived from the stored end time, so this only affects refresh rate
+const TIMER_TAKEOVER_GRACE = 3000; // ms a non-leader tab waits before ending a session itself
+const UNDO_TOAST_DURATION = 6000; // ms the undo toast stays visible
+const MAX_PALETTE_RESULTS = 12;
+
+// Sidebar views, in the order of their number-key shortcuts
+const VIEW_MODES = [
+  { id: 'tasks', name: 'To-Do List', icon: List },
+  { id: 'calendar', name: 'Schedules & Calendar', icon: Calendar },
+  { id: 'stats', name: 'Dashboard', icon: BarChart },
+];
+const DEFAULT_DOCUMENT_TITLE = typeof document !== 'undefined' ? document.title : '';
+
+const SESSION_LABELS = {
+  'work': 'Focus Time',
+  'short-break': 'Short Break',
+  'long-break': 'Long Break',
+};
 
 const formatTime = (seconds) => {
   const mins = String(Math.floor(seconds / 60)).padStart(2, '0');
@@ -83,6 +107,25 @@ const formatTime = (seconds) => {
   return `${mins}:${secs}`;
 };
 
+/**
+ * Formats a focus duration in seconds as e.g. "1h 05m" or "25m".
+ */
+const formatDuration = (seconds) => {
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const mins = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${String(mins).padStart(2, '0')}m` : `${mins}m`;
+};
+
+/**
+ * Formats an elapsed time in ms as e.g. "2d 4h", "3h 05m" or "12m".
+ */
+const formatLeadTime = (ms) => {
+  const hours = Math.floor(ms / 3600000);
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  return formatDuration(ms / 1000);
+};
+
 const formatDate = (date) => {
   if (!date) return '';
   try {
@@ -134,6 +177,87 @@ const getEmbedUrl = (url) => {
     return DEFAULT_YT_PLAYLIST;
 };
 
+/**
+ * Offers `content` to the user as a file download.
+ */
+const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoke on the next tick so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * New task document from a draft (AI, import or backup), with every field normalized.
+ * Tasks without their own project join `projectId`.
+ */
+const toNewTaskDoc = (task, projectId = null) => ({
+    title: task.title.trim(),
+    completed: Boolean(task.completed),
+    ...(task.completed ? { completedAt: typeof task.completedAt === 'number' ? task.completedAt : SERVER_TIMESTAMP } : {}),
+    // Use provided date or today's date if date is missing or invalid
+    scheduledDate: task.scheduledDate && task.scheduledDate.match(/^\d{4}-\d{2}-\d{2}$/) 
+                   ? task.scheduledDate 
+                   : '',
+    subtasks: normalizeSubtasks(task.subtasks),
+    recurrence: normalizeRecurrence(task.recurrence),
+    priority: normalizePriority(task.priority),
+    dueTime: normalizeDueTime(task.dueTime),
+    estimate: normalizeEstimate(task.estimate),
+    projectId: task.projectId || projectId,
+    tags: normalizeTags(task.tags),
+    // UID of an imported calendar item, so importing it again updates this task
+    ...(task.icsUid ? { icsUid: task.icsUid } : {}),
+    // Position in the Manual sort
+    ...(hasOrderKey(task) ? { order: task.order } : {}),
+    // Restored backups keep their original creation time
+    createdAt: typeof task.createdAt === 'number' ? task.createdAt : SERVER_TIMESTAMP,
+});
+
+/**
+ * Write operations that complete `task`, including the next occurrence of a recurring task
+ * (created only once per task), for repository.writeBatch.
+ */
+const getCompletionOps = (task) => {
+    const spawnNext = Boolean(task.recurrence) && !task.recurrenceSpawned;
+    const ops = [{
+        type: 'update',
+        id: task.id,
+        data: { completed: true, completedAt: SERVER_TIMESTAMP, ...(spawnNext ? { recurrenceSpawned: true } : {}) },
+    }];
+    if (!spawnNext) return ops;
+
+    const today = todayKey();
+    // Overdue tasks continue from today rather than from their stale date
+    const from = task.scheduledDate && task.scheduledDate > today ? task.scheduledDate : today;
+    const nextDate = getNextOccurrence(task.recurrence, from, today);
+    if (nextDate) {
+        ops.push({
+            type: 'put',
+            id: generateId(),
+            data: {
+                title: task.title,
+                completed: false,
+                scheduledDate: nextDate,
+                subtasks: normalizeSubtasks(task.subtasks).map(s => ({ ...s, completed: false })),
+                recurrence: task.recurrence,
+                priority: normalizePriority(task.priority),
+                dueTime: normalizeDueTime(task.dueTime),
+                estimate: normalizeEstimate(task.estimate),
+                projectId: task.projectId || null,
+                tags: normalizeTags(task.tags),
+                // The next occurrence keeps the manually arranged slot
+                ...(hasOrderKey(task) ? { order: task.order } : {}),
+                createdAt: SERVER_TIMESTAMP,
+            },
+        });
+    }
+    return ops;
+};
+
 
 // =================================================================
 // 4. SEPARATE COMPONENTS
@@ -142,54 +266,295 @@ const getEmbedUrl = (url) => {
 /**
  * TaskCard Component
  */
-const TaskCard = React.memo(({ task, toggleTaskCompleted, openEditModal, deleteTask }) => (
-    <div className={`p-4 mb-2 bg-white rounded-xl shadow-sm hover:shadow-md transition-shadow flex items-center justify-between border-l-4 ${task.completed ? 'border-green-300' : 'border-gray-300'}`}>
-      <div className="flex items-center space-x-3 flex-1 min-w-0">
-        <button
-          onClick={() => toggleTaskCompleted(task.id, task.completed)}
-          className={`p-1 rounded-full border transition-colors ${task.completed ? 'bg-green-100 border-green-400 text-green-700' : 'border-gray-300 text-gray-500 hover:bg-gray-50'}`}
-          aria-label={task.completed ? "Mark as incomplete" : "Mark as complete"}
-        >
-          {task.completed ? <CheckCircle size={18} fill="currentColor" className="text-green-500" /> : <Circle size={18} className="text-gray-400" />}
-        </button>
-        <div className="flex-1 min-w-0">
-          <p className={`text-gray-800 font-medium truncate ${task.completed ? 'line-through text-gray-500' : ''}`}>
-            {task.title}
-          </p>
-          {task.scheduledDate && (
-            <div className="flex items-center text-xs text-gray-400 mt-0.5">
-              <Calendar size={12} className="mr-1" />
-              <span>{task.scheduledDate}</span>
+const TaskCard = React.memo(({ task, project, focus, isActive, isSelected, isFocused, onSelect, setActiveTaskId, toggleTaskCompleted, openEditModal, deleteTask, updateSubtasks }) => {
+    const [isExpanded, setIsExpanded] = useState(false);
+    const cardRef = useRef(null);
+    // Set when ticking the last open subtask, to offer completing the parent task
+    const [offerComplete, setOfferComplete] = useState(false);
+
+    const subtasks = task.subtasks || [];
+    const progress = getSubtaskProgress(subtasks);
+
+    const handleToggleSubtask = (subtaskId) => {
+        const nextSubtasks = toggleSubtask(subtasks, subtaskId);
+        updateSubtasks(task.id, nextSubtasks);
+        setOfferComplete(!task.completed && areAllSubtasksDone(nextSubtasks));
+    };
+
+    // Keep the card highlighted with j/k in view
+    useEffect(() => {
+        if (isFocused) cardRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [isFocused]);
+
+    return (
+      <div ref={cardRef} className={`p-4 mb-2 bg-white rounded-xl shadow-sm hover:shadow-md transition-shadow border-l-4 ${task.completed ? 'border-green-300' : isActive ? 'border-red-400 ring-1 ring-red-100' : 'border-gray-300'} ${isSelected ? 'ring-2 ring-blue-300' : ''} ${isFocused ? 'outline outline-2 outline-offset-2 outline-gray-400' : ''}`}>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3 flex-1 min-w-0">
+            <input
+              type="checkbox"
+              checked={isSelected}
+              // Shift-click selects the range from the last clicked task
+              onChange={(e) => onSelect(task.id, e.nativeEvent.shiftKey)}
+              className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 flex-shrink-0"
+              aria-label={`Select ${task.title}`}
+            />
+            <button
+              onClick={() => toggleTaskCompleted(task.id, task.completed)}
+              className={`p-1 rounded-full border transition-colors ${task.completed ? 'bg-green-100 border-green-400 text-green-700' : 'border-gray-300 text-gray-500 hover:bg-gray-50'}`}
+              aria-label={task.completed ? "Mark as incomplete" : "Mark as complete"}
+            >
+              {task.completed ? <CheckCircle size={18} fill="currentColor" className="text-green-500" /> : <Circle size={18} className="text-gray-400" />}
+            </button>
+            <div className="flex-1 min-w-0">
+              <p className={`text-gray-800 font-medium truncate ${task.completed ? 'line-through text-gray-500' : ''}`}>
+                {task.title}
+              </p>
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-400 mt-0.5">
+                {project && (
+                  <span className="flex items-center text-gray-500">
+                    <span className="w-2 h-2 rounded-full mr-1" style={{ backgroundColor: project.color }}></span>
+                    {project.name}
+                  </span>
+                )}
+                {task.priority && task.priority !== 'none' && (
+                  <span className={`flex items-center px-1.5 rounded ${getPriority(task.priority).className}`}>
+                    <Flag size={10} className="mr-1" />
+                    {getPriority(task.priority).label}
+                  </span>
+                )}
+                {task.scheduledDate && (
+                  <span className="flex items-center">
+                    <Calendar size={12} className="mr-1" />
+                    {task.scheduledDate}{task.dueTime && ` ${task.dueTime}`}
+                  </span>
+                )}
+                {task.estimate > 0 && (
+                  <span className="flex items-center" title="Estimated pomodoros">
+                    <Timer size={12} className="mr-1" />
+                    {task.estimate}
+                  </span>
+                )}
+                {focus && (
+                  <span className="flex items-center text-red-400" title="Focus time logged">
+                    <Clock size={12} className="mr-1" />
+                    {formatDuration(focus.seconds)} · {focus.pomodoros} pomodoro{focus.pomodoros === 1 ? '' : 's'}
+                  </span>
+                )}
+                {(task.tags || []).map(tag => (
+                  <span key={tag} className="text-blue-500">#{tag}</span>
+                ))}
+                {task.recurrence && (
+                  <span className="flex items-center" title="Repeats">
+                    <Repeat size={12} className="mr-1" />
+                    {describeRecurrence(task.recurrence)}
+                  </span>
+                )}
+                {progress.total > 0 && (
+                  <button
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    className="flex items-center hover:text-gray-600"
+                    aria-expanded={isExpanded}
+                    aria-label="Toggle checklist"
+                  >
+                    {isExpanded ? <ChevronDown size={12} className="mr-0.5" /> : <ChevronRight size={12} className="mr-0.5" />}
+                    <ListChecks size={12} className="mr-1" />
+                    {progress.done}/{progress.total}
+                  </button>
+                )}
+              </div>
             </div>
-          )}
+          </div>
+          <div className="space-x-2 flex-shrink-0">
+            {!task.completed && (
+              <button
+                onClick={() => setActiveTaskId(isActive ? null : task.id)}
+                className={`p-2 rounded-lg transition-colors text-sm ${isActive ? 'text-red-500 bg-red-50' : 'text-gray-400 hover:text-red-500 hover:bg-red-50'}`}
+                title={isActive ? "Stop focusing on this task" : "Focus on this task"}
+                aria-pressed={isActive}
+              >
+                <Target size={16} />
+              </button>
+            )}
+            <button
+              onClick={() => openEditModal(task)}
+              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-50 rounded-lg transition-colors text-sm"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => deleteTask(task.id)}
+              className="p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors text-sm"
+            >
+              Delete
+            </button>
+          </div>
         </div>
+
+        {isExpanded && progress.total > 0 && (
+          <ul className="mt-3 ml-10 space-y-1">
+            {subtasks.map(subtask => (
+              <li key={subtask.id} className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={subtask.completed}
+                  onChange={() => handleToggleSubtask(subtask.id)}
+                  className="mr-2 rounded border-gray-300"
+                />
+                <span className={subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}>{subtask.title}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {offerComplete && !task.completed && (
+          <div className="mt-3 ml-10 flex items-center justify-between text-sm p-2 bg-green-50 border border-green-200 rounded-lg">
+            <span className="text-green-700">All subtasks done. Complete the task?</span>
+            <div className="space-x-2">
+              <button
+                onClick={() => { setOfferComplete(false); toggleTaskCompleted(task.id, task.completed); }}
+                className="px-2 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+              >
+                Complete
+              </button>
+              <button
+                onClick={() => setOfferComplete(false)}
+                className="px-2 py-1 text-gray-500 hover:text-gray-700"
+              >
+                Not yet
+              </button>
+            </div>
+          </div>
+        )}
       </div>
-      <div className="space-x-2 flex-shrink-0">
-        <button
-          onClick={() => openEditModal(task)}
-          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-50 rounded-lg transition-colors text-sm"
-        >
-          Edit
-        </button>
-        <button
-          onClick={() => deleteTask(task.id)}
-          className="p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors text-sm"
+    );
+});
+
+
+/**
+ * RecurrencePicker Component (rule editor used inside Modal)
+ */
+const RecurrencePicker = ({ recurrence, setRecurrence, anchorDate }) => {
+    const type = recurrence?.type || '';
+    const fieldClass = "px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+
+    // A weekly rule without days would stop repeating, so the last day can't be unticked
+    const isOnlyDay = (day) => recurrence.days.length === 1 && recurrence.days[0] === day;
+
+    const toggleDay = (day) => {
+        if (isOnlyDay(day)) return;
+        const days = recurrence.days.includes(day)
+            ? recurrence.days.filter(d => d !== day)
+            : [...recurrence.days, day];
+        setRecurrence({ ...recurrence, days });
+    };
+
+    return (
+      <div className="mb-4">
+        <label htmlFor="task-recurrence" className="block text-sm font-medium text-gray-700 mb-1">Repeat</label>
+        <select
+          id="task-recurrence"
+          value={type}
+          onChange={(e) => setRecurrence(e.target.value ? createDefaultRecurrence(e.target.value, anchorDate) : null)}
+          className="w-full px-4 py-2 border border-gray-200 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
         >
-          Delete
-        </button>
+          <option value="">Does not repeat</option>
+          {RECURRENCE_TYPES.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+
+        {type === 'weekly' && (
+          <div className="flex space-x-1 mt-2">
+            {WEEKDAY_NAMES.map((name, day) => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggleDay(day)}
+                disabled={isOnlyDay(day)}
+                aria-pressed={recurrence.days.includes(day)}
+                title={isOnlyDay(day) ? 'A weekly task repeats on at least one day' : undefined}
+                className={`flex-1 py-1 text-xs rounded-lg border transition-colors disabled:cursor-not-allowed ${recurrence.days.includes(day) ? 'bg-gray-900 text-white border-gray-900' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {type === 'monthly-date' && (
+          <div className="flex items-center space-x-2 mt-2 text-sm text-gray-600">
+            <span>On day</span>
+            <input
+              type="number" min="1" max="31"
+              value={recurrence.dayOfMonth}
+              onChange={(e) => setRecurrence({ ...recurrence, dayOfMonth: e.target.value })}
+              className={`w-20 ${fieldClass}`}
+            />
+            <span>of every month</span>
+          </div>
+        )}
+
+        {type === 'monthly-nth' && (
+          <div className="flex items-center space-x-2 mt-2 text-sm text-gray-600">
+            <span>On the</span>
+            <select value={recurrence.nth} onChange={(e) => setRecurrence({ ...recurrence, nth: Number(e.target.value) })} className={fieldClass}>
+              <option value={1}>first</option>
+              <option value={2}>second</option>
+              <option value={3}>third</option>
+              <option value={4}>fourth</option>
+              <option value={-1}>last</option>
+            </select>
+            <select value={recurrence.weekday} onChange={(e) => setRecurrence({ ...recurrence, weekday: Number(e.target.value) })} className={fieldClass}>
+              {WEEKDAY_NAMES.map((name, day) => <option key={name} value={day}>{name}</option>)}
+            </select>
+          </div>
+        )}
+
+        {type === 'after-completion' && (
+          <div className="flex items-center space-x-2 mt-2 text-sm text-gray-600">
+            <span>Every</span>
+            <input
+              type="number" min="1" max="365"
+              value={recurrence.interval}
+              onChange={(e) => setRecurrence({ ...recurrence, interval: e.target.value })}
+              className={`w-20 ${fieldClass}`}
+            />
+            <span>days after completion</span>
+          </div>
+        )}
       </div>
-    </div>
-));
+    );
+};
 
 
 /**
  * Modal Component
  */
-const Modal = React.memo(({ showModal, setShowModal, modalType, editingTask, newTaskTitle, setNewTaskTitle, newTaskDate, setNewTaskDate, handleModalSubmit }) => {
+const Modal = React.memo(({ showModal, setShowModal, modalType, editingTask, newTaskTitle, setNewTaskTitle, newTaskDate, setNewTaskDate, newTaskSubtasks, setNewTaskSubtasks, newTaskRecurrence, setNewTaskRecurrence, newTaskPriority, setNewTaskPriority, newTaskDueTime, setNewTaskDueTime, newTaskEstimate, setNewTaskEstimate, newTaskProjectId, setNewTaskProjectId, newTaskTags, setNewTaskTags, projects, handleModalSubmit }) => {
+    const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
+
     if (!showModal) return null;
 
     const modalTitle = modalType === 'add' ? 'Add New Task' : 'Edit Task';
 
+    // Checklist editing helpers (operate on the ordered subtasks array)
+    const addSubtask = () => {
+        if (!newSubtaskTitle.trim()) return;
+        setNewTaskSubtasks([...newTaskSubtasks, createSubtask(newSubtaskTitle)]);
+        setNewSubtaskTitle('');
+    };
+    const renameSubtask = (id, title) =>
+        setNewTaskSubtasks(newTaskSubtasks.map(s => s.id === id ? { ...s, title } : s));
+    const removeSubtask = (id) =>
+        setNewTaskSubtasks(newTaskSubtasks.filter(s => s.id !== id));
+    const moveSubtask = (index, delta) => {
+        const target = index + delta;
+        if (target < 0 || target >= newTaskSubtasks.length) return;
+        const reordered = newTaskSubtasks.slice();
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        setNewTaskSubtasks(reordered);
+    };
+
     return (
       <div className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900/60 backdrop-blur-md" onClick={() => setShowModal(false)}>
         <div className="bg-white rounded-2xl shadow-2xl p-6 w-full max-w-md m-4" onClick={e => e.stopPropagation()}>
@@ -212,7 +577,7 @@ const Modal = React.memo(({ showModal, setShowModal, modalType, editingTask, new
                 required
               />
             </div>
-            <div className="mb-6">
+            <div className="mb-4">
               <label htmlFor="task-date" className="block text-sm font-medium text-gray-700 mb-1">Schedule Date (Optional)</label>
               <input
                 id="task-date"
@@ -222,6 +587,114 @@ const Modal = React.memo(({ showModal, setShowModal, modalType, editingTask, new
                 className="w-full px-4 py-2 border border-gray-200 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
               />
             </div>
+            <div className="mb-4 grid grid-cols-3 gap-3">
+              <div>
+                <label htmlFor="task-priority" className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                <select
+                  id="task-priority"
+                  value={newTaskPriority}
+                  onChange={(e) => setNewTaskPriority(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                >
+                  {PRIORITY_LEVELS.map(level => (
+                    <option key={level.id} value={level.id}>{level.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="task-due-time" className="block text-sm font-medium text-gray-700 mb-1">Due Time</label>
+                <input
+                  id="task-due-time"
+                  type="time"
+                  value={newTaskDueTime}
+                  onChange={(e) => setNewTaskDueTime(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                />
+              </div>
+              <div>
+                <label htmlFor="task-estimate" className="block text-sm font-medium text-gray-700 mb-1">Pomodoros</label>
+                <input
+                  id="task-estimate"
+                  type="number"
+                  min="0"
+                  max="99"
+                  value={newTaskEstimate}
+                  onChange={(e) => setNewTaskEstimate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                />
+              </div>
+            </div>
+            <div className="mb-4 grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="task-project" className="block text-sm font-medium text-gray-700 mb-1">Project</label>
+                <select
+                  id="task-project"
+                  value={newTaskProjectId}
+                  onChange={(e) => setNewTaskProjectId(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                >
+                  <option value="">No project</option>
+                  {projects.map(project => (
+                    <option key={project.id} value={project.id}>{project.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="task-tags" className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                <input
+                  id="task-tags"
+                  type="text"
+                  value={newTaskTags}
+                  onChange={(e) => setNewTaskTags(e.target.value)}
+                  placeholder="e.g., work, errands"
+                  className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                />
+              </div>
+            </div>
+            <RecurrencePicker
+              recurrence={newTaskRecurrence}
+              setRecurrence={setNewTaskRecurrence}
+              anchorDate={newTaskDate}
+            />
+            <div className="mb-6">
+              <label htmlFor="subtask-title" className="block text-sm font-medium text-gray-700 mb-1">Checklist (Optional)</label>
+              <ul className="space-y-1 mb-2">
+                {newTaskSubtasks.map((subtask, index) => (
+                  <li key={subtask.id} className="flex items-center space-x-1">
+                    <input
+                      type="text"
+                      value={subtask.title}
+                      onChange={(e) => renameSubtask(subtask.id, e.target.value)}
+                      className="flex-1 px-3 py-1 text-sm border border-gray-200 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                      aria-label={`Subtask ${index + 1}`}
+                    />
+                    <button type="button" onClick={() => moveSubtask(index, -1)} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Move up">
+                      <ChevronUp size={16} />
+                    </button>
+                    <button type="button" onClick={() => moveSubtask(index, 1)} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Move down">
+                      <ChevronDown size={16} />
+                    </button>
+                    <button type="button" onClick={() => removeSubtask(subtask.id)} className="p-1 text-red-400 hover:text-red-600" aria-label="Remove subtask">
+                      <X size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex space-x-2">
+                <input
+                  id="subtask-title"
+                  type="text"
+                  value={newSubtaskTitle}
+                  onChange={(e) => setNewSubtaskTitle(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addSubtask(); } }}
+                  placeholder="Add a subtask"
+                  className="flex-1 px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                />
+                <button type="button" onClick={addSubtask} className="p-1.5 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors" aria-label="Add subtask">
+                  <Plus size={18} />
+                </button>
+              </div>
+            </div>
             <div className="flex justify-end space-x-3">
               <button
                 type="button"
@@ -245,17 +718,254 @@ const Modal = React.memo(({ showModal, setShowModal, modalType, editingTask, new
 
 
 /**
- * PomodoroTimer Component
+ * UndoToast Component
+ * Confirms the last task change and offers to undo it (or to redo what was just undone).
+ * A toast without an action only reports a problem (e.g. a change that could not be saved).
+ */
+const UndoToast = React.memo(({ toast, undoTaskChange, redoTaskChange, onClose }) => {
+    if (!toast) return null;
+
+    const isRedo = toast.action === 'redo';
+    return (
+      <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center px-4 py-3 bg-gray-900 text-white text-sm rounded-xl shadow-2xl" role="status">
+        <span className="mr-4">{toast.message}</span>
+        {toast.action && (
+          <button
+            onClick={isRedo ? redoTaskChange : undoTaskChange}
+            className="font-semibold text-blue-300 hover:text-blue-200 transition-colors"
+            title={isRedo ? 'Redo (Ctrl+Shift+Z)' : 'Undo (Ctrl+Z)'}
+          >
+            {isRedo ? 'Redo' : 'Undo'}
+          </button>
+        )}
+        <button onClick={onClose} className="ml-3 text-gray-400 hover:text-white transition-colors" aria-label="Dismiss">
+          <X size={16} />
+        </button>
+      </div>
+    );
+});
+
+
+/**
+ * CommandPalette Component (Ctrl+K)
+ * Fuzzy search over `items` ({ id, label, group, hint, shortcut, run }); tasks only show up once something is typed.
  */
-const PomodoroTimer = React.memo(({ sessionType, timeLeft, timerStatus, startTimer, pauseTimer, resetTimer, switchSession, sessionCount }) => {
-    const sessionLabel = useMemo(() => {
-        switch (sessionType) {
-          case 'work': return 'Focus Time';
-          case 'short-break': return 'Short Break';
-          case 'long-break': return 'Long Break';
-          default: return 'Ready';
+const CommandPalette = ({ items, onClose }) => {
+    const [query, setQuery] = useState('');
+    const [highlighted, setHighlighted] = useState(0);
+
+    const results = useMemo(
+      () => fuzzySearch(query.trim() ? items : items.filter(item => item.group !== 'Tasks'), query, item => item.label, MAX_PALETTE_RESULTS),
+      [items, query]
+    );
+
+    const runItem = (item) => {
+        onClose();
+        item.run();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const delta = e.key === 'ArrowDown' ? 1 : -1;
+            setHighlighted(index => (index + delta + results.length) % Math.max(results.length, 1));
+        } else if (e.key === 'Enter' && results[highlighted]) {
+            e.preventDefault();
+            runItem(results[highlighted]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
         }
-    }, [sessionType]);
+    };
+
+    return (
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-50 z-50 flex items-start justify-center pt-24 p-4" onClick={onClose}>
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg overflow-hidden" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Command palette">
+          <div className="relative border-b border-gray-100">
+            <Search size={16} className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setHighlighted(0);
+              }}
+              onKeyDown={handleKeyDown}
+              placeholder="Type a command or search tasks..."
+              className="w-full pl-10 pr-4 py-3 text-sm focus:outline-none"
+              aria-label="Command"
+              autoFocus
+            />
+          </div>
+          <ul className="max-h-80 overflow-y-auto py-1" role="listbox">
+            {results.map((item, index) => (
+              <li
+                key={item.id}
+                role="option"
+                aria-selected={index === highlighted}
+                onMouseEnter={() => setHighlighted(index)}
+                onClick={() => runItem(item)}
+                className={`flex items-center justify-between px-4 py-2 text-sm cursor-pointer ${index === highlighted ? 'bg-gray-100 text-gray-900' : 'text-gray-700'}`}
+              >
+                <span className="truncate">{item.label}</span>
+                <span className="flex items-center flex-shrink-0 ml-3 text-xs text-gray-400">
+                  {item.hint && <span className="mr-2">{item.hint}</span>}
+                  {item.shortcut && <kbd className="px-1.5 py-0.5 rounded border border-gray-200 bg-gray-50 font-mono">{item.shortcut}</kbd>}
+                  {!item.shortcut && item.group === 'Tasks' && <span>Task</span>}
+                </span>
+              </li>
+            ))}
+            {results.length === 0 && <li className="px-4 py-3 text-sm text-gray-400">No matching commands or tasks.</li>}
+          </ul>
+        </div>
+      </div>
+    );
+};
+
+
+/**
+ * ShortcutHelp Component (the `?` overlay listing every key binding)
+ */
+const ShortcutHelp = ({ onClose }) => (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-50 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Keyboard shortcuts">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Keyboard Shortcuts</h2>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 rounded-full transition-colors" aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+        <div className="space-y-5">
+          {SHORTCUT_GROUPS.map(group => (
+            <div key={group.title}>
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{group.title}</h3>
+              <ul className="space-y-1.5">
+                {group.shortcuts.map(shortcut => (
+                  <li key={shortcut.label} className="flex justify-between items-center text-sm text-gray-700">
+                    <span>{shortcut.label}</span>
+                    <span className="flex space-x-1">
+                      {shortcut.keys.map(key => (
+                        <kbd key={key} className="px-1.5 py-0.5 text-xs rounded border border-gray-200 bg-gray-50 font-mono">{key}</kbd>
+                      ))}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+);
+
+
+/**
+ * TimerSettingsPanel Component (form state is local until saved)
+ */
+const TimerSettingsPanel = ({ timerSettings, saveTimerSettings, onClose }) => {
+    const [form, setForm] = useState(timerSettings);
+
+    const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveTimerSettings(form);
+        onClose();
+    };
+
+    const numberFields = [
+        { field: 'workMinutes', label: 'Focus (min)' },
+        { field: 'shortBreakMinutes', label: 'Short break (min)' },
+        { field: 'longBreakMinutes', label: 'Long break (min)' },
+        { field: 'cycleLength', label: 'Sessions per cycle' },
+    ];
+
+    const autoStartFields = [
+        { field: 'autoStartBreaks', label: 'Auto-start breaks' },
+        { field: 'autoStartWork', label: 'Auto-start next focus session' },
+    ];
+
+    const alertFields = [
+        { field: 'soundOnWorkEnd', label: 'Chime when focus ends' },
+        { field: 'soundOnBreakEnd', label: 'Chime when a break ends' },
+        { field: 'notifyOnWorkEnd', label: 'Notify when focus ends' },
+        { field: 'notifyOnBreakEnd', label: 'Notify when a break ends' },
+    ];
+
+    const wantsNotifications = form.notifyOnWorkEnd || form.notifyOnBreakEnd;
+    const notificationsBlocked = wantsNotifications
+      && (!notificationsSupported() || Notification.permission === 'denied');
+
+    const renderCheckbox = ({ field, label }) => (
+      <label key={field} className="flex items-center text-xs text-gray-600">
+        <input
+          type="checkbox"
+          checked={form[field]}
+          onChange={(e) => setField(field, e.target.checked)}
+          className="mr-2 rounded border-gray-300"
+        />
+        {label}
+      </label>
+    );
+
+    return (
+      <form onSubmit={handleSubmit} className="mb-3 p-3 bg-white rounded-lg border border-gray-200 space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          {numberFields.map(({ field, label }) => (
+            <label key={field} className="text-xs font-medium text-gray-600">
+              {label}
+              <input
+                type="number"
+                min="1"
+                value={form[field]}
+                onChange={(e) => setField(field, e.target.value)}
+                className="mt-0.5 w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          ))}
+        </div>
+        {autoStartFields.map(renderCheckbox)}
+
+        {/* Session-end alerts */}
+        <p className="pt-1 text-xs font-semibold text-gray-700">Alerts</p>
+        {alertFields.map(renderCheckbox)}
+        {notificationsBlocked && (
+          <p className="text-xs text-red-500">Notifications are blocked or unsupported in this browser.</p>
+        )}
+        <label className="flex items-center text-xs text-gray-600">
+          <span className="w-14 flex-shrink-0">Volume</span>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={form.volume}
+            onChange={(e) => setField('volume', e.target.value)}
+            onMouseUp={() => playChime('work', Number(form.volume))}
+            className="w-full accent-gray-900"
+            aria-label="Chime volume"
+          />
+          <span className="w-8 text-right">{form.volume}</span>
+        </label>
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={() => setForm(DEFAULT_TIMER_SETTINGS)} className="px-2 py-1 text-xs text-gray-500 hover:text-gray-700">
+            Defaults
+          </button>
+          <button type="submit" className="px-2 py-1 text-xs bg-gray-900 text-white rounded-lg hover:bg-gray-700 transition-colors">
+            Save
+          </button>
+        </div>
+      </form>
+    );
+};
+
+
+/**
+ * PomodoroTimer Component
+ */
+const PomodoroTimer = React.memo(({ sessionType, timeLeft, timerStatus, startTimer, pauseTimer, resetTimer, switchSession, sessionCount, activeTaskId, setActiveTaskId, pendingTasks, timerSettings, saveTimerSettings }) => {
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+    const sessionLabel = SESSION_LABELS[sessionType] || 'Ready';
 
     const displayTime = formatTime(timeLeft);
     const baseColor = sessionType === 'work' ? 'border-red-500' : 'border-green-500';
@@ -264,14 +974,46 @@ const PomodoroTimer = React.memo(({ sessionType, timeLeft, timerStatus, startTim
 
     return (
       <div className={`p-4 rounded-xl shadow-inner ${bgColor} transition-all duration-500`}>
-        <h3 className="font-semibold text-lg text-gray-800 mb-1 flex items-center">
-          <Clock size={18} className="mr-2" /> Pomodoro
-        </h3>
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="font-semibold text-lg text-gray-800 flex items-center">
+            <Clock size={18} className="mr-2" /> Pomodoro
+          </h3>
+          <button
+            onClick={() => setIsSettingsOpen(!isSettingsOpen)}
+            className="p-1 rounded-full text-gray-400 hover:text-gray-600 hover:bg-white/60 transition-colors"
+            title="Timer Settings"
+          >
+            <Settings size={18} />
+          </button>
+        </div>
+        {isSettingsOpen && (
+          <TimerSettingsPanel
+            timerSettings={timerSettings}
+            saveTimerSettings={saveTimerSettings}
+            onClose={() => setIsSettingsOpen(false)}
+          />
+        )}
         <div className="flex justify-between items-center mb-3">
           <p className={`text-sm font-medium ${textColor} capitalize`}>{sessionLabel}</p>
           <p className="text-sm text-gray-500">Session: {sessionCount}</p>
         </div>
 
+        {/* Active Task */}
+        <div className="flex items-center">
+          <Target size={14} className="mr-2 text-gray-500 flex-shrink-0" />
+          <select
+            value={activeTaskId || ''}
+            onChange={(e) => setActiveTaskId(e.target.value || null)}
+            className="w-full px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white focus:ring-blue-500 focus:border-blue-500"
+            aria-label="Active task"
+          >
+            <option value="">No active task</option>
+            {pendingTasks.map(task => (
+              <option key={task.id} value={task.id}>{task.title}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Timer Display */}
         <div className={`relative w-full aspect-square max-w-[200px] mx-auto rounded-full ${baseColor} border-4 my-4`}>
           <div className="absolute inset-0 flex items-center justify-center">
@@ -307,7 +1049,7 @@ const PomodoroTimer = React.memo(({ sessionType, timeLeft, timerStatus, startTim
           </button>
         </div>
         <button
-            onClick={switchSession}
+            onClick={() => switchSession()}
             className="w-full mt-4 py-2 text-sm rounded-xl border border-gray-200 hover:bg-gray-50 transition-colors"
           >
             Skip to Next Session
@@ -317,6 +1059,125 @@ const PomodoroTimer = React.memo(({ sessionType, timeLeft, timerStatus, startTim
 });
 
 
+/**
+ * DayPlanPanel Component
+ * Proposes today's Pomodoro blocks and, once accepted, shows the queue the timer steps through.
+ */
+const DayPlanPanel = React.memo(({ tasks, dayPlan, proposedPlan, defaultCapacity, planMyDay, acceptDayPlan, discardProposedPlan, skipDayPlanBlock, clearDayPlan, isPlanningDay, dayPlanError }) => {
+    const [capacity, setCapacity] = useState(defaultCapacity);
+
+    const tasksById = useMemo(() => Object.fromEntries(tasks.map(task => [task.id, task])), [tasks]);
+    const currentBlock = getCurrentBlock(dayPlan);
+    const isFinished = isDayPlanFinished(dayPlan);
+
+    const renderBlock = (block, index, { isCurrent = false, isDone = false } = {}) => {
+      const task = tasksById[block.taskId];
+      return (
+        <li
+          key={block.blockId || index}
+          className={`flex items-start text-sm px-2 py-1 rounded-lg ${isCurrent ? 'bg-red-50 text-red-700 font-medium' : isDone ? 'text-gray-400' : 'text-gray-700'}`}
+        >
+          <span className="w-5 flex-shrink-0 text-xs text-gray-400 tabular-nums pt-0.5">{index + 1}.</span>
+          <span className="flex-grow min-w-0">
+            <span className={`block truncate ${isDone || task?.completed ? 'line-through' : ''}`}>{task ? task.title : 'Deleted task'}</span>
+            {block.note && <span className="block text-xs text-gray-500 truncate">{block.note}</span>}
+          </span>
+        </li>
+      );
+    };
+
+    return (
+      <div className="p-4 rounded-xl shadow-inner bg-white mt-6">
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="font-semibold text-lg text-gray-800 flex items-center">
+            <ListOrdered size={18} className="mr-2" /> Today's Plan
+          </h3>
+          {dayPlan && !proposedPlan && (
+            <button
+              onClick={clearDayPlan}
+              className="p-1 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-50 transition-colors"
+              title="Clear today's plan"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
+
+        {proposedPlan ? (
+          <>
+            <p className="text-xs text-gray-500 mb-2">Suggested plan: {proposedPlan.length} work session{proposedPlan.length === 1 ? '' : 's'}</p>
+            <ol className="space-y-1 mb-3">{proposedPlan.map((block, index) => renderBlock(block, index))}</ol>
+            <div className="flex space-x-2">
+              <button
+                onClick={acceptDayPlan}
+                className="flex-grow py-2 text-sm bg-gray-900 text-white rounded-xl hover:bg-gray-700 transition-colors"
+              >
+                Accept plan
+              </button>
+              <button
+                onClick={discardProposedPlan}
+                className="px-3 py-2 text-sm rounded-xl border border-gray-200 hover:bg-gray-50 transition-colors"
+              >
+                Discard
+              </button>
+            </div>
+          </>
+        ) : dayPlan ? (
+          <>
+            <div className="flex justify-between items-center mb-2">
+              <p className="text-xs text-gray-500">
+                {isFinished ? 'All blocks done for today.' : `Block ${dayPlan.index + 1} of ${dayPlan.blocks.length}`}
+              </p>
+              {!isFinished && (
+                <button
+                  onClick={skipDayPlanBlock}
+                  className="flex items-center text-xs text-gray-500 hover:text-gray-800 transition-colors"
+                  title="Move on to the next block"
+                >
+                  <SkipForward size={14} className="mr-1" /> Skip block
+                </button>
+              )}
+            </div>
+            <ol className="space-y-1">
+              {dayPlan.blocks.map((block, index) => renderBlock(block, index, {
+                isCurrent: block === currentBlock,
+                isDone: index < dayPlan.index,
+              }))}
+            </ol>
+          </>
+        ) : (
+          <p className="text-xs text-gray-500 mb-3">Let the AI order your pending tasks into today's work sessions.</p>
+        )}
+
+        {!proposedPlan && (!dayPlan || isFinished) && (
+          <div className="flex items-center space-x-2 mt-3">
+            <label className="flex items-center text-xs text-gray-600">
+              Sessions
+              <input
+                type="number"
+                min="1"
+                max={MAX_DAILY_SESSIONS}
+                value={capacity}
+                onChange={(e) => setCapacity(e.target.value)}
+                className="w-14 ml-2 px-2 py-1 text-sm border border-gray-200 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                aria-label="Work sessions available today"
+              />
+            </label>
+            <button
+              onClick={() => planMyDay(capacity)}
+              disabled={isPlanningDay}
+              className="flex-grow py-2 text-sm bg-gray-900 text-white rounded-xl hover:bg-gray-700 transition-colors disabled:opacity-50 flex items-center justify-center"
+            >
+              <Zap size={14} className="mr-1" /> {isPlanningDay ? 'Planning...' : 'Plan my day'}
+            </button>
+          </div>
+        )}
+        {dayPlanError && <p className="text-xs text-red-600 mt-2">{dayPlanError}</p>}
+      </div>
+    );
+});
+
+
 /**
  * MusicIntegration Component
  */
@@ -384,39 +1245,430 @@ const MusicIntegration = React.memo(({
 
 
 /**
- * TaskGeneratorForm Component (State is now managed LOCALLY)
+ * FilterBadge Component (shows the active project/tag filter in a view header)
  */
-const TaskGeneratorForm = React.memo(({ 
-    onSubmitPrompt, 
-    isGeneratingTasks, 
-    generationError 
-}) => {
-    // Input state is local to this component, guaranteeing stability against parent re-renders
-    const [taskPrompt, setTaskPrompt] = useState('');
-
-    const handleSubmit = (e) => {
+const FilterBadge = ({ label, clearFilter }) => {
+    if (!label) return null;
+    return (
+      <span className="inline-flex items-center ml-3 px-2 py-0.5 text-sm font-medium bg-blue-50 text-blue-700 rounded-lg align-middle">
+        {label}
+        <button onClick={clearFilter} className="ml-1 p-0.5 rounded hover:bg-blue-100" aria-label="Clear filter">
+          <X size={14} />
+        </button>
+      </span>
+    );
+};
+
+
+/**
+ * ProjectSidebar Component (projects and tags used as filters)
+ */
+const ProjectSidebar = React.memo(({ projects, tags, activeFilter, setActiveFilter, addProject, deleteProject }) => {
+    const [isAdding, setIsAdding] = useState(false);
+    const [projectName, setProjectName] = useState('');
+    const [projectColor, setProjectColor] = useState(PROJECT_COLORS[0]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!projectName.trim()) return;
+        addProject(projectName, projectColor);
+        setProjectName('');
+        setIsAdding(false);
+    };
+
+    const itemClass = (isActive) => `w-full flex items-center px-3 py-1.5 rounded-lg text-sm transition-colors ${
+        isActive ? 'bg-white shadow-sm text-gray-900' : 'text-gray-600 hover:bg-gray-200 hover:text-gray-800'
+    }`;
+
+    return (
+      <div className="mb-8">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400">Projects</h3>
+          <button
+            onClick={() => setIsAdding(!isAdding)}
+            className="p-1 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-200 transition-colors"
+            title="New Project"
+          >
+            <Plus size={16} />
+          </button>
+        </div>
+
+        {isAdding && (
+          <form onSubmit={handleSubmit} className="mb-2 p-2 bg-gray-50 rounded-lg border border-gray-200">
+            <input
+              type="text"
+              value={projectName}
+              onChange={(e) => setProjectName(e.target.value)}
+              placeholder="Project name"
+              className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              autoFocus
+            />
+            <div className="flex items-center justify-between mt-2">
+              <div className="flex space-x-1">
+                {PROJECT_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    onClick={() => setProjectColor(color)}
+                    className={`w-4 h-4 rounded-full ${projectColor === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+                    style={{ backgroundColor: color }}
+                    aria-label={`Color ${color}`}
+                  />
+                ))}
+              </div>
+              <button type="submit" className="p-1 bg-gray-900 text-white rounded-lg hover:bg-gray-700 transition-colors" title="Save Project">
+                <Save size={14} />
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="space-y-1">
+          <button onClick={() => setActiveFilter(ALL_TASKS_FILTER)} className={itemClass(activeFilter.type === 'all')}>
+            <Folder size={14} className="mr-2" /> All tasks
+          </button>
+          {projects.map(project => (
+            <div key={project.id} className="group flex items-center">
+              <button
+                onClick={() => setActiveFilter({ type: 'project', id: project.id })}
+                className={itemClass(activeFilter.type === 'project' && activeFilter.id === project.id)}
+              >
+                <span className="w-2.5 h-2.5 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: project.color }}></span>
+                <span className="truncate">{project.name}</span>
+              </button>
+              <button
+                onClick={() => deleteProject(project.id)}
+                className="p-1 ml-1 text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                title="Delete Project"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {tags.length > 0 && (
+          <>
+            <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mt-4 mb-2">Tags</h3>
+            <div className="flex flex-wrap gap-1">
+              {tags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={() => setActiveFilter({ type: 'tag', tag })}
+                  className={`flex items-center px-2 py-0.5 text-xs rounded-lg transition-colors ${
+                    activeFilter.type === 'tag' && activeFilter.tag === tag ? 'bg-blue-500 text-white' : 'bg-white text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  <Hash size={10} className="mr-0.5" />{tag}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    );
+});
+
+
+/**
+ * SmartListSidebar Component (saved searches)
+ */
+const SmartListSidebar = React.memo(({ savedSearches, activeQuery, runSavedSearch, deleteSavedSearch }) => {
+    if (savedSearches.length === 0) return null;
+
+    return (
+      <div className="mb-8">
+        <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">Smart Lists</h3>
+        <div className="space-y-1">
+          {savedSearches.map(search => (
+            <div key={search.id} className="group flex items-center">
+              <button
+                onClick={() => runSavedSearch(search.query)}
+                className={`w-full flex items-center px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                  activeQuery === search.query ? 'bg-white shadow-sm text-gray-900' : 'text-gray-600 hover:bg-gray-200 hover:text-gray-800'
+                }`}
+                title={search.query}
+              >
+                <Bookmark size={14} className="mr-2 flex-shrink-0" />
+                <span className="truncate">{search.name}</span>
+              </button>
+              <button
+                onClick={() => deleteSavedSearch(search.id)}
+                className="p-1 ml-1 text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                title="Delete Smart List"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+});
+
+
+const QUICK_ADD_CHIP_CLASSES = {
+  date: 'bg-blue-50 text-blue-700',
+  time: 'bg-blue-50 text-blue-700',
+  tag: 'bg-gray-100 text-gray-700',
+  priority: 'bg-red-50 text-red-700',
+  recurrence: 'bg-purple-50 text-purple-700',
+};
+
+/**
+ * QuickAddBar Component (syntax documented in tasks/quickAdd.js)
+ * Shows what was recognised as chips while typing; Enter saves the task.
+ */
+const QuickAddBar = React.memo(({ quickAddTask }) => {
+    const [text, setText] = useState('');
+    const parsed = useMemo(() => parseQuickAdd(text), [text]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!parsed.title) return;
+        quickAddTask(parsed);
+        setText('');
+    };
+
+    return (
+      <form onSubmit={handleSubmit} className="mb-4">
+        <div className="flex items-center space-x-2">
+          <div className="relative flex-1">
+            <Plus size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="Quick add, e.g. send invoice next friday 3pm #finance !high every month"
+              className="w-full pl-9 pr-4 py-2 border border-gray-200 rounded-xl bg-white focus:ring-blue-500 focus:border-blue-500 transition-colors"
+              aria-label="Quick add task"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!parsed.title}
+            className="px-4 py-2 text-sm bg-gray-900 text-white rounded-xl hover:bg-gray-700 transition-colors disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+        {parsed.parts.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1 mt-2 text-xs">
+            <span className="text-gray-500 mr-1 truncate max-w-xs">{parsed.title || 'Untitled'}</span>
+            {parsed.parts.map((part, index) => (
+              <span key={index} className={`px-2 py-0.5 rounded-full ${QUICK_ADD_CHIP_CLASSES[part.kind]}`} title={part.text}>
+                {part.label}
+              </span>
+            ))}
+          </div>
+        )}
+      </form>
+    );
+});
+
+
+/**
+ * SearchBar Component (query language documented in tasks/searchQuery.js)
+ */
+const SearchBar = React.memo(({ searchQuery, setSearchQuery, queryErrors, saveSearch }) => {
+    const [isSaving, setIsSaving] = useState(false);
+    const [searchName, setSearchName] = useState('');
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (!searchName.trim() || !searchQuery.trim()) return;
+        saveSearch(searchName, searchQuery);
+        setSearchName('');
+        setIsSaving(false);
+    };
+
+    return (
+      <div className="mb-4">
+        <div className="flex items-center space-x-2">
+          <div className="relative flex-1">
+            <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder='Search, e.g. report is:pending due:<2026-11-01 tag:work no:date'
+              className="w-full pl-9 pr-4 py-2 border border-gray-200 rounded-xl bg-white focus:ring-blue-500 focus:border-blue-500 transition-colors"
+              aria-label="Search tasks"
+            />
+          </div>
+          <button
+            onClick={() => setIsSaving(!isSaving)}
+            className="p-2 text-gray-500 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors disabled:opacity-50"
+            disabled={!searchQuery.trim()}
+            title="Save as Smart List"
+          >
+            <Bookmark size={18} />
+          </button>
+        </div>
+        {isSaving && searchQuery.trim() && (
+          <form onSubmit={handleSave} className="flex space-x-2 mt-2">
+            <input
+              type="text"
+              value={searchName}
+              onChange={(e) => setSearchName(e.target.value)}
+              placeholder="Smart list name"
+              className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              autoFocus
+            />
+            <button type="submit" className="p-1.5 bg-gray-900 text-white rounded-lg hover:bg-gray-700 transition-colors" title="Save Smart List">
+              <Save size={18} />
+            </button>
+          </form>
+        )}
+        {queryErrors.map(error => (
+          <p key={error} className="mt-1 text-xs text-amber-600">{error}</p>
+        ))}
+      </div>
+    );
+});
+
+
+/**
+ * AiSettingsPanel Component (provider, model and endpoint for the task generator)
+ */
+const AiSettingsPanel = ({ aiSettings, aiApiKey, saveAiSettings, onClose }) => {
+    const [form, setForm] = useState({ ...aiSettings, apiKey: aiApiKey });
+    const info = getProviderInfo(form.provider);
+
+    // Each provider keeps its own key; model and URL fall back to the provider's defaults
+    const changeProvider = (provider) => setForm({ provider, model: '', baseUrl: '', apiKey: loadApiKey(provider) });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const { apiKey, ...settings } = form;
+        saveAiSettings(settings, apiKey.trim());
+        onClose();
+    };
+
+    const inputClass = "mt-0.5 w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+
+    return (
+      <form onSubmit={handleSubmit} className="mb-3 p-3 bg-gray-50 rounded-lg border border-gray-200 grid grid-cols-1 md:grid-cols-2 gap-2">
+        <label className="text-xs font-medium text-gray-600">
+          Provider
+          <select value={form.provider} onChange={(e) => changeProvider(e.target.value)} className={`${inputClass} bg-white`}>
+            {AI_PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </select>
+        </label>
+        {info.id !== 'mock' && (
+          <>
+            <label className="text-xs font-medium text-gray-600">
+              Model
+              <input type="text" value={form.model} onChange={(e) => setForm({ ...form, model: e.target.value })} placeholder={info.defaultModel} className={inputClass} />
+            </label>
+            <label className="text-xs font-medium text-gray-600">
+              Base URL
+              <input type="url" value={form.baseUrl} onChange={(e) => setForm({ ...form, baseUrl: e.target.value })} placeholder={info.defaultBaseUrl} className={inputClass} />
+            </label>
+            <label className="text-xs font-medium text-gray-600">
+              API key {!info.needsApiKey && '(optional)'}
+              <input type="password" value={form.apiKey} onChange={(e) => setForm({ ...form, apiKey: e.target.value })} autoComplete="off" className={inputClass} />
+            </label>
+          </>
+        )}
+        <p className="text-xs text-gray-500 md:col-span-2">
+          {info.id === 'mock'
+            ? 'The offline mock returns predictable sample tasks without any network access.'
+            : 'API keys are stored only in this browser.'}
+        </p>
+        <div className="flex justify-end space-x-2 md:col-span-2">
+          <button type="button" onClick={onClose} className="px-2 py-1 text-xs text-gray-500 hover:text-gray-700">
+            Cancel
+          </button>
+          <button type="submit" className="px-2 py-1 text-xs bg-gray-900 text-white rounded-lg hover:bg-gray-700 transition-colors">
+            Save
+          </button>
+        </div>
+      </form>
+    );
+};
+
+/**
+ * TaskGeneratorForm Component (State is now managed LOCALLY)
+ */
+const TaskGeneratorForm = React.memo(({ 
+    onSubmitPrompt, 
+    onPasteChecklist,
+    isGeneratingTasks, 
+    generationError,
+    aiSettings,
+    aiApiKey,
+    saveAiSettings
+}) => {
+    // Input state is local to this component, guaranteeing stability against parent re-renders
+    const [taskPrompt, setTaskPrompt] = useState('');
+    const [deadline, setDeadline] = useState('');
+    const [pasteNotice, setPasteNotice] = useState('');
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+    // A pasted Markdown checklist becomes tasks right away; Gemini isn't needed for that
+    const handlePaste = async (e) => {
+        const text = e.clipboardData.getData('text/plain');
+        if (!isMarkdownChecklist(text)) return;
+        e.preventDefault();
+        const result = await onPasteChecklist(text);
+        setPasteNotice(result.error ? `Could not add the checklist: ${result.error}` : `Added ${result.added} task(s) from the pasted checklist.`);
+    };
+
+    const handleSubmit = (e) => {
         e.preventDefault(); 
         if (!taskPrompt.trim()) return;
-        onSubmitPrompt(taskPrompt); 
+        onSubmitPrompt(taskPrompt, { deadline }); 
         setTaskPrompt(''); // Clear local state after submission
     };
 
     return (
         <div className="mb-8 p-4 bg-white rounded-xl shadow-lg border border-gray-100">
-            <h2 className="text-xl font-semibold text-gray-800 mb-3 flex items-center">
-                <Zap size={20} className="mr-2 text-blue-500" /> AI Task Generator
-            </h2>
+            <div className="flex justify-between items-center mb-3">
+                <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                    <Zap size={20} className="mr-2 text-blue-500" /> AI Task Generator
+                </h2>
+                <button
+                    onClick={() => setIsSettingsOpen(!isSettingsOpen)}
+                    className="flex items-center p-1 text-sm text-gray-400 hover:text-gray-600 transition-colors"
+                    title="AI provider settings"
+                >
+                    {getProviderInfo(aiSettings.provider).label}
+                    <Settings size={16} className="ml-1" />
+                </button>
+            </div>
+            {isSettingsOpen && (
+                <AiSettingsPanel
+                    aiSettings={aiSettings}
+                    aiApiKey={aiApiKey}
+                    saveAiSettings={saveAiSettings}
+                    onClose={() => setIsSettingsOpen(false)}
+                />
+            )}
             <form onSubmit={handleSubmit} className="space-y-3">
                 <input
                     type="text"
                     value={taskPrompt}
                     // This onChange handler controls only local state
                     onChange={(e) => setTaskPrompt(e.target.value)} 
+                    onPaste={handlePaste}
                     placeholder="Enter a high-level goal (e.g., 'Plan a week-long trip to Japan' or 'Write a report on Q3 sales')"
                     className="w-full px-4 py-2 border border-gray-300 rounded-xl focus:ring-blue-500 focus:border-blue-500 transition-colors"
                     disabled={isGeneratingTasks}
                     required
                 />
+                <label className="flex items-center text-sm text-gray-600">
+                    <Calendar size={16} className="mr-2 text-gray-400" />
+                    Deadline (optional)
+                    <input
+                        type="date"
+                        value={deadline}
+                        min={formatDate(new Date())}
+                        onChange={(e) => setDeadline(e.target.value)}
+                        className="ml-2 px-2 py-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                        disabled={isGeneratingTasks}
+                    />
+                </label>
                 <button
                     type="submit"
                     className="w-full flex items-center justify-center px-4 py-2 bg-blue-500 text-white rounded-xl shadow-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:bg-blue-400"
@@ -433,6 +1685,9 @@ const TaskGeneratorForm = React.memo(({
                     {isGeneratingTasks ? 'Generating Tasks...' : 'Generate Actionable Tasks'}
                 </button>
             </form>
+            {pasteNotice && (
+                <p className="mt-3 text-gray-600 text-sm">{pasteNotice}</p>
+            )}
             {generationError && (
                 <p className="mt-3 text-red-600 text-sm p-2 bg-red-50 border border-red-200 rounded-lg">
                     Error: {generationError}
@@ -443,43 +1698,341 @@ const TaskGeneratorForm = React.memo(({
 });
 
 
+/**
+ * AiDraftPanel Component (review generated tasks before they are saved)
+ */
+const AiDraftPanel = React.memo(({ aiDrafts, changeAiDrafts, regenerateAiDraft, generateTasksFromPrompt, commitAiDrafts, discardAiDrafts, isGeneratingTasks }) => {
+    const [isSaving, setIsSaving] = useState(false);
+    const acceptedCount = getAcceptedDrafts(aiDrafts.drafts).length;
+    const isBusy = isSaving || isGeneratingTasks;
+
+    const handleCommit = async () => {
+      setIsSaving(true);
+      await commitAiDrafts();
+      setIsSaving(false);
+    };
+
+    return (
+      <div className="mb-8 p-4 bg-blue-50/60 rounded-xl border border-blue-100">
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="font-semibold text-gray-800">
+            Review generated tasks
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              for "{aiDrafts.prompt}"{aiDrafts.deadline && `, due ${aiDrafts.deadline}`}
+            </span>
+          </h3>
+          <button onClick={discardAiDrafts} className="p-1 text-gray-400 hover:text-gray-600" title="Discard all drafts">
+            <X size={18} />
+          </button>
+        </div>
+
+        {aiDrafts.drafts.length === 0 && (
+          <p className="text-sm text-gray-500 mb-3">All drafts were removed. Regenerate or discard.</p>
+        )}
+        <ul className="space-y-2">
+          {aiDrafts.drafts.map((draft, index) => (
+            <li key={draft.draftId} className={`p-2 bg-white rounded-lg border border-gray-200 ${draft.isRegenerating ? 'opacity-50' : ''}`}>
+              <div className="flex items-center space-x-2">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => changeAiDrafts(drafts => moveDraft(drafts, draft.draftId, -1))}
+                    disabled={index === 0}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ChevronUp size={14} />
+                  </button>
+                  <button
+                    onClick={() => changeAiDrafts(drafts => moveDraft(drafts, draft.draftId, 1))}
+                    disabled={index === aiDrafts.drafts.length - 1}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ChevronDown size={14} />
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={draft.title}
+                  onChange={(e) => changeAiDrafts(drafts => updateDraft(drafts, draft.draftId, { title: e.target.value }))}
+                  disabled={draft.isRegenerating}
+                  className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-200 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                  aria-label="Task title"
+                />
+                <input
+                  type="date"
+                  value={draft.scheduledDate}
+                  onChange={(e) => changeAiDrafts(drafts => updateDraft(drafts, draft.draftId, { scheduledDate: e.target.value, dateFlag: null }))}
+                  disabled={draft.isRegenerating}
+                  className="px-2 py-1 text-sm border border-gray-200 rounded-lg"
+                  aria-label="Scheduled date"
+                />
+                <button
+                  onClick={() => regenerateAiDraft(draft.draftId)}
+                  disabled={draft.isRegenerating || isBusy}
+                  className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-30"
+                  title="Regenerate this task"
+                >
+                  <RotateCcw size={16} className={draft.isRegenerating ? 'animate-spin' : ''} />
+                </button>
+                <button
+                  onClick={() => changeAiDrafts(drafts => removeDraft(drafts, draft.draftId))}
+                  className="p-1 text-gray-400 hover:text-red-500"
+                  title="Drop this task"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+              {draft.dateFlag && (
+                <p className="mt-1 ml-8 text-xs text-amber-600">
+                  Suggested date {draft.dateFlag.original} was {draft.dateFlag.reason === 'past' ? 'in the past' : 'after the deadline'}; moved to a lighter day.
+                </p>
+              )}
+              {draft.subtasks.length > 0 && (
+                <p className="mt-1 ml-8 text-xs text-gray-500 truncate">
+                  <ListChecks size={12} className="inline mr-1" />
+                  {draft.subtasks.map(s => s.title).join(' · ')}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end space-x-2 mt-4">
+          <button
+            onClick={() => generateTasksFromPrompt(aiDrafts.prompt, { deadline: aiDrafts.deadline })}
+            disabled={isBusy}
+            className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+          >
+            Regenerate all
+          </button>
+          <button
+            onClick={handleCommit}
+            disabled={isBusy || acceptedCount === 0}
+            className="flex items-center px-4 py-2 text-sm bg-blue-500 text-white rounded-xl shadow-md hover:bg-blue-600 disabled:opacity-50 transition-colors"
+          >
+            <Save size={16} className="mr-2" /> Save {acceptedCount} task{acceptedCount === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    );
+});
+
 // =================================================================
 // 5. EXTERNAL TODO LIST COMPONENT (Structural Fix)
 // =================================================================
 
+/**
+ * BulkActionBar Component (actions for the tasks selected in the TodoList)
+ */
+const BulkActionBar = ({ selectedCount, totalCount, selectAll, clearSelection, runBulkAction }) => {
+    const [rescheduleDate, setRescheduleDate] = useState(formatDate(new Date()));
+    const [tag, setTag] = useState('');
+
+    const buttonClass = "px-3 py-1.5 text-sm rounded-lg border border-gray-200 bg-white hover:bg-gray-50 transition-colors disabled:opacity-50";
+
+    const handleTag = (e) => {
+        e.preventDefault();
+        if (!normalizeTags(tag).length) return;
+        runBulkAction('tag', tag);
+        setTag('');
+    };
+
+    return (
+      <div className="sticky top-0 z-20 flex flex-wrap items-center gap-2 p-3 mb-4 bg-blue-50 border border-blue-100 rounded-xl shadow-sm text-sm">
+        <span className="font-medium text-blue-800 mr-1">{selectedCount} selected</span>
+        {selectedCount < totalCount && (
+          <button onClick={selectAll} className="text-blue-600 hover:text-blue-800 transition-colors">Select all {totalCount}</button>
+        )}
+        <button onClick={clearSelection} className="text-gray-500 hover:text-gray-700 transition-colors mr-auto">Clear</button>
+
+        <button onClick={() => runBulkAction('complete')} className={buttonClass}>
+          <CheckCircle size={14} className="inline mr-1 text-green-600" /> Complete
+        </button>
+        <div className="flex items-center space-x-1">
+          <input
+            type="date"
+            value={rescheduleDate}
+            onChange={(e) => setRescheduleDate(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white"
+            aria-label="New date for the selected tasks"
+          />
+          <button onClick={() => runBulkAction('reschedule', rescheduleDate)} disabled={!rescheduleDate} className={buttonClass}>
+            <Calendar size={14} className="inline mr-1" /> Reschedule
+          </button>
+        </div>
+        <form onSubmit={handleTag} className="flex items-center space-x-1">
+          <input
+            type="text"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="tag"
+            className="w-24 px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white"
+            aria-label="Tag to add to the selected tasks"
+          />
+          <button type="submit" disabled={!tag.trim()} className={buttonClass}>
+            <Hash size={14} className="inline mr-1" /> Tag
+          </button>
+        </form>
+        <button onClick={() => runBulkAction('delete')} className={`${buttonClass} text-red-600`}>
+          <Trash2 size={14} className="inline mr-1" /> Delete
+        </button>
+      </div>
+    );
+};
+
+
+// dataTransfer type for task cards dragged within the list (Manual sort)
+const TASK_ORDER_DRAG_TYPE = 'application/x-focus-hub-task-order';
+
 /**
  * TodoList Component (Moved outside App for rendering stability)
  */
 const TodoList = React.memo(({ 
     sortedTasks, 
-    stats, 
     openAddModal, 
+    quickAddTask,
     generateTasksFromPrompt, 
+    importChecklist,
+    aiSettings,
+    aiApiKey,
+    saveAiSettings,
+    aiDrafts,
+    changeAiDrafts,
+    regenerateAiDraft,
+    commitAiDrafts,
+    discardAiDrafts,
     isGeneratingTasks, 
     generationError,
     toggleTaskCompleted,
     openEditModal,
-    deleteTask
+    deleteTask,
+    updateSubtasks,
+    bulkUpdateTasks,
+    reorderTask,
+    shortcutsEnabled,
+    projectsById,
+    filterLabel,
+    clearFilter,
+    searchQuery,
+    setSearchQuery,
+    queryErrors,
+    saveSearch,
+    focusByTask,
+    activeTaskId,
+    setActiveTaskId
 }) => {
     
-    // Client-side sorting applied to the stable 'sortedTasks' prop
-    const pendingTasks = sortedTasks.filter(t => !t.completed).sort((a, b) => {
-        // Secondary sort: Pending tasks ordered by scheduledDate ascending (earliest first)
-        const dateA = a.scheduledDate || '9999-12-31'; // Put unscheduled tasks last
-        const dateB = b.scheduledDate || '9999-12-31';
-        if (dateA < dateB) return -1;
-        if (dateA > dateB) return 1;
-        return 0;
-    });
+    const [sortOrder, setSortOrder] = useState('date');
+
+    // Client-side sorting applied to the stable 'sortedTasks' prop (default: scheduledDate ascending)
+    const pendingTasks = useMemo(() => sortTasks(sortedTasks.filter(t => !t.completed), sortOrder), [sortedTasks, sortOrder]);
     
-    const completedTasks = sortedTasks.filter(t => t.completed);
+    const completedTasks = useMemo(() => sortedTasks.filter(t => t.completed), [sortedTasks]);
+
+    // Task highlighted with j/k, acted on by x (complete) and e (edit)
+    const [focusedTaskId, setFocusedTaskId] = useState(null);
+
+    useEffect(() => {
+        if (!shortcutsEnabled) return;
+        const orderedTasks = [...pendingTasks, ...completedTasks];
+
+        const handleKeyDown = (e) => {
+            if (!isShortcutEvent(e) || orderedTasks.length === 0) return;
+            const index = orderedTasks.findIndex(t => t.id === focusedTaskId);
+            const focusedTask = orderedTasks[index];
+
+            if (e.key === 'j' || e.key === 'k') {
+                e.preventDefault();
+                const nextIndex = index === -1 ? 0 : Math.min(Math.max(index + (e.key === 'j' ? 1 : -1), 0), orderedTasks.length - 1);
+                setFocusedTaskId(orderedTasks[nextIndex].id);
+            } else if (e.key === 'x' && focusedTask) {
+                e.preventDefault();
+                toggleTaskCompleted(focusedTask.id, focusedTask.completed);
+            } else if (e.key === 'e' && focusedTask) {
+                e.preventDefault();
+                openEditModal(focusedTask);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [shortcutsEnabled, pendingTasks, completedTasks, focusedTaskId, toggleTaskCompleted, openEditModal]);
+
+    // Multi-select: ids of checked tasks plus the last one clicked (the anchor for shift-click ranges)
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [selectionAnchor, setSelectionAnchor] = useState(null);
+    const visibleIds = [...pendingTasks, ...completedTasks].map(t => t.id);
+    // Tasks that disappeared (deleted, filtered out) drop out of the selection
+    const selectedVisibleIds = visibleIds.filter(id => selectedIds.has(id));
+
+    const selectTask = (taskId, isRange) => {
+        setSelectedIds(prev => isRange ? selectRange(prev, visibleIds, selectionAnchor, taskId) : toggleSelected(prev, taskId));
+        setSelectionAnchor(taskId);
+    };
+
+    const clearSelection = () => {
+        setSelectedIds(new Set());
+        setSelectionAnchor(null);
+    };
+
+    // The selection stays when the action fails, so it can be retried
+    const runBulkAction = async (action, value) => {
+        const result = await bulkUpdateTasks(selectedVisibleIds, action, value);
+        if (!result?.error) clearSelection();
+    };
+
+    // Manual sort: pending cards can be dragged; `dropSlot` is the gap (0..length) the card would land in
+    const isManualOrder = sortOrder === 'manual';
+    const [draggedTaskId, setDraggedTaskId] = useState(null);
+    const [dropSlot, setDropSlot] = useState(null);
+
+    const moveTask = (taskId, slot) => {
+        const from = pendingTasks.findIndex(t => t.id === taskId);
+        if (from === -1) return;
+        const to = slot > from ? slot - 1 : slot;
+        if (to !== from) reorderTask(taskId, planTaskMove(pendingTasks, taskId, to));
+    };
+
+    const dragHandlers = (task, index) => ({
+        draggable: true,
+        onDragStart: (e) => {
+            e.dataTransfer.setData(TASK_ORDER_DRAG_TYPE, task.id);
+            e.dataTransfer.effectAllowed = 'move';
+            setDraggedTaskId(task.id);
+        },
+        onDragEnd: () => {
+            setDraggedTaskId(null);
+            setDropSlot(null);
+        },
+        onDragOver: (e) => {
+            if (!e.dataTransfer.types.includes(TASK_ORDER_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            // Upper half of a card drops above it, lower half below
+            const rect = e.currentTarget.getBoundingClientRect();
+            const slot = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+            if (dropSlot !== slot) setDropSlot(slot);
+        },
+        onDrop: (e) => {
+            e.preventDefault();
+            const taskId = e.dataTransfer.getData(TASK_ORDER_DRAG_TYPE);
+            if (taskId && dropSlot !== null) moveTask(taskId, dropSlot);
+            setDraggedTaskId(null);
+            setDropSlot(null);
+        },
+    });
+
+    const dropIndicator = <div className="h-0.5 -my-2 bg-blue-400 rounded-full" aria-hidden="true" />;
 
     return (
       <div className="p-6">
         <div className="flex justify-between items-center mb-6">
-          <h1 className="text-2xl font-bold text-gray-800">Your Tasks ({stats.pending})</h1>
+          <h1 className="text-2xl font-bold text-gray-800">
+            Your Tasks ({pendingTasks.length})
+            <FilterBadge label={filterLabel} clearFilter={clearFilter} />
+          </h1>
           <button
-            onClick={openAddModal}
+            onClick={() => openAddModal()}
             className="flex items-center px-4 py-2 bg-gray-900 text-white rounded-xl shadow-lg hover:bg-gray-700 transition-colors"
           >
             <Zap size={20} className="mr-2" /> New Task
@@ -489,21 +2042,92 @@ const TodoList = React.memo(({
         {/* Render the isolated Task Generator Form */}
         <TaskGeneratorForm
             onSubmitPrompt={generateTasksFromPrompt}
+            onPasteChecklist={importChecklist}
             isGeneratingTasks={isGeneratingTasks}
             generationError={generationError}
+            aiSettings={aiSettings}
+            aiApiKey={aiApiKey}
+            saveAiSettings={saveAiSettings}
         />
 
+        {aiDrafts && (
+            <AiDraftPanel
+                aiDrafts={aiDrafts}
+                changeAiDrafts={changeAiDrafts}
+                regenerateAiDraft={regenerateAiDraft}
+                generateTasksFromPrompt={generateTasksFromPrompt}
+                commitAiDrafts={commitAiDrafts}
+                discardAiDrafts={discardAiDrafts}
+                isGeneratingTasks={isGeneratingTasks}
+            />
+        )}
+
+        <QuickAddBar quickAddTask={quickAddTask} />
+
+        <SearchBar
+            searchQuery={searchQuery}
+            setSearchQuery={setSearchQuery}
+            queryErrors={queryErrors}
+            saveSearch={saveSearch}
+        />
+
+        <div className="flex justify-end items-center mb-3 text-sm text-gray-500">
+          {isManualOrder && <span className="mr-auto text-xs text-gray-400">Drag tasks to arrange them</span>}
+          <ArrowUpDown size={14} className="mr-2" />
+          <label htmlFor="task-sort" className="mr-2">Sort by</label>
+          <select
+            id="task-sort"
+            value={sortOrder}
+            onChange={(e) => setSortOrder(e.target.value)}
+            className="px-2 py-1 border border-gray-200 rounded-lg bg-white focus:ring-blue-500 focus:border-blue-500"
+          >
+            {SORT_ORDERS.map(order => (
+              <option key={order.id} value={order.id}>{order.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {selectedVisibleIds.length > 0 && (
+          <BulkActionBar
+              selectedCount={selectedVisibleIds.length}
+              totalCount={visibleIds.length}
+              selectAll={() => setSelectedIds(new Set(visibleIds))}
+              clearSelection={clearSelection}
+              runBulkAction={runBulkAction}
+          />
+        )}
+
         <div className="space-y-4">
           {pendingTasks.length > 0 ? (
-            pendingTasks.map(task => 
+            pendingTasks.map((task, index) => {
+              const card = (
                 <TaskCard 
                     key={task.id} 
                     task={task} 
+                    project={projectsById[task.projectId]}
+                    focus={focusByTask[task.id]}
+                    isActive={task.id === activeTaskId}
+                    isSelected={selectedIds.has(task.id)}
+                    isFocused={task.id === focusedTaskId}
+                    onSelect={selectTask}
+                    setActiveTaskId={setActiveTaskId}
                     toggleTaskCompleted={toggleTaskCompleted}
                     openEditModal={openEditModal}
                     deleteTask={deleteTask}
+                    updateSubtasks={updateSubtasks}
                 />
-            )
+              );
+              if (!isManualOrder) return card;
+              return (
+                <React.Fragment key={task.id}>
+                  {dropSlot === index && dropIndicator}
+                  <div {...dragHandlers(task, index)} className={`cursor-grab active:cursor-grabbing ${draggedTaskId === task.id ? 'opacity-50' : ''}`}>
+                    {card}
+                  </div>
+                  {dropSlot === pendingTasks.length && index === pendingTasks.length - 1 && dropIndicator}
+                </React.Fragment>
+              );
+            })
           ) : (
             <p className="text-gray-500 p-4 border border-dashed border-gray-200 rounded-xl bg-white text-center">
               All clear! Time to relax or add a new task.
@@ -512,16 +2136,24 @@ const TodoList = React.memo(({
         </div>
 
         <h2 className="text-xl font-semibold text-gray-600 mt-10 mb-4 border-b pb-2">
-          Completed ({stats.completed})
+          Completed ({completedTasks.length})
         </h2>
         <div className="space-y-4 opacity-70">
           {completedTasks.map(task => 
               <TaskCard 
                 key={task.id} 
                 task={task} 
+                project={projectsById[task.projectId]}
+                focus={focusByTask[task.id]}
+                isActive={false}
+                isSelected={selectedIds.has(task.id)}
+                isFocused={task.id === focusedTaskId}
+                onSelect={selectTask}
+                setActiveTaskId={setActiveTaskId}
                 toggleTaskCompleted={toggleTaskCompleted}
                 openEditModal={openEditModal}
                 deleteTask={deleteTask}
+                updateSubtasks={updateSubtasks}
               />
           )}
         </div>
@@ -534,137 +2166,680 @@ const TodoList = React.memo(({
 // 6. CALENDAR AND STATS COMPONENTS (No structural change needed)
 // =================================================================
 
-const CalendarView = React.memo(({ tasks }) => {
-    const today = new Date();
-    const [currentDate, setCurrentDate] = useState(today);
-    
-    // Calculate calendar boundaries based on currentDate
-    const firstDayOfMonth = useMemo(() => new Date(currentDate.getFullYear(), currentDate.getMonth(), 1), [currentDate]);
-    const lastDayOfMonth = useMemo(() => new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0), [currentDate]);
-    const daysInMonth = useMemo(() => lastDayOfMonth.getDate(), [lastDayOfMonth]);
-    const startDayOfWeek = useMemo(() => firstDayOfMonth.getDay(), [firstDayOfMonth]); // 0 for Sunday
+const CALENDAR_VIEWS = [
+  { id: 'month', label: 'Month' },
+  { id: 'week', label: 'Week' },
+  { id: 'day', label: 'Day' },
+];
+
+// dataTransfer type for dragged task chips (ids only; the task is looked up on drop)
+const TASK_DRAG_TYPE = 'application/x-focus-hub-task';
+const UNSCHEDULED_DROP_TARGET = 'unscheduled';
+
+/**
+ * CalendarTaskChip Component (draggable unless it's a projected recurrence)
+ */
+const CalendarTaskChip = React.memo(({ task, detailed, openEditModal }) => {
+    const handleDragStart = (e) => {
+      e.dataTransfer.setData(TASK_DRAG_TYPE, task.id);
+      e.dataTransfer.effectAllowed = 'move';
+    };
+
+    const colorClass = task.isProjected
+      ? 'border border-dashed border-red-200 text-red-400'
+      : task.completed ? 'bg-green-100 text-green-700 line-through' : 'bg-red-100 text-red-700';
+
+    return (
+      <div
+        title={task.title}
+        draggable={!task.isProjected}
+        onDragStart={task.isProjected ? undefined : handleDragStart}
+        onClick={(e) => {
+          // Don't let the cell treat this as a click on empty space
+          e.stopPropagation();
+          if (!task.isProjected) openEditModal(task);
+        }}
+        className={`text-xs p-1 rounded-md truncate ${colorClass} ${task.isProjected ? 'cursor-default' : 'cursor-grab active:cursor-grabbing'}`}
+      >
+        {task.isProjected && <Repeat size={10} className="inline mr-1" />}
+        {detailed && task.dueTime && <span className="font-semibold mr-1">{task.dueTime}</span>}
+        {task.title}
+      </div>
+    );
+});
+
+/**
+ * CalendarView Component (month, week and day views; drag chips between days to reschedule)
+ */
+const CalendarView = React.memo(({ tasks, filterLabel, clearFilter, rescheduleTask, openAddModal, openEditModal, exportCalendar, importCalendar }) => {
+    const [currentDate, setCurrentDate] = useState(() => new Date());
+    const [calendarView, setCalendarView] = useState('month');
+    const [dropTarget, setDropTarget] = useState(null); // date key or UNSCHEDULED_DROP_TARGET
+    const [exportComponent, setExportComponent] = useState('VTODO');
+    const [importSummary, setImportSummary] = useState(null);
+
+    const handleImportFile = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Allow picking the same file again
+      if (!file) return;
+      setImportSummary(await importCalendar(await file.text()));
+    };
+
+    const today = todayKey();
+
+    // Days shown by the current view
+    const visibleDays = useMemo(() => {
+      if (calendarView === 'day') return [new Date(currentDate)];
+      if (calendarView === 'week') {
+        const weekStart = startOfWeek(currentDate);
+        return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+      }
+      const monthStart = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+      return Array.from({ length: daysInMonth(currentDate.getFullYear(), currentDate.getMonth()) }, (_, i) => addDays(monthStart, i));
+    }, [currentDate, calendarView]);
+
+    const rangeStart = toDateKey(visibleDays[0]);
+    const rangeEnd = toDateKey(visibleDays[visibleDays.length - 1]);
 
     // Create a map of tasks keyed by their scheduled date (YYYY-MM-DD)
     const dateMap = useMemo(() => {
-      return tasks.reduce((map, task) => {
+      const map = tasks.reduce((map, task) => {
         if (task.scheduledDate) {
           map[task.scheduledDate] = [...(map[task.scheduledDate] || []), task];
         }
         return map;
       }, {});
-    }, [tasks]);
 
-    const getDayTasks = useCallback((day) => {
-        // The formatDate helper now ensures the string matches the local date of the cell
-        const dayDate = formatDate(new Date(currentDate.getFullYear(), currentDate.getMonth(), day));
-        return dateMap[dayDate] || [];
-      }, [currentDate, dateMap]);
+      // Project future occurrences of pending recurring tasks that don't exist yet
+      tasks.filter(task => task.recurrence && !task.completed && task.scheduledDate).forEach(task => {
+        getOccurrencesBetween(task.recurrence, task.scheduledDate, rangeStart, rangeEnd).forEach(date => {
+          map[date] = [...(map[date] || []), { ...task, id: `${task.id}@${date}`, scheduledDate: date, isProjected: true }];
+        });
+      });
+
+      // Timed tasks first, in time order
+      Object.values(map).forEach(list => list.sort((a, b) => (a.dueTime || '99:99').localeCompare(b.dueTime || '99:99')));
+      return map;
+    }, [tasks, rangeStart, rangeEnd]);
+
+    const unscheduledTasks = useMemo(() => tasks.filter(t => !t.scheduledDate && !t.completed), [tasks]);
 
-    const changeMonth = useCallback((delta) => {
+    const changePeriod = useCallback((delta) => {
       setCurrentDate(prev => {
-        const newDate = new Date(prev);
-        newDate.setMonth(prev.getMonth() + delta);
-        return newDate;
+        if (calendarView === 'day') return addDays(prev, delta);
+        if (calendarView === 'week') return addDays(prev, delta * 7);
+        // Pin to the 1st so e.g. Jan 31 + 1 month doesn't skip February
+        return new Date(prev.getFullYear(), prev.getMonth() + delta, 1);
       });
-    }, []);
-
-    const calendarCells = useMemo(() => {
-        const cells = [];
-        // Fill leading empty cells
-        for (let i = 0; i < startDayOfWeek; i++) {
-          cells.push(<div key={`empty-${i}`} className="p-2 border-r border-b border-gray-100 bg-gray-50/50"></div>);
+    }, [calendarView]);
+
+    const title = useMemo(() => {
+      switch (calendarView) {
+        case 'day':
+          return currentDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        case 'week': {
+          const format = { month: 'short', day: 'numeric' };
+          return `${visibleDays[0].toLocaleDateString('en-US', format)} – ${visibleDays[6].toLocaleDateString('en-US', { ...format, year: 'numeric' })}`;
         }
+        default:
+          return currentDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+      }
+    }, [calendarView, currentDate, visibleDays]);
+
+    // --- Drag and drop ---
+    const dropHandlers = (target) => ({
+      onDragOver: (e) => {
+        if (!e.dataTransfer.types.includes(TASK_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (dropTarget !== target) setDropTarget(target);
+      },
+      onDragLeave: (e) => {
+        // Ignore leaving into one of the cell's own children
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const taskId = e.dataTransfer.getData(TASK_DRAG_TYPE);
+        if (taskId) rescheduleTask(taskId, target === UNSCHEDULED_DROP_TARGET ? '' : target);
+      },
+    });
 
-        // Fill day cells
-        for (let day = 1; day <= daysInMonth; day++) {
-          const tasksOnDay = getDayTasks(day);
-          // Check for today only against local date components
-          const isToday = day === today.getDate() && currentDate.getMonth() === today.getMonth() && currentDate.getFullYear() === today.getFullYear();
-          
-          cells.push(
-            <div
-              key={day}
-              className={`p-2 h-28 border-r border-b border-gray-100 transition-shadow overflow-y-auto cursor-default ${isToday ? 'bg-blue-50/50' : 'bg-white hover:shadow-inner'}`}
+    const renderDayCell = (date, { heightClass, detailed, showWeekday }) => {
+      const dateKey = toDateKey(date);
+      const isToday = dateKey === today;
+      const isDropTarget = dropTarget === dateKey;
+
+      return (
+        <div
+          key={dateKey}
+          onClick={() => openAddModal(dateKey)}
+          title="Click to add a task on this day"
+          {...dropHandlers(dateKey)}
+          className={`p-2 ${heightClass} border-r border-b border-gray-100 transition-shadow overflow-y-auto cursor-pointer ${isDropTarget ? 'bg-blue-100/70 ring-2 ring-inset ring-blue-300' : isToday ? 'bg-blue-50/50' : 'bg-white hover:shadow-inner'}`}
+        >
+          <div className={`font-semibold text-sm mb-1 ${isToday ? 'text-blue-600' : 'text-gray-800'}`}>
+            {showWeekday && <span className="mr-1 font-normal text-gray-500">{WEEKDAY_NAMES[date.getDay()]}</span>}
+            {date.getDate()}
+          </div>
+          <div className="space-y-1">
+            {(dateMap[dateKey] || []).map(task => (
+              <CalendarTaskChip key={task.id} task={task} detailed={detailed} openEditModal={openEditModal} />
+            ))}
+          </div>
+        </div>
+      );
+    };
+
+    const renderGrid = () => {
+      if (calendarView === 'day') {
+        return (
+          <div className="grid grid-cols-1 border-l border-t border-gray-100 rounded-xl overflow-hidden shadow-lg bg-white">
+            {renderDayCell(visibleDays[0], { heightClass: 'min-h-[24rem]', detailed: true, showWeekday: true })}
+          </div>
+        );
+      }
+
+      // Month view pads the first week with empty cells
+      const leadingCells = calendarView === 'month' ? visibleDays[0].getDay() : 0;
+      return (
+        <>
+          <div className="grid grid-cols-7 text-center font-medium text-gray-500 bg-gray-50 rounded-t-xl overflow-hidden">
+            {WEEKDAY_NAMES.map(day => (
+              <div key={day} className="p-2 border-r last:border-r-0 border-gray-100">{day}</div>
+            ))}
+          </div>
+          <div className="grid grid-cols-7 border-l border-t border-gray-100 rounded-b-xl overflow-hidden shadow-lg bg-white">
+            {Array.from({ length: leadingCells }, (_, i) => (
+              <div key={`empty-${i}`} className="p-2 border-r border-b border-gray-100 bg-gray-50/50"></div>
+            ))}
+            {visibleDays.map(date => renderDayCell(date, calendarView === 'week'
+              ? { heightClass: 'h-96', detailed: true }
+              : { heightClass: 'h-28', detailed: false }))}
+          </div>
+        </>
+      );
+    };
+
+    return (
+      <div className="p-6">
+        <div className="flex justify-between items-center mb-4">
+          <button onClick={() => changePeriod(-1)} className="p-2 text-gray-600 hover:text-gray-900">&lt; Prev</button>
+          <h1 className="text-2xl font-bold text-gray-800">
+            {title}
+            <FilterBadge label={filterLabel} clearFilter={clearFilter} />
+          </h1>
+          <button onClick={() => changePeriod(1)} className="p-2 text-gray-600 hover:text-gray-900">Next &gt;</button>
+        </div>
+
+        <div className="flex justify-center items-center space-x-2 mb-6">
+          {CALENDAR_VIEWS.map(view => (
+            <button
+              key={view.id}
+              onClick={() => setCalendarView(view.id)}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors ${calendarView === view.id ? 'bg-gray-900 text-white' : 'bg-white text-gray-600 border border-gray-200 hover:bg-gray-100'}`}
             >
-              <div className={`font-semibold text-sm mb-1 ${isToday ? 'text-blue-600' : 'text-gray-800'}`}>
-                {day}
-              </div>
-              <div className="space-y-1">
-                {tasksOnDay.map(task => (
-                  <div
-                    key={task.id}
-                    title={task.title}
-                    className={`text-xs p-1 rounded-md truncate ${task.completed ? 'bg-green-100 text-green-700 line-through' : 'bg-red-100 text-red-700'}`}
-                  >
-                    {task.title}
-                  </div>
-                ))}
-              </div>
+              {view.label}
+            </button>
+          ))}
+          <button
+            onClick={() => setCurrentDate(new Date())}
+            className="px-3 py-1 text-sm rounded-lg bg-white text-gray-600 border border-gray-200 hover:bg-gray-100 transition-colors"
+          >
+            Today
+          </button>
+
+          {/* .ics export / import */}
+          <span className="w-px h-6 bg-gray-200"></span>
+          <select
+            value={exportComponent}
+            onChange={(e) => setExportComponent(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white"
+            aria-label="Export format"
+          >
+            <option value="VTODO">As to-dos</option>
+            <option value="VEVENT">As events</option>
+          </select>
+          <button
+            onClick={() => exportCalendar(exportComponent)}
+            className="flex items-center px-3 py-1 text-sm rounded-lg bg-white text-gray-600 border border-gray-200 hover:bg-gray-100 transition-colors"
+            title="Download scheduled tasks as an .ics file"
+          >
+            <Download size={14} className="mr-1" /> Export .ics
+          </button>
+          <label className="flex items-center px-3 py-1 text-sm rounded-lg bg-white text-gray-600 border border-gray-200 hover:bg-gray-100 transition-colors cursor-pointer">
+            <Upload size={14} className="mr-1" /> Import .ics
+            <input type="file" accept=".ics,text/calendar" onChange={handleImportFile} className="hidden" />
+          </label>
+        </div>
+
+        {importSummary && (
+          <div className="mb-4 p-3 rounded-xl bg-blue-50 text-sm text-blue-800 flex justify-between items-start">
+            <div>
+              <p>Imported {importSummary.added} new and updated {importSummary.updated} existing task(s).</p>
+              {importSummary.errors.map(message => (
+                <p key={message} className="text-xs text-red-600 mt-1">{message}</p>
+              ))}
             </div>
+            <button onClick={() => setImportSummary(null)} className="text-blue-400 hover:text-blue-600" title="Dismiss">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {/* Unscheduled drop zone: drop a chip here to clear its date, or drag one out onto a day */}
+        <div
+          {...dropHandlers(UNSCHEDULED_DROP_TARGET)}
+          className={`mb-4 p-3 rounded-xl border-2 border-dashed transition-colors ${dropTarget === UNSCHEDULED_DROP_TARGET ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-white'}`}
+        >
+          <p className="text-xs font-semibold text-gray-500 mb-2">
+            Unscheduled ({unscheduledTasks.length})
+          </p>
+          {unscheduledTasks.length === 0 ? (
+            <p className="text-xs text-gray-400">Drop a task here to remove its date.</p>
+          ) : (
+            <div className="flex flex-wrap gap-1">
+              {unscheduledTasks.map(task => (
+                <div key={task.id} className="max-w-[12rem]">
+                  <CalendarTaskChip task={task} detailed={false} openEditModal={openEditModal} />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {renderGrid()}
+      </div>
+    );
+});
+
+const HEATMAP_COLORS = ['#ebedf0', '#bbf7d0', '#4ade80', '#16a34a', '#166534'];
+
+/**
+ * SvgBarChart Component (inline SVG, scales to its container's width)
+ */
+const SvgBarChart = React.memo(({ data, color = '#3b82f6', height = 180 }) => {
+    const max = Math.max(1, ...data.map(d => d.value));
+    const barWidth = 40; // viewBox units; the whole chart scales to the container
+    const width = data.length * barWidth;
+    const chartHeight = height - 20; // room for the labels
+
+    return (
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img">
+        {data.map((d, i) => {
+          const barHeight = (d.value / max) * (chartHeight - 12);
+          const x = i * barWidth;
+          return (
+            <g key={d.key}>
+              <title>{`${d.title}: ${d.value}`}</title>
+              <rect x={x + barWidth * 0.15} y={chartHeight - barHeight} width={barWidth * 0.7} height={barHeight} rx="3" fill={color} />
+              {d.value > 0 && (
+                <text x={x + barWidth / 2} y={chartHeight - barHeight - 3} textAnchor="middle" fontSize="11" fill="#4b5563">{d.value}</text>
+              )}
+              <text x={x + barWidth / 2} y={height - 5} textAnchor="middle" fontSize="10" fill="#6b7280">{d.label}</text>
+            </g>
           );
-        }
-        return cells;
-    }, [currentDate, daysInMonth, startDayOfWeek, getDayTasks]);
+        })}
+        <line x1="0" y1={chartHeight} x2={width} y2={chartHeight} stroke="#e5e7eb" strokeWidth="1" />
+      </svg>
+    );
+});
+
+/**
+ * CompletionHeatmap Component (a year of completions, one column per week)
+ */
+const CompletionHeatmap = React.memo(({ weeks }) => {
+    const cell = 11;
+    const gap = 2;
+    const left = 22; // weekday labels
+    const top = 14; // month labels
 
+    return (
+      <div className="overflow-x-auto">
+        <svg width={left + weeks.length * (cell + gap)} height={top + 7 * (cell + gap)} role="img" aria-label="Completion heatmap">
+          {[1, 3, 5].map(day => (
+            <text key={day} x="0" y={top + day * (cell + gap) + cell - 2} fontSize="9" fill="#6b7280">{WEEKDAY_NAMES[day]}</text>
+          ))}
+          {weeks.map((week, w) => {
+            // Label a column when its first day starts a new month
+            const firstDay = parseDateKey(week[0].dateKey);
+            const showMonth = firstDay.getDate() <= 7;
+            return (
+              <g key={week[0].dateKey} transform={`translate(${left + w * (cell + gap)}, 0)`}>
+                {showMonth && (
+                  <text x="0" y="10" fontSize="9" fill="#6b7280">{firstDay.toLocaleDateString('en-US', { month: 'short' })}</text>
+                )}
+                {week.map((day, d) => !day.isFuture && (
+                  <rect key={day.dateKey} x="0" y={top + d * (cell + gap)} width={cell} height={cell} rx="2" fill={HEATMAP_COLORS[day.level]}>
+                    <title>{`${day.dateKey}: ${day.count} completed`}</title>
+                  </rect>
+                ))}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+    );
+});
+
+/**
+ * WeeklyReviewPanel Component
+ * AI summary of the last week; carry-overs can be moved to their suggested date one by one or all at once.
+ */
+const WeeklyReviewPanel = ({ review, tasks, rescheduleTask, bulkUpdateTasks, onClose }) => {
+    const tasksById = useMemo(() => Object.fromEntries(tasks.map(task => [task.id, task])), [tasks]);
+    const openCarryOvers = review.carryOvers.filter(item => tasksById[item.taskId] && tasksById[item.taskId].scheduledDate !== item.scheduledDate);
+    const titleOf = (taskId) => tasksById[taskId]?.title || 'Deleted task';
+
+    return (
+      <div className="bg-white p-6 rounded-xl shadow-lg mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-800">Weekly Review</h2>
+            <p className="text-xs text-gray-500 mt-1">
+              {review.startKey} to {review.endKey} · {review.completedCount} completed · {review.slippedCount} slipped · {formatDuration(review.focusSeconds)} focus over {review.pomodoros} pomodoro{review.pomodoros === 1 ? '' : 's'}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 rounded-full transition-colors" aria-label="Close weekly review">
+            <X size={18} />
+          </button>
+        </div>
+
+        {review.summary && <p className="text-sm text-gray-700 mb-6">{review.summary}</p>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div>
+            <h3 className="text-sm font-semibold text-green-700 mb-2">Wins</h3>
+            {review.wins.length > 0 ? (
+              <ul className="space-y-1 text-sm text-gray-700 list-disc list-inside">
+                {review.wins.map((win, index) => <li key={index}>{win}</li>)}
+              </ul>
+            ) : <p className="text-sm text-gray-400">No wins listed.</p>}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-red-700 mb-2">Slipped</h3>
+            {review.slipped.length > 0 ? (
+              <ul className="space-y-2 text-sm">
+                {review.slipped.map(item => (
+                  <li key={item.taskId}>
+                    <p className="text-gray-800">{titleOf(item.taskId)}</p>
+                    {item.note && <p className="text-xs text-gray-500">{item.note}</p>}
+                  </li>
+                ))}
+              </ul>
+            ) : <p className="text-sm text-gray-400">Nothing slipped.</p>}
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-sm font-semibold text-blue-700">Suggested carry-overs</h3>
+              {openCarryOvers.length > 1 && (
+                <button
+                  onClick={() => bulkUpdateTasks(
+                    openCarryOvers.map(item => item.taskId),
+                    'reschedule-each',
+                    Object.fromEntries(openCarryOvers.map(item => [item.taskId, item.scheduledDate]))
+                  )}
+                  className="text-xs text-blue-600 hover:text-blue-800 transition-colors"
+                >
+                  Reschedule all
+                </button>
+              )}
+            </div>
+            {review.carryOvers.length > 0 ? (
+              <ul className="space-y-2 text-sm">
+                {review.carryOvers.map(item => {
+                  const task = tasksById[item.taskId];
+                  const isMoved = task?.scheduledDate === item.scheduledDate;
+                  return (
+                    <li key={item.taskId} className="flex items-start justify-between">
+                      <div className="min-w-0 mr-2">
+                        <p className="text-gray-800 truncate">{titleOf(item.taskId)}</p>
+                        <p className="text-xs text-gray-500">
+                          {task?.scheduledDate || 'No date'} → {item.scheduledDate}{item.reason ? ` · ${item.reason}` : ''}
+                        </p>
+                      </div>
+                      {task && (
+                        <button
+                          onClick={() => rescheduleTask(item.taskId, item.scheduledDate)}
+                          disabled={isMoved}
+                          className="flex-shrink-0 px-2 py-1 text-xs rounded-lg border border-gray-200 hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:hover:bg-white"
+                        >
+                          {isMoved ? 'Moved' : 'Reschedule'}
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : <p className="text-sm text-gray-400">No carry-overs suggested.</p>}
+          </div>
+        </div>
+      </div>
+    );
+};
+
+const DashboardStats = React.memo(({ stats, analytics, filterLabel, clearFilter, tasks, weeklyReview, requestWeeklyReview, dismissWeeklyReview, isReviewingWeek, weeklyReviewError, rescheduleTask, bulkUpdateTasks }) => {
+    const [chartRange, setChartRange] = useState('daily');
+
+    const chartData = chartRange === 'daily'
+      ? analytics.daily.map(d => ({ key: d.dateKey, value: d.count, title: d.dateKey, label: d.dateKey.slice(8) }))
+      : analytics.weekly.map(w => ({ key: w.weekStart, value: w.count, title: `Week of ${w.weekStart}`, label: w.weekStart.slice(5) }));
 
     return (
       <div className="p-6">
-        <div className="flex justify-between items-center mb-6">
-          <button onClick={() => changeMonth(-1)} className="p-2 text-gray-600 hover:text-gray-900">&lt; Prev</button>
+        <div className="flex justify-between items-center mb-8">
           <h1 className="text-2xl font-bold text-gray-800">
-            {currentDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long' })}
+            Productivity Dashboard
+            <FilterBadge label={filterLabel} clearFilter={clearFilter} />
           </h1>
-          <button onClick={() => changeMonth(1)} className="p-2 text-gray-600 hover:text-gray-900">Next &gt;</button>
+          <button
+            onClick={requestWeeklyReview}
+            disabled={isReviewingWeek}
+            className="flex items-center px-4 py-2 bg-gray-900 text-white rounded-xl shadow-lg hover:bg-gray-700 transition-colors disabled:opacity-50"
+          >
+            <Zap size={20} className="mr-2" /> {isReviewingWeek ? 'Reviewing...' : 'Weekly review'}
+          </button>
         </div>
 
-        <div className="grid grid-cols-7 text-center font-medium text-gray-500 bg-gray-50 rounded-t-xl overflow-hidden">
-          {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-            <div key={day} className="p-2 border-r last:border-r-0 border-gray-100">{day}</div>
+        {weeklyReviewError && <p className="text-sm text-red-600 -mt-4 mb-6">{weeklyReviewError}</p>}
+        {weeklyReview && (
+          <WeeklyReviewPanel review={weeklyReview} tasks={tasks} rescheduleTask={rescheduleTask} bulkUpdateTasks={bulkUpdateTasks} onClose={dismissWeeklyReview} />
+        )}
+
+        {/* Main Stat Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-10">
+          {[{ title: 'Total Tasks', value: stats.total, color: 'text-gray-500', icon: List },
+           { title: 'Completed Tasks', value: stats.completed, color: 'text-green-500', icon: CheckCircle },
+           { title: 'Pending Tasks', value: stats.pending, color: 'text-red-500', icon: Clock },
+           { title: 'Pending Pomodoros (est.)', value: stats.pendingEstimate, color: 'text-amber-500', icon: Timer }].map((item) => (
+            <div key={item.title} className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-gray-100 hover:shadow-xl transition-shadow">
+              <item.icon size={24} className={`${item.color} mb-3`} />
+              <p className="text-sm font-medium text-gray-500">{item.title}</p>
+              <p className="text-3xl font-bold text-gray-800 mt-1">{item.value}</p>
+            </div>
           ))}
         </div>
-        <div className="grid grid-cols-7 border-l border-t border-gray-100 rounded-b-xl overflow-hidden shadow-lg bg-white">
-          {calendarCells}
+
+        {/* Completion Rate Chart (Textual representation) */}
+        <div className="bg-white p-6 rounded-xl shadow-lg border-l-4 border-blue-100">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Task Completion Rate</h2>
+          <p className="text-5xl font-extrabold mb-4" style={{ color: `hsl(${stats.completionRate * 1.2}, 70%, 40%)` }}>
+            {stats.completionRate}%
+          </p>
+          <div className="w-full bg-gray-200 rounded-full h-2.5">
+            <div
+              className="h-2.5 rounded-full"
+              style={{ width: `${stats.completionRate}%`, backgroundColor: `hsl(${stats.completionRate * 1.2}, 70%, 50%)` }}
+            ></div>
+          </div>
+          <p className="text-sm text-gray-500 mt-2">
+            Keep up the great work! You've scheduled {stats.scheduled} tasks.
+          </p>
+        </div>
+
+        {/* Streaks and lead time */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-10">
+          {[{ title: 'Current Streak', value: `${analytics.streaks.current} day${analytics.streaks.current === 1 ? '' : 's'}` },
+           { title: 'Longest Streak', value: `${analytics.streaks.longest} day${analytics.streaks.longest === 1 ? '' : 's'}` },
+           { title: 'Avg. Time to Complete', value: analytics.averageCompletionTime === null ? '—' : formatLeadTime(analytics.averageCompletionTime) }].map(item => (
+            <div key={item.title} className="bg-white p-6 rounded-xl shadow-lg">
+              <p className="text-sm font-medium text-gray-500">{item.title}</p>
+              <p className="text-3xl font-bold text-gray-800 mt-1">{item.value}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Completions per day / week */}
+        <div className="bg-white p-6 rounded-xl shadow-lg mt-10">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-800">Tasks Completed</h2>
+            <div className="flex space-x-1">
+              {[{ id: 'daily', label: 'Per day' }, { id: 'weekly', label: 'Per week' }].map(range => (
+                <button
+                  key={range.id}
+                  onClick={() => setChartRange(range.id)}
+                  className={`px-3 py-1 text-sm rounded-lg transition-colors ${chartRange === range.id ? 'bg-gray-900 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {range.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <SvgBarChart data={chartData} color={chartRange === 'daily' ? '#3b82f6' : '#8b5cf6'} />
+        </div>
+
+        {/* Last year */}
+        <div className="bg-white p-6 rounded-xl shadow-lg mt-10">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Completion History</h2>
+          <CompletionHeatmap weeks={analytics.heatmap} />
         </div>
       </div>
     );
 });
 
-const DashboardStats = React.memo(({ stats }) => (
-    <div className="p-6">
-      <h1 className="text-2xl font-bold text-gray-800 mb-8">Productivity Dashboard</h1>
-
-      {/* Main Stat Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-10">
-        {[{ title: 'Total Tasks', value: stats.total, color: 'text-gray-500', icon: List },
-         { title: 'Completed Tasks', value: stats.completed, color: 'text-green-500', icon: CheckCircle },
-         { title: 'Pending Tasks', value: stats.pending, color: 'text-red-500', icon: Clock }].map((item) => (
-          <div key={item.title} className="bg-white p-6 rounded-xl shadow-lg border-t-4 border-gray-100 hover:shadow-xl transition-shadow">
-            <item.icon size={24} className={`${item.color} mb-3`} />
-            <p className="text-sm font-medium text-gray-500">{item.title}</p>
-            <p className="text-3xl font-bold text-gray-800 mt-1">{item.value}</p>
-          </div>
-        ))}
-      </div>
 
-      {/* Completion Rate Chart (Textual representation) */}
-      <div className="bg-white p-6 rounded-xl shadow-lg border-l-4 border-blue-100">
-        <h2 className="text-xl font-semibold text-gray-800 mb-4">Task Completion Rate</h2>
-        <p className="text-5xl font-extrabold mb-4" style={{ color: `hsl(${stats.completionRate * 1.2}, 70%, 40%)` }}>
-          {stats.completionRate}%
+/**
+ * BackupPanel Component (JSON backup/restore and CSV export)
+ */
+const BackupPanel = React.memo(({ tasks, exportBackup, exportTasksCsv, restoreBackup, exportTodoTxt, exportMarkdown, importPlainText }) => {
+    const [pendingRestore, setPendingRestore] = useState(null); // { fileName, backup, errors }
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [message, setMessage] = useState('');
+
+    const conflicts = useMemo(
+      () => (pendingRestore?.backup ? findBackupConflicts(pendingRestore.backup.todos, tasks) : []),
+      [pendingRestore, tasks]
+    );
+
+    const handleFile = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Allow picking the same file again
+      if (!file) return;
+      setMessage('');
+      try {
+        setPendingRestore({ fileName: file.name, ...validateBackup(JSON.parse(await file.text())) });
+      } catch {
+        setPendingRestore({ fileName: file.name, backup: null, errors: ['The file is not valid JSON.'] });
+      }
+    };
+
+    // .md files are read as Markdown checklists, anything else as todo.txt
+    const handlePlainTextFile = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      const format = /\.(md|markdown)$/i.test(file.name) ? 'markdown' : 'todotxt';
+      const result = await importPlainText(await file.text(), format);
+      setMessage(result.error ? `Import failed: ${result.error}` : `Imported ${result.added} task(s) from ${file.name}.`);
+    };
+
+    const handleRestore = async (mode) => {
+      setIsRestoring(true);
+      const result = await restoreBackup(pendingRestore.backup, mode);
+      setIsRestoring(false);
+      setPendingRestore(null);
+      setMessage(result.error
+        ? `Restore failed: ${result.error}`
+        : `Restored ${result.added} task(s)${result.skipped ? `, skipped ${result.skipped} already present` : ''}.`);
+    };
+
+    const buttonClass = "flex items-center px-3 py-2 text-sm rounded-lg bg-white text-gray-700 border border-gray-200 hover:bg-gray-100 transition-colors";
+
+    return (
+      <div className="bg-white p-6 rounded-xl shadow-lg border-l-4 border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-800 mb-1">Backup, Import & Export</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Keep a copy of your tasks, projects and settings. Anonymous sessions can't be recovered otherwise.
         </p>
-        <div className="w-full bg-gray-200 rounded-full h-2.5">
-          <div
-            className="h-2.5 rounded-full"
-            style={{ width: `${stats.completionRate}%`, backgroundColor: `hsl(${stats.completionRate * 1.2}, 70%, 50%)` }}
-          ></div>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={exportBackup} className={buttonClass}>
+            <Download size={14} className="mr-2" /> Backup (JSON)
+          </button>
+          <button onClick={exportTasksCsv} className={buttonClass}>
+            <Download size={14} className="mr-2" /> Tasks (CSV)
+          </button>
+          <label className={`${buttonClass} cursor-pointer`}>
+            <Upload size={14} className="mr-2" /> Restore from backup…
+            <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+          </label>
         </div>
-        <p className="text-sm text-gray-500 mt-2">
-          Keep up the great work! You've scheduled {stats.scheduled} tasks.
-        </p>
-      </div>
-    </div>
-));
 
+        <h3 className="text-sm font-semibold text-gray-700 mt-5 mb-2">Plain-text lists</h3>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={exportTodoTxt} className={buttonClass}>
+            <Download size={14} className="mr-2" /> todo.txt
+          </button>
+          <button onClick={exportMarkdown} className={buttonClass}>
+            <Download size={14} className="mr-2" /> Markdown checklist
+          </button>
+          <label className={`${buttonClass} cursor-pointer`}>
+            <Upload size={14} className="mr-2" /> Import todo.txt / Markdown…
+            <input type="file" accept=".txt,.md,.markdown,text/plain,text/markdown" onChange={handlePlainTextFile} className="hidden" />
+          </label>
+        </div>
+
+        {pendingRestore && (
+          <div className="mt-4 p-4 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+            <p className="font-medium text-gray-800 mb-1">{pendingRestore.fileName}</p>
+            {pendingRestore.errors.map(error => (
+              <p key={error} className="text-xs text-red-600">{error}</p>
+            ))}
+            {pendingRestore.backup && (
+              <>
+                <p className="text-gray-600 mt-1">
+                  {pendingRestore.backup.todos.length} task(s) from {pendingRestore.backup.exportedAt ? new Date(pendingRestore.backup.exportedAt).toLocaleString() : 'an unknown date'}.
+                  {conflicts.length > 0 && ` ${conflicts.length} already exist here.`}
+                </p>
+                <div className="flex flex-wrap gap-2 mt-3">
+                  <button
+                    onClick={() => handleRestore('merge')}
+                    disabled={isRestoring}
+                    className="px-3 py-1.5 text-sm bg-gray-900 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 transition-colors"
+                  >
+                    Merge (add {pendingRestore.backup.todos.length - conflicts.length} new)
+                  </button>
+                  <button
+                    onClick={() => handleRestore('replace')}
+                    disabled={isRestoring}
+                    className="px-3 py-1.5 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+                  >
+                    Replace (delete {tasks.length} current task(s), restore timer & music settings)
+                  </button>
+                  <button onClick={() => setPendingRestore(null)} disabled={isRestoring} className="px-3 py-1.5 text-sm text-gray-500 hover:text-gray-700">
+                    Cancel
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+        {message && <p className="mt-3 text-sm text-gray-600">{message}</p>}
+      </div>
+    );
+});
 
 // =================================================================
 // 7. MAIN APP COMPONENT
@@ -673,11 +2848,36 @@ const DashboardStats = React.memo(({ stats }) => (
 const App = () => {
   // --- Global State ---
   const [tasks, setTasks] = useState([]);
+  // Latest tasks for callbacks that must stay stable across snapshots
+  const tasksRef = useRef(tasks);
   const [viewMode, setViewMode] = useState('tasks'); // 'tasks', 'calendar', 'stats'
   const [db, setDb] = useState(null);
   const [userId, setUserId] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
 
+  // Task storage (offline-first Firestore, or local-only when STORAGE_BACKEND is 'local')
+  const taskRepository = useMemo(
+    () => userId ? createUserRepository({ db, appId, userId, name: 'todos' }) : null,
+    [db, userId]
+  );
+  const projectRepository = useMemo(
+    () => userId ? createUserRepository({ db, appId, userId, name: 'projects' }) : null,
+    [db, userId]
+  );
+
+  // --- Projects & Filter State ---
+  const [projects, setProjects] = useState([]);
+  const projectsRef = useRef(projects);
+  const [activeFilter, setActiveFilter] = useState(ALL_TASKS_FILTER); // { type: 'all' | 'project' | 'tag' }
+
+  // --- Search State ---
+  const [searchQuery, setSearchQuery] = useState('');
+  const [savedSearches, setSavedSearches] = useState([]);
+  const savedSearchRepository = useMemo(
+    () => userId ? createUserRepository({ db, appId, userId, name: 'savedSearches' }) : null,
+    [db, userId]
+  );
+
   // --- Music State ---
   const [customPlaylistUrl, setCustomPlaylistUrl] = useState(DEFAULT_YT_PLAYLIST);
   const [inputUrl, setInputUrl] = useState('');
@@ -687,21 +2887,57 @@ const App = () => {
   const embedUrl = useMemo(() => getEmbedUrl(customPlaylistUrl), [customPlaylistUrl]);
 
   // --- Pomodoro State ---
-  const [timerStatus, setTimerStatus] = useState('stopped'); // 'stopped', 'running', 'paused'
-  const [sessionType, setSessionType] = useState('work'); // 'work', 'short-break', 'long-break'
-  const [timeLeft, setTimeLeft] = useState(WORK_TIME);
-  const [sessionCount, setSessionCount] = useState(0);
+  // Timer state is anchored to a session end timestamp (see pomodoro/timerState.js)
+  const [timerState, setTimerState] = useState(loadLocalTimerState);
+  const timerStatus = timerState.status; // 'stopped', 'running', 'paused'
+  const sessionType = timerState.sessionType; // 'work', 'short-break', 'long-break'
+  const [now, setNow] = useState(() => Date.now()); // Clock for the countdown display
+  const timerCoordinatorRef = useRef(null);
+  const [timerSettings, setTimerSettings] = useState(DEFAULT_TIMER_SETTINGS);
+  const [sessions, setSessions] = useState([]);
+  // Task the current work session is attributed to (kept across reloads)
+  const [activeTaskId, setActiveTaskId] = useState(() => localStorage.getItem(ACTIVE_TASK_STORAGE_KEY) || null);
+  // Accepted "Plan my day" queue (see pomodoro/dayPlan.js) and a suggestion awaiting review
+  const [dayPlan, setDayPlan] = useState(() => loadDayPlan(formatDate(new Date())));
+  const [proposedPlan, setProposedPlan] = useState(null);
+  const [isPlanningDay, setIsPlanningDay] = useState(false);
+  const [dayPlanError, setDayPlanError] = useState(null);
+  const [weeklyReview, setWeeklyReview] = useState(null);
+  const [isReviewingWeek, setIsReviewingWeek] = useState(false);
+  const [weeklyReviewError, setWeeklyReviewError] = useState(null);
+  const sessionRepository = useMemo(
+    () => userId ? createUserRepository({ db, appId, userId, name: 'sessions', timestampFields: SESSION_TIMESTAMP_FIELDS }) : null,
+    [db, userId]
+  );
 
   // --- Task Input State ---
   const [newTaskTitle, setNewTaskTitle] = useState('');
   const [newTaskDate, setNewTaskDate] = useState(formatDate(new Date()));
+  const [newTaskSubtasks, setNewTaskSubtasks] = useState([]);
+  const [newTaskRecurrence, setNewTaskRecurrence] = useState(null);
+  const [newTaskPriority, setNewTaskPriority] = useState('none');
+  const [newTaskDueTime, setNewTaskDueTime] = useState('');
+  const [newTaskEstimate, setNewTaskEstimate] = useState(0);
+  const [newTaskProjectId, setNewTaskProjectId] = useState('');
+  const [newTaskTags, setNewTaskTags] = useState(''); // Comma-separated while editing
   const [showModal, setShowModal] = useState(false);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false);
   const [modalType, setModalType] = useState('add'); // 'add', 'edit'
   const [editingTask, setEditingTask] = useState(null);
 
+  // --- Undo/Redo State (see tasks/history.js) ---
+  const [taskHistory, setTaskHistory] = useState(EMPTY_HISTORY);
+  const [undoToast, setUndoToast] = useState(null); // { message, action: 'undo' | 'redo' | null }
+
   // --- Task Generation State ---
   const [isGeneratingTasks, setIsGeneratingTasks] = useState(false);
   const [generationError, setGenerationError] = useState(null);
+  const [aiDrafts, setAiDrafts] = useState(null); // { prompt, drafts } while generated tasks await review
+  const [aiSettings, setAiSettings] = useState(DEFAULT_AI_SETTINGS);
+  const [aiApiKey, setAiApiKey] = useState(() => loadApiKey(DEFAULT_AI_SETTINGS.provider));
+
+  const aiProvider = useMemo(() => createAiProvider({ ...aiSettings, apiKey: aiApiKey }), [aiSettings, aiApiKey]);
 
 
   // =================================================================
@@ -709,6 +2945,12 @@ const App = () => {
   // =================================================================
 
   useEffect(() => {
+    // Local backend: no Firebase project involved, data stays on this device
+    if (STORAGE_BACKEND === 'local') {
+      setUserId('local-user');
+      setIsAuthReady(true);
+      return;
+    }
     if (!firebaseConfig) return;
 
     try {
@@ -767,6 +3009,29 @@ const App = () => {
                 setInputUrl(savedUrl); // Initialize input field with saved value
             }
         }
+
+        const timerDocSnap = await getDoc(doc(firestore, `artifacts/${appId}/users/${uid}/settings`, 'timer'));
+        if (timerDocSnap.exists()) {
+            setTimerSettings(normalizeTimerSettings(timerDocSnap.data()));
+        }
+
+        const aiDocSnap = await getDoc(doc(firestore, `artifacts/${appId}/users/${uid}/settings`, 'ai'));
+        if (aiDocSnap.exists()) {
+            const savedAiSettings = normalizeAiSettings(aiDocSnap.data());
+            setAiSettings(savedAiSettings);
+            setAiApiKey(loadApiKey(savedAiSettings.provider));
+        }
+
+        // A running/paused timer saved from another device wins if it is newer than the local one
+        const timerStateSnap = await getDoc(doc(firestore, `artifacts/${appId}/users/${uid}/settings`, 'timerState'));
+        if (timerStateSnap.exists() && isValidTimerState(timerStateSnap.data())) {
+            const savedState = timerStateSnap.data();
+            setTimerState(prev => {
+                if (savedState.updatedAt <= prev.updatedAt) return prev;
+                saveLocalTimerState(savedState);
+                return savedState;
+            });
+        }
     } catch (e) {
         console.error("Error loading user settings:", e);
     }
@@ -789,213 +3054,773 @@ const App = () => {
     }
   }, [db, userId, inputUrl]);
 
+  // Save AI Settings (the API key stays in this browser, see ai/aiSettings.js)
+  const saveAiSettings = useCallback(async (settings, apiKey) => {
+    const normalized = normalizeAiSettings(settings);
+    setAiSettings(normalized);
+    setAiApiKey(apiKey);
+    saveApiKey(normalized.provider, apiKey);
+    if (!db || !userId) return;
+
+    try {
+        await setDoc(doc(db, `artifacts/${appId}/users/${userId}/settings`, 'ai'), normalized);
+    } catch (e) {
+        console.error("Error saving AI settings:", e);
+    }
+  }, [db, userId]);
+
+  // Save Timer Settings (applies immediately, persisted when Firestore is available)
+  const saveTimerSettings = useCallback(async (settings) => {
+    const normalized = normalizeTimerSettings(settings);
+    setTimerSettings(normalized);
+    // Still inside the Save click, so the browser lets us ask for permission
+    if (normalized.notifyOnWorkEnd || normalized.notifyOnBreakEnd) {
+      requestNotificationPermission().catch(e => console.error("Error requesting notification permission:", e));
+    }
+    if (!db || !userId) return;
+
+    try {
+        const settingsDocRef = doc(db, `artifacts/${appId}/users/${userId}/settings`, 'timer');
+        await setDoc(settingsDocRef, normalized, { merge: true });
+    } catch (e) {
+        console.error("Error saving timer settings:", e);
+    }
+  }, [db, userId]);
+
+
+  useEffect(() => {
+    if (!isAuthReady || !taskRepository) return;
+
+    const unsubscribe = taskRepository.subscribe((docs) => {
+      const newTasks = docs.map(task => ({
+        ...task,
+        // Timestamps arrive as milliseconds; default them for sorting
+        createdAt: task.createdAt || 0,
+        completedAt: task.completedAt || null,
+      }));
+      tasksRef.current = newTasks;
+      setTasks(newTasks);
+      // console.log(`Loaded ${newTasks.length} tasks for user ${userId}`);
+    }, (error) => {
+      if (error.code === 'write-dropped') {
+        setUndoToast({ message: error.message, action: null });
+        return;
+      }
+      console.error("Error fetching tasks:", error);
+    });
+
+    return () => unsubscribe();
+  }, [taskRepository, isAuthReady]);
+
+  useEffect(() => {
+    if (!isAuthReady || !projectRepository) return;
+
+    const unsubscribe = projectRepository.subscribe((docs) => {
+      const newProjects = docs.slice().sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+      projectsRef.current = newProjects;
+      setProjects(newProjects);
+    }, (error) => {
+      console.error("Error fetching projects:", error);
+    });
+
+    return () => unsubscribe();
+  }, [projectRepository, isAuthReady]);
 
   useEffect(() => {
-    if (!isAuthReady || !userId || !db) return;
-
-    const tasksCollectionPath = `artifacts/${appId}/users/${userId}/todos`;
-    const q = query(collection(db, tasksCollectionPath));
-
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const newTasks = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        // Convert Firestore timestamp to milliseconds if present, else null (for sorting)
-        createdAt: doc.data().createdAt?.toMillis() || 0,
-        completedAt: doc.data().completedAt?.toMillis() || null,
-      }));
-      setTasks(newTasks);
-      // console.log(`Loaded ${newTasks.length} tasks for user ${userId}`);
+    if (!isAuthReady || !savedSearchRepository) return;
+
+    const unsubscribe = savedSearchRepository.subscribe((docs) => {
+      setSavedSearches(docs.slice().sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)));
     }, (error) => {
-      console.error("Error fetching tasks:", error);
+      console.error("Error fetching saved searches:", error);
+    });
+
+    return () => unsubscribe();
+  }, [savedSearchRepository, isAuthReady]);
+
+  useEffect(() => {
+    if (!isAuthReady || !sessionRepository) return;
+
+    const unsubscribe = sessionRepository.subscribe(setSessions, (error) => {
+      console.error("Error fetching sessions:", error);
     });
 
     return () => unsubscribe();
-  }, [db, userId, isAuthReady]);
+  }, [sessionRepository, isAuthReady]);
+
+  useEffect(() => {
+    if (activeTaskId) localStorage.setItem(ACTIVE_TASK_STORAGE_KEY, activeTaskId);
+    else localStorage.removeItem(ACTIVE_TASK_STORAGE_KEY);
+  }, [activeTaskId]);
+
+  // The day plan lives in localStorage; follow changes made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === DAY_PLAN_STORAGE_KEY) setDayPlan(loadDayPlan(formatDate(new Date())));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
 
   // =================================================================
   // C. TASK MANAGEMENT & GENERATION LOGIC (All Memoized)
   // =================================================================
 
-  const addTask = useCallback(async (title, scheduledDate) => {
-    if (!db || !userId || !title.trim()) {
-        console.error("AddTask Failed: Firestore DB not initialized or title empty.");
+  // Every add, edit, toggle, delete and batch-add records the affected tasks' previous state
+  const recordTaskChange = useCallback((label, snapshot) => {
+    setTaskHistory(history => recordChange(history, label, snapshot));
+    setUndoToast({ message: label, action: 'undo' });
+  }, []);
+
+  // Writes `batches` (from chunkForBatches / packBatches) and records them as one undo entry.
+  // Each batch is all-or-nothing; when a later one fails, the ones already written stay undoable.
+  const commitTaskBatches = useCallback(async (batches, label) => {
+    const ops = batches.flat();
+    const before = snapshotTasks(tasksRef.current, ops.map(op => op.id));
+    let written = 0;
+    try {
+      for (const batch of batches) {
+        await taskRepository.writeBatch(batch);
+        written += batch.length;
+      }
+    } finally {
+      if (written > 0) recordTaskChange(label, before.slice(0, written));
+    }
+  }, [taskRepository, recordTaskChange]);
+
+  const addTask = useCallback(async (title, scheduledDate, { subtasks = [], recurrence = null, priority = 'none', dueTime = '', estimate = 0, projectId = '', tags = [] } = {}) => {
+    if (!taskRepository || !title.trim()) {
+        console.error("AddTask Failed: task storage not initialized or title empty.");
         return;
     }
 
     try {
-      const tasksCollectionPath = `artifacts/${appId}/users/${userId}/todos`;
-      await addDoc(collection(db, tasksCollectionPath), {
+      const id = await taskRepository.add({
         title: title.trim(),
         completed: false,
         scheduledDate: scheduledDate,
-        createdAt: serverTimestamp(),
+        subtasks: normalizeSubtasks(subtasks),
+        recurrence: normalizeRecurrence(recurrence),
+        priority: normalizePriority(priority),
+        dueTime: normalizeDueTime(dueTime),
+        estimate: normalizeEstimate(estimate),
+        projectId: projectId || null,
+        tags: normalizeTags(tags),
+        createdAt: SERVER_TIMESTAMP,
       });
+      recordTaskChange('Task added', [{ id, doc: null }]);
       // console.log("Task added successfully.");
     } catch (e) {
       console.error("Error adding document: ", e);
     }
-  }, [db, userId]);
+  }, [taskRepository, recordTaskChange]);
   
-  const addTasksBatch = useCallback(async (taskArray) => {
-      if (!db || !userId) {
-          console.error("Batch Add Failed: DB or User ID not initialized.");
+  const addTasksBatch = useCallback(async (taskArray, { projectId = null } = {}) => {
+      if (!taskRepository) {
+          console.error("Batch Add Failed: task storage not initialized.");
           return;
       }
-      const tasksCollectionPath = `artifacts/${appId}/users/${userId}/todos`;
-      
-      const batchPromises = taskArray.map(task => 
-          addDoc(collection(db, tasksCollectionPath), {
-              title: task.title.trim(),
-              completed: false,
-              // Use provided date or today's date if date is missing or invalid
-              scheduledDate: task.scheduledDate && task.scheduledDate.match(/^\d{4}-\d{2}-\d{2}$/) 
-                             ? task.scheduledDate 
-                             : '',
-              createdAt: serverTimestamp(),
-          })
-      );
+
+      const newTasks = taskArray.map(task => toNewTaskDoc(task, projectId));
 
       try {
-          await Promise.all(batchPromises);
+          const ids = await taskRepository.addMany(newTasks);
+          if (ids.length > 0) {
+              recordTaskChange(`${ids.length} task${ids.length === 1 ? '' : 's'} added`, ids.map(id => ({ id, doc: null })));
+          }
           // console.log(`Successfully added ${taskArray.length} tasks in batch.`);
       } catch (e) {
           console.error("Error during batch task addition:", e);
           throw new Error("Failed to save all generated tasks to the database.");
       }
-  }, [db, userId]); 
+  }, [taskRepository, recordTaskChange]); 
 
 
-  const generateTasksFromPrompt = useCallback(async (prompt) => {
-    if (!prompt.trim() || !db || !userId) return;
+  const addProject = useCallback(async (name, color) => {
+    if (!projectRepository || !name.trim()) return null;
 
-    setIsGeneratingTasks(true);
-    setGenerationError(null);
+    try {
+      return await projectRepository.add({
+        name: name.trim(),
+        color: color || nextProjectColor(projectsRef.current),
+        createdAt: SERVER_TIMESTAMP,
+      });
+    } catch (e) {
+      console.error("Error adding project: ", e);
+      return null;
+    }
+  }, [projectRepository]);
 
-    const systemPrompt = "You are an expert project manager and productivity assistant. Your task is to break down the user's high-level goal into 5 to 8 concrete, actionable, small, and distinct sub-tasks. For each task, provide a concise title (max 10 words) and an optional scheduled date in YYYY-MM-DD format, or an empty string if a date is not applicable. Respond ONLY with the JSON array of tasks.";
-
-    const payload = {
-      contents: [{ parts: [{ text: prompt }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-      generationConfig: { 
-        responseMimeType: "application/json",
-        responseSchema: {
-          type: "ARRAY",
-          description: "A list of actionable tasks derived from the user's prompt.",
-          items: {
-            type: "OBJECT",
-            properties: {
-              title: { type: "STRING", description: "Concise title for the task (max 10 words)." },
-              scheduledDate: { type: "STRING", description: "Optional schedule date in YYYY-MM-DD format, or empty string." }
-            },
-            required: ["title"],
-            propertyOrdering: ["title", "scheduledDate"]
-          }
-        }
+  // Returns the id of the project with this name, creating it if needed
+  const ensureProject = useCallback(async (name, color) => {
+    const existing = findProjectByName(projectsRef.current, name);
+    return existing ? existing.id : addProject(name, color);
+  }, [addProject]);
+
+  const deleteProject = useCallback(async (projectId) => {
+    if (!projectRepository || !taskRepository || !projectId) return;
+
+    try {
+      // Tasks stay, they just leave the project; the project goes once they all have
+      const projectTasks = tasksRef.current.filter(t => t.projectId === projectId);
+      for (const batch of chunkForBatches(projectTasks.map(t => ({ type: 'update', id: t.id, data: { projectId: null } })))) {
+        await taskRepository.writeBatch(batch);
       }
-    };
+      await projectRepository.remove(projectId);
+      setActiveFilter(prev => prev.type === 'project' && prev.id === projectId ? ALL_TASKS_FILTER : prev);
+    } catch (e) {
+      console.error("Error deleting project: ", e);
+      setUndoToast({ message: `Couldn't delete the project: ${e.message}`, action: null });
+    }
+  }, [projectRepository, taskRepository]);
+
+  const saveSearch = useCallback(async (name, queryText) => {
+    if (!savedSearchRepository || !name.trim() || !queryText.trim()) return;
 
     try {
-      const response = await fetchWithBackoff(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+      await savedSearchRepository.add({ name: name.trim(), query: queryText.trim(), createdAt: SERVER_TIMESTAMP });
+    } catch (e) {
+      console.error("Error saving search: ", e);
+    }
+  }, [savedSearchRepository]);
 
-      const result = await response.json();
-      const generatedJsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+  const deleteSavedSearch = useCallback(async (searchId) => {
+    if (!savedSearchRepository || !searchId) return;
 
-      if (!generatedJsonText) {
-          throw new Error("Gemini returned no content or an invalid structure.");
-      }
+    try {
+      await savedSearchRepository.remove(searchId);
+    } catch (e) {
+      console.error("Error deleting saved search: ", e);
+    }
+  }, [savedSearchRepository]);
 
-      // 1. Parse JSON
-      const generatedTasks = JSON.parse(generatedJsonText);
+  const runSavedSearch = useCallback((queryText) => {
+    setSearchQuery(queryText);
+    setViewMode('tasks');
+  }, []);
 
-      // 2. Validate and Save Tasks
-      if (Array.isArray(generatedTasks) && generatedTasks.length > 0) {
-        const validTasks = generatedTasks.filter(t => t.title && typeof t.title === 'string');
-        if (validTasks.length > 0) {
-            await addTasksBatch(validTasks);
-        } else {
-            throw new Error("Generated tasks were empty or invalid after parsing.");
-        }
-      } else {
-        throw new Error("Gemini response did not contain a valid array of tasks.");
-      }
+  // Today's date, the deadline and the current workload, so the model can pick sensible dates.
+  // A deadline that has passed since the drafts were made (e.g. regenerating the next day) is dropped.
+  const getPlanningContext = useCallback((requestedDeadline) => {
+    const today = todayKey();
+    const deadline = requestedDeadline && requestedDeadline >= today ? requestedDeadline : '';
+    const workload = summarizeWorkload(tasksRef.current, today, deadline);
+    return { todayKey: today, deadline, workload, text: describePlanningContext({ todayKey: today, deadline, workload }) };
+  }, []);
 
+  // Generated tasks are staged as drafts; nothing is saved until commitAiDrafts
+  const generateTasksFromPrompt = useCallback(async (prompt, { deadline = '' } = {}) => {
+    if (!prompt.trim()) return;
+    if (deadline && deadline < todayKey()) {
+      setGenerationError(`The deadline ${deadline} is in the past. Pick today or a later date.`);
+      return;
+    }
+
+    setIsGeneratingTasks(true);
+    setGenerationError(null);
+
+    try {
+      const context = getPlanningContext(deadline);
+      const generatedTasks = await generateTasks(aiProvider, { system: TASK_GENERATION_PROMPT, prompt: `${context.text}\n\nGoal: ${prompt}` });
+      // Dates in the past or after the deadline are moved and flagged for review
+      setAiDrafts({ prompt, deadline, drafts: correctDraftDates(generatedTasks.map(createDraft), context) });
     } catch (e) {
       console.error("Task generation failed:", e);
       setGenerationError(e.message || "Failed to generate tasks. Please try again.");
     } finally {
       setIsGeneratingTasks(false);
     }
-  }, [db, userId, addTasksBatch]); // Dependencies are stable
+  }, [aiProvider, getPlanningContext]);
+
+  // Applies `update(drafts)` to the staged drafts (edits, removals, reordering)
+  const changeAiDrafts = useCallback((update) => {
+    setAiDrafts(prev => prev && { ...prev, drafts: update(prev.drafts) });
+  }, []);
+
+  const regenerateAiDraft = useCallback(async (draftId) => {
+    const draft = aiDrafts?.drafts.find(d => d.draftId === draftId);
+    if (!draft) return;
+
+    changeAiDrafts(drafts => updateDraft(drafts, draftId, { isRegenerating: true }));
+    setGenerationError(null);
+    const otherTitles = aiDrafts.drafts.filter(d => d.draftId !== draftId).map(d => `- ${d.title}`).join('\n');
+    const context = getPlanningContext(aiDrafts.deadline);
+    const prompt = `${context.text}\n\nGoal: ${aiDrafts.prompt}\n\nTask to replace: ${draft.title}\n\nOther tasks in the plan (do not repeat them):\n${otherTitles}`;
+
+    try {
+      const [replacement] = await generateTasks(aiProvider, { system: TASK_REPLACEMENT_PROMPT, prompt, single: true });
+      const [checked] = correctDraftDates([createDraft(replacement)], context);
+      changeAiDrafts(drafts => replaceDraft(drafts, draftId, checked));
+    } catch (e) {
+      console.error("Task regeneration failed:", e);
+      setGenerationError(e.message || "Failed to regenerate the task. Please try again.");
+      changeAiDrafts(drafts => updateDraft(drafts, draftId, { isRegenerating: false }));
+    }
+  }, [aiDrafts, aiProvider, changeAiDrafts, getPlanningContext]);
+
+  const commitAiDrafts = useCallback(async () => {
+    if (!aiDrafts || !taskRepository) return;
+
+    const accepted = getAcceptedDrafts(aiDrafts.drafts);
+    try {
+      if (accepted.length > 0) {
+        // Generated batches land in a project named after the goal
+        const projectId = await ensureProject(projectNameFromPrompt(aiDrafts.prompt));
+        // The order arranged in the panel becomes the tasks' Manual sort position, after existing tasks
+        const orderKeys = appendOrderKeys(tasksRef.current, accepted.length);
+        await addTasksBatch(accepted.map(({ title, scheduledDate, subtasks }, i) => ({ title, scheduledDate, subtasks, order: orderKeys[i] })), { projectId });
+      }
+      setAiDrafts(null);
+    } catch (e) {
+      console.error("Saving AI drafts failed:", e);
+      setGenerationError(e.message || "Failed to save the tasks. Please try again.");
+    }
+  }, [aiDrafts, taskRepository, ensureProject, addTasksBatch]);
+
+  const discardAiDrafts = useCallback(() => {
+    setAiDrafts(null);
+    setGenerationError(null);
+  }, []);
 
-  const updateTask = useCallback(async (taskId, newTitle, newScheduledDate) => {
-    if (!db || !userId || !taskId) return;
+  const updateTask = useCallback(async (taskId, newTitle, newScheduledDate, { subtasks = [], recurrence = null, priority = 'none', dueTime = '', estimate = 0, projectId = '', tags = [] } = {}) => {
+    if (!taskRepository || !taskId) return;
 
+    const before = snapshotTasks(tasksRef.current, [taskId]);
     try {
-      const tasksDocPath = `artifacts/${appId}/users/${userId}/todos/${taskId}`;
-      await updateDoc(doc(db, tasksDocPath), {
+      await taskRepository.update(taskId, {
         title: newTitle.trim(),
         scheduledDate: newScheduledDate,
+        subtasks: normalizeSubtasks(subtasks),
+        recurrence: normalizeRecurrence(recurrence),
+        priority: normalizePriority(priority),
+        dueTime: normalizeDueTime(dueTime),
+        estimate: normalizeEstimate(estimate),
+        projectId: projectId || null,
+        tags: normalizeTags(tags),
       });
+      recordTaskChange('Task updated', before);
       setShowModal(false);
       setEditingTask(null);
     } catch (e) {
       console.error("Error updating document: ", e);
     }
-  }, [db, userId]);
+  }, [taskRepository, recordTaskChange]);
+
+  // --- Backup & restore ---
+  const exportBackup = useCallback(() => {
+    const backup = createBackup({
+      tasks: tasksRef.current,
+      projects: projectsRef.current,
+      settings: {
+        music: { youtubeUrl: customPlaylistUrl === DEFAULT_YT_PLAYLIST ? null : customPlaylistUrl },
+        timer: timerSettings,
+      },
+    });
+    downloadFile(`focus-hub-backup-${formatDate(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  }, [customPlaylistUrl, timerSettings]);
 
-  const toggleTaskCompleted = useCallback(async (taskId, currentStatus) => {
-    if (!db || !userId || !taskId) return;
+  const exportTasksCsv = useCallback(() => {
+    const projectsById = Object.fromEntries(projectsRef.current.map(p => [p.id, p]));
+    downloadFile(`focus-hub-tasks-${formatDate(new Date())}.csv`, tasksToCsv(tasksRef.current, projectsById), 'text/csv');
+  }, []);
+
+  // 'merge' adds the backup tasks that aren't already here through addTasksBatch. 'replace' swaps
+  // every current task for the backup as one undoable change and also restores the timer and music
+  // settings. Large swaps take several batches: the backup is written before current tasks are
+  // removed, so a failure partway leaves extra tasks rather than missing ones.
+  const restoreBackup = useCallback(async (backup, mode) => {
+    if (!taskRepository) return { error: 'Task storage is not ready.' };
+
+    const conflicts = mode === 'merge' ? new Set(findBackupConflicts(backup.todos, tasksRef.current)) : new Set();
+    const restoredTasks = backup.todos.filter(task => !conflicts.has(task));
+
+    try {
+      // Projects are matched by name, so ids from another account or device still resolve
+      const projectIds = {};
+      for (const project of backup.projects) {
+        if (restoredTasks.some(task => task.projectId === project.id)) {
+          projectIds[project.id] = await ensureProject(project.name, project.color);
+        }
+      }
+      const mappedTasks = restoredTasks.map(task => ({ ...task, projectId: projectIds[task.projectId] || null }));
+
+      if (mode === 'replace') {
+        const ops = [
+          ...mappedTasks.map(task => ({ type: 'put', id: generateId(), data: toNewTaskDoc(task) })),
+          ...tasksRef.current.map(task => ({ type: 'remove', id: task.id })),
+        ];
+        await commitTaskBatches(chunkForBatches(ops), 'Backup restored');
+
+        if (backup.settings.timer) await saveTimerSettings(backup.settings.timer);
+        if (backup.settings.music) {
+          const youtubeUrl = backup.settings.music.youtubeUrl || null;
+          setCustomPlaylistUrl(youtubeUrl || DEFAULT_YT_PLAYLIST);
+          setInputUrl(youtubeUrl || '');
+          if (db && userId) {
+            await setDoc(doc(db, `artifacts/${appId}/users/${userId}/settings`, 'music'), { youtubeUrl }, { merge: true });
+          }
+        }
+      } else {
+        await addTasksBatch(mappedTasks);
+      }
+      return { added: restoredTasks.length, skipped: conflicts.size };
+    } catch (e) {
+      console.error("Error restoring backup: ", e);
+      return { error: e.message };
+    }
+  }, [taskRepository, db, userId, ensureProject, addTasksBatch, commitTaskBatches, saveTimerSettings]);
+
+  // --- Plain-text lists (todo.txt and Markdown checklists) ---
+  const exportTodoTxt = useCallback(() => {
+    const projectsById = Object.fromEntries(projectsRef.current.map(p => [p.id, p]));
+    downloadFile(`focus-hub-${formatDate(new Date())}.todo.txt`, serializeTodoTxt(tasksRef.current, projectsById), 'text/plain');
+  }, []);
+
+  const exportMarkdown = useCallback(() => {
+    downloadFile(`focus-hub-${formatDate(new Date())}.md`, serializeMarkdownChecklist(tasksRef.current), 'text/markdown');
+  }, []);
+
+  // `format` is 'todotxt' or 'markdown'; tasks without a +project land in `projectId`
+  const importPlainText = useCallback(async (text, format, { projectId = null } = {}) => {
+    const drafts = format === 'markdown' ? parseMarkdownChecklist(text) : parseTodoTxt(text);
+    if (drafts.length === 0) return { added: 0 };
+
+    try {
+      const projectIds = {};
+      for (const name of new Set(drafts.map(d => d.projectName).filter(Boolean))) {
+        projectIds[name] = await ensureProject(name);
+      }
+      await addTasksBatch(drafts.map(draft => ({ ...draft, projectId: projectIds[draft.projectName] || null })), { projectId });
+      return { added: drafts.length };
+    } catch (e) {
+      console.error("Error importing plain-text tasks: ", e);
+      return { error: e.message };
+    }
+  }, [ensureProject, addTasksBatch]);
+
+  // Checklists pasted into the AI generator join the project being viewed
+  const importChecklist = useCallback(
+    (text) => importPlainText(text, 'markdown', { projectId: activeFilter.type === 'project' ? activeFilter.id : null }),
+    [importPlainText, activeFilter]
+  );
+
+  // Exports every scheduled task (ignoring filters) as VTODO or VEVENT items
+  const exportCalendar = useCallback((component) => {
+    const ics = serializeIcs(tasksRef.current, { component, pomodoroMinutes: timerSettings.workMinutes });
+    downloadFile(`focus-hub-${formatDate(new Date())}.ics`, ics, 'text/calendar');
+  }, [timerSettings.workMinutes]);
+
+  // Imports an .ics file: items whose UID matches a task update it, the rest are added
+  const importCalendar = useCallback(async (icsText) => {
+    const { tasks: drafts, errors } = parseIcs(icsText);
+    const result = { added: 0, updated: 0, errors };
+    if (!taskRepository) return result;
+
+    const tasksByUid = new Map(tasksRef.current.map(t => [getTaskUid(t), t]));
+    const seenUids = new Set();
+    const updates = [];
+    const additions = [];
+
+    for (const draft of drafts) {
+      if (draft.uid && seenUids.has(draft.uid)) continue;
+      if (draft.uid) seenUids.add(draft.uid);
+
+      const existing = draft.uid ? tasksByUid.get(draft.uid) : null;
+      if (!existing) {
+        additions.push({ type: 'put', id: generateId(), data: toNewTaskDoc({ ...draft, icsUid: draft.uid }) });
+        continue;
+      }
+      updates.push({
+        type: 'update',
+        id: existing.id,
+        data: {
+          title: draft.title,
+          scheduledDate: draft.scheduledDate || '',
+          completed: draft.completed,
+          completedAt: draft.completed ? draft.completedAt || existing.completedAt || SERVER_TIMESTAMP : null,
+          subtasks: normalizeSubtasks(draft.subtasks),
+          recurrence: normalizeRecurrence(draft.recurrence),
+          priority: normalizePriority(draft.priority),
+          dueTime: normalizeDueTime(draft.dueTime),
+          estimate: normalizeEstimate(draft.estimate),
+          tags: normalizeTags(draft.tags),
+        },
+      });
+    }
+    if (updates.length + additions.length === 0) return result;
+
+    // Updates and additions are undone together, as one import
+    try {
+      await commitTaskBatches(chunkForBatches([...updates, ...additions]), 'Calendar imported');
+      result.updated = updates.length;
+      result.added = additions.length;
+    } catch (e) {
+      console.error("Error importing calendar: ", e);
+      result.errors = [...errors, e.message];
+    }
+    return result;
+  }, [taskRepository, commitTaskBatches]);
+
+  // Manual sort: a move only rewrites the moved task's order key
+  const reorderTask = useCallback(async (taskId, order) => {
+    if (!taskRepository || !order) return;
+
+    const before = snapshotTasks(tasksRef.current, [taskId]);
+    try {
+      await taskRepository.update(taskId, { order });
+      recordTaskChange('Task moved', before);
+    } catch (e) {
+      console.error("Error reordering task: ", e);
+    }
+  }, [taskRepository, recordTaskChange]);
+
+  // Calendar drag-and-drop and review carry-overs: only the date changes ('' = unscheduled)
+  const rescheduleTask = useCallback(async (taskId, scheduledDate) => {
+    const task = tasksRef.current.find(t => t.id === taskId);
+    if (!taskRepository || !task || (task.scheduledDate || '') === (scheduledDate || '')) return;
+
+    const before = snapshotTasks(tasksRef.current, [taskId]);
+    try {
+      await taskRepository.update(taskId, { scheduledDate: scheduledDate || '' });
+      recordTaskChange('Task rescheduled', before);
+    } catch (e) {
+      console.error("Error rescheduling task: ", e);
+    }
+  }, [taskRepository, recordTaskChange]);
+
+  // Reviews the last week of the tasks in view: completions, slipped tasks and logged focus time
+  const requestWeeklyReview = useCallback(async () => {
+    const today = formatDate(new Date());
+    const viewTasks = tasksRef.current.filter(t => matchesFilter(t, activeFilter));
+    const week = collectWeekReview(viewTasks, sessions, today);
+    if (week.completed.length === 0 && week.slipped.length === 0) {
+      setWeeklyReviewError("Nothing to review yet: no tasks were completed or slipped this week.");
+      return;
+    }
 
+    setIsReviewingWeek(true);
+    setWeeklyReviewError(null);
     try {
-      const tasksDocPath = `artifacts/${appId}/users/${userId}/todos/${taskId}`;
-      await updateDoc(doc(db, tasksDocPath), {
-        completed: !currentStatus,
-        completedAt: !currentStatus ? serverTimestamp() : null
+      const review = await generateWeeklyReview(aiProvider, { system: WEEKLY_REVIEW_PROMPT, prompt: describeWeekReview(week) }, {
+        slippedIds: week.slipped.map(t => t.id),
+        pendingIds: viewTasks.filter(t => !t.completed).map(t => t.id),
+        todayKey: today,
+      });
+      setWeeklyReview({
+        ...review,
+        startKey: week.startKey,
+        endKey: week.endKey,
+        completedCount: week.completed.length,
+        slippedCount: week.slipped.length,
+        focusSeconds: week.focus.seconds,
+        pomodoros: week.focus.pomodoros,
       });
+    } catch (e) {
+      console.error("Weekly review failed:", e);
+      setWeeklyReviewError(e.message || "Failed to write the weekly review. Please try again.");
+    } finally {
+      setIsReviewingWeek(false);
+    }
+  }, [aiProvider, activeFilter, sessions]);
+
+  const dismissWeeklyReview = useCallback(() => setWeeklyReview(null), []);
+
+  const toggleTaskCompleted = useCallback(async (taskId, currentStatus) => {
+    if (!taskRepository || !taskId) return;
+
+    const task = tasksRef.current.find(t => t.id === taskId);
+    // Completing a recurring task also creates its next occurrence, in the same batch
+    const ops = !currentStatus && task
+      ? getCompletionOps(task)
+      : [{ type: 'update', id: taskId, data: { completed: false, completedAt: null } }];
+    // Undoing the completion also removes the occurrence it created
+    const before = snapshotTasks(tasksRef.current, ops.map(op => op.id));
+
+    try {
+      await taskRepository.writeBatch(ops);
+      recordTaskChange(currentStatus ? 'Task reopened' : 'Task completed', before);
     } catch (e) {
       console.error("Error toggling task status: ", e);
     }
-  }, [db, userId]);
+  }, [taskRepository, recordTaskChange]);
+
+  const updateSubtasks = useCallback(async (taskId, subtasks) => {
+    if (!taskRepository || !taskId) return;
+
+    try {
+      await taskRepository.update(taskId, { subtasks });
+    } catch (e) {
+      console.error("Error updating subtasks: ", e);
+    }
+  }, [taskRepository]);
 
   const deleteTask = useCallback(async (taskId) => {
-    if (!db || !userId || !taskId) return;
+    if (!taskRepository || !taskId) return;
 
+    const before = snapshotTasks(tasksRef.current, [taskId]);
     try {
-      const tasksDocPath = `artifacts/${appId}/users/${userId}/todos/${taskId}`;
-      await deleteDoc(doc(db, tasksDocPath));
+      await taskRepository.remove(taskId);
+      recordTaskChange('Task deleted', before);
     } catch (e) {
       console.error("Error deleting document: ", e);
     }
-  }, [db, userId]);
+  }, [taskRepository, recordTaskChange]);
+
+  // Multi-select actions, undone as one change. Resolves { error } on failure so the selection is kept.
+  const bulkUpdateTasks = useCallback(async (taskIds, action, value) => {
+    if (!taskRepository || taskIds.length === 0) return;
+
+    const selected = tasksRef.current.filter(t => taskIds.includes(t.id));
+    // One group of operations per task, kept in the same batch
+    let groups = [];
+    let verb = '';
+    switch (action) {
+      case 'complete':
+        groups = selected.filter(t => !t.completed).map(getCompletionOps);
+        verb = 'completed';
+        break;
+      case 'reschedule':
+        groups = selected.map(t => [{ type: 'update', id: t.id, data: { scheduledDate: value } }]);
+        verb = 'rescheduled';
+        break;
+      case 'reschedule-each':
+        // `value` maps each task id to its own new date (weekly review carry-overs)
+        groups = selected.filter(t => value[t.id]).map(t => [{ type: 'update', id: t.id, data: { scheduledDate: value[t.id] } }]);
+        verb = 'rescheduled';
+        break;
+      case 'tag':
+        groups = selected.map(t => [{ type: 'update', id: t.id, data: { tags: normalizeTags([...(t.tags || []), ...normalizeTags(value)]) } }]);
+        verb = 'tagged';
+        break;
+      case 'delete':
+        groups = selected.map(t => [{ type: 'remove', id: t.id }]);
+        verb = 'deleted';
+        break;
+      default:
+        return;
+    }
+    if (groups.length === 0) return;
+
+    const count = groups.length;
+    try {
+      await commitTaskBatches(packBatches(groups), `${count} task${count === 1 ? '' : 's'} ${verb}`);
+    } catch (e) {
+      console.error("Error applying bulk action: ", e);
+      setUndoToast({ message: `Couldn't finish: ${e.message}`, action: null });
+      return { error: e.message };
+    }
+  }, [taskRepository, commitTaskBatches]);
+
+  // Undo/redo write the recorded snapshot back; the inverse is kept for the opposite direction.
+  // The history only moves once the write succeeds, so a failed step can be retried from the toast.
+  const isApplyingHistoryRef = useRef(false);
+  const applyHistoryStep = useCallback(async (action) => {
+    if (!taskRepository || isApplyingHistoryRef.current) return;
+    const result = (action === 'undo' ? undoStep : redoStep)(taskHistory, tasksRef.current);
+    if (!result) return;
+
+    isApplyingHistoryRef.current = true;
+    try {
+      await applySnapshot(taskRepository, result.entry.snapshot);
+      setTaskHistory(result.commit);
+      setUndoToast(action === 'undo'
+        ? { message: `Undone: ${result.entry.label}`, action: 'redo' }
+        : { message: `Redone: ${result.entry.label}`, action: 'undo' });
+    } catch (e) {
+      console.error(`Error applying ${action} of task change: `, e);
+      setUndoToast({ message: `Couldn't ${action} "${result.entry.label}": ${e.message}`, action });
+    } finally {
+      isApplyingHistoryRef.current = false;
+    }
+  }, [taskRepository, taskHistory]);
+
+  const undoTaskChange = useCallback(() => applyHistoryStep('undo'), [applyHistoryStep]);
+  const redoTaskChange = useCallback(() => applyHistoryStep('redo'), [applyHistoryStep]);
+
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+  useEffect(() => {
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditableTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoTaskChange();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoTaskChange();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undoTaskChange, redoTaskChange]);
 
   // Modal handlers
   const handleModalSubmit = useCallback((e) => {
     e.preventDefault();
+    const details = {
+      subtasks: newTaskSubtasks,
+      recurrence: newTaskRecurrence,
+      priority: newTaskPriority,
+      dueTime: newTaskDueTime,
+      estimate: newTaskEstimate,
+      projectId: newTaskProjectId,
+      tags: newTaskTags,
+    };
     if (modalType === 'add') {
-      addTask(newTaskTitle, newTaskDate);
+      addTask(newTaskTitle, newTaskDate, details);
     } else if (modalType === 'edit' && editingTask) {
-      updateTask(editingTask.id, newTaskTitle, newTaskDate);
+      updateTask(editingTask.id, newTaskTitle, newTaskDate, details);
     }
-  }, [modalType, newTaskTitle, newTaskDate, editingTask, addTask, updateTask]);
+  }, [modalType, newTaskTitle, newTaskDate, newTaskSubtasks, newTaskRecurrence, newTaskPriority, newTaskDueTime, newTaskEstimate, newTaskProjectId, newTaskTags, editingTask, addTask, updateTask]);
+
+  // Quick-add tasks default to today, like the New Task modal, and join the project being viewed
+  const quickAddTask = useCallback(({ title, scheduledDate, dueTime, tags, priority, recurrence }) => {
+    addTask(title, scheduledDate || formatDate(new Date()), {
+      recurrence,
+      priority,
+      dueTime,
+      tags: activeFilter.type === 'tag' && !tags.includes(activeFilter.tag) ? [...tags, activeFilter.tag] : tags,
+      projectId: activeFilter.type === 'project' ? activeFilter.id : '',
+    });
+  }, [addTask, activeFilter]);
 
-  const openAddModal = useCallback(() => {
+  const openAddModal = useCallback((scheduledDate = formatDate(new Date())) => {
     setModalType('add');
     setNewTaskTitle('');
-    setNewTaskDate(formatDate(new Date()));
+    setNewTaskDate(scheduledDate);
+    setNewTaskSubtasks([]);
+    setNewTaskRecurrence(null);
+    setNewTaskPriority('none');
+    setNewTaskDueTime('');
+    setNewTaskEstimate(0);
+    // New tasks start in the project currently being viewed
+    setNewTaskProjectId(activeFilter.type === 'project' ? activeFilter.id : '');
+    setNewTaskTags(activeFilter.type === 'tag' ? activeFilter.tag : '');
     setEditingTask(null);
     setShowModal(true);
-  }, []);
+  }, [activeFilter]);
 
   const openEditModal = useCallback((task) => {
     setModalType('edit');
     setNewTaskTitle(task.title);
     // Ensure date is valid for input type="date"
     setNewTaskDate(task.scheduledDate || formatDate(new Date())); 
+    setNewTaskSubtasks(task.subtasks || []);
+    setNewTaskRecurrence(task.recurrence || null);
+    setNewTaskPriority(task.priority || 'none');
+    setNewTaskDueTime(task.dueTime || '');
+    setNewTaskEstimate(task.estimate || 0);
+    setNewTaskProjectId(task.projectId || '');
+    setNewTaskTags((task.tags || []).join(', '));
     setEditingTask(task);
     setShowModal(true);
   }, []);
@@ -1005,30 +3830,157 @@ const App = () => {
   // D. POMODORO TIMER LOGIC (All Memoized)
   // =================================================================
 
-  const getSessionDuration = useCallback((type) => {
-    switch (type) {
-      case 'work': return WORK_TIME;
-      case 'short-break': return SHORT_BREAK;
-      case 'long-break': return LONG_BREAK;
-      default: return WORK_TIME;
-    }
+  const getSessionDuration = useCallback((type) => getDurationSeconds(timerSettings, type), [timerSettings]);
+
+  // Remaining time is always derived from the wall clock, never counted down
+  const displayedTimeLeft = getRemainingSeconds(timerState, getSessionDuration(sessionType), now);
+
+  // Completed work sessions today, derived from the persisted session log
+  const sessionCount = useMemo(() => countWorkSessionsOn(sessions, formatDate(new Date())), [sessions]);
+  const focusByTask = useMemo(() => summarizeFocusByTask(sessions), [sessions]);
+
+  // Keep tabs in sync: adopt any newer state another tab broadcasts
+  useEffect(() => {
+    const coordinator = createTabCoordinator({
+      name: TIMER_CHANNEL_NAME,
+      onState: (state) => {
+        if (!isValidTimerState(state)) return;
+        setTimerState(prev => state.updatedAt > prev.updatedAt ? state : prev);
+      },
+      // The tab that ended a session couldn't play audio; one that can plays the chime instead
+      onChime: ({ endedType, volume, endsAt }) => {
+        if (isAudioReady() && claimChime(endsAt)) playChime(endedType, volume);
+      },
+    });
+    timerCoordinatorRef.current = coordinator;
+    return () => {
+      coordinator.close();
+      timerCoordinatorRef.current = null;
+    };
   }, []);
 
-  const startTimer = useCallback(() => setTimerStatus('running'), []);
-  const pauseTimer = useCallback(() => setTimerStatus('paused'), []);
+  // Applies a timer state change locally, to other tabs and (when available) to Firestore
+  const commitTimerState = useCallback((nextState) => {
+    setTimerState(nextState);
+    setNow(nextState.updatedAt);
+    saveLocalTimerState(nextState);
+    timerCoordinatorRef.current?.broadcast(nextState);
+    if (db && userId) {
+      setDoc(doc(db, `artifacts/${appId}/users/${userId}/settings`, 'timerState'), nextState)
+        .catch(e => console.error("Error saving timer state:", e));
+    }
+  }, [db, userId]);
+
+  const logSession = useCallback(async (type, startedAt, endedAt) => {
+    if (!sessionRepository) return;
+
+    try {
+      await sessionRepository.add({ taskId: activeTaskId || null, type, startedAt, endedAt });
+    } catch (e) {
+      console.error("Error logging session: ", e);
+    }
+  }, [sessionRepository, activeTaskId]);
+
+  const startTimer = useCallback(() => {
+    primeAudio(); // Unlock audio during the click so the end-of-session chime can play later
+    commitTimerState(startTimerState(timerState, getSessionDuration(sessionType), Date.now()));
+  }, [timerState, sessionType, getSessionDuration, commitTimerState]);
+
+  const pauseTimer = useCallback(() => {
+    commitTimerState(pauseTimerState(timerState, getSessionDuration(sessionType), Date.now()));
+  }, [timerState, sessionType, getSessionDuration, commitTimerState]);
 
   const resetTimer = useCallback(() => {
-    setTimerStatus('stopped');
-    setTimeLeft(getSessionDuration(sessionType));
-  }, [sessionType, getSessionDuration]);
+    commitTimerState(resetTimerState(timerState, Date.now()));
+  }, [timerState, commitTimerState]);
+
+  const toggleTimer = useCallback(() => {
+    if (timerState.status === 'running') pauseTimer();
+    else startTimer();
+  }, [timerState.status, pauseTimer, startTimer]);
+
+  // Chime and/or notification for a session that ran out (only the tab that ends it gets here).
+  // The chime needs a tab whose audio was unlocked by a click; if this isn't one, another tab plays it.
+  const announceSessionEnd = useCallback((endedType, nextType, endsAt) => {
+    const endedWork = endedType === 'work';
+    if (endedWork ? timerSettings.soundOnWorkEnd : timerSettings.soundOnBreakEnd) {
+      if (isAudioReady() && claimChime(endsAt)) playChime(endedType, timerSettings.volume);
+      else timerCoordinatorRef.current?.requestChime({ endedType, volume: timerSettings.volume, endsAt });
+    }
+    if (endedWork ? timerSettings.notifyOnWorkEnd : timerSettings.notifyOnBreakEnd) {
+      showSessionNotification(
+        endedWork ? 'Focus session complete' : 'Break is over',
+        `Up next: ${SESSION_LABELS[nextType]}`,
+      );
+    }
+  }, [timerSettings]);
+
+  const commitDayPlan = useCallback((plan) => {
+    setDayPlan(plan);
+    saveDayPlan(plan);
+    // The timer follows the plan: the next work session belongs to the current block's task
+    const block = getCurrentBlock(plan);
+    if (block) setActiveTaskId(block.taskId);
+  }, []);
+
+  // Asks the AI for an ordered list of work sessions over the pending tasks
+  const planMyDay = useCallback(async (capacityInput) => {
+    const capacity = Math.min(MAX_DAILY_SESSIONS, Math.max(1, parseInt(capacityInput, 10) || DEFAULT_DAILY_SESSIONS));
+    const candidates = selectPlanCandidates(tasksRef.current);
+    if (candidates.length === 0) {
+      setDayPlanError("There are no pending tasks to plan.");
+      return;
+    }
+
+    setIsPlanningDay(true);
+    setDayPlanError(null);
+    try {
+      const prompt = describeDayPlanRequest({ tasks: candidates, capacity, todayKey: formatDate(new Date()) });
+      setProposedPlan(await generateDayPlan(aiProvider, { system: DAY_PLAN_PROMPT, prompt }, {
+        taskIds: candidates.map(task => task.id),
+        capacity,
+      }));
+    } catch (e) {
+      console.error("Day planning failed:", e);
+      setDayPlanError(e.message || "Failed to plan the day. Please try again.");
+    } finally {
+      setIsPlanningDay(false);
+    }
+  }, [aiProvider]);
+
+  const acceptDayPlan = useCallback(() => {
+    if (!proposedPlan) return;
+    commitDayPlan(createDayPlan(proposedPlan, formatDate(new Date())));
+    setProposedPlan(null);
+  }, [proposedPlan, commitDayPlan]);
+
+  const discardProposedPlan = useCallback(() => setProposedPlan(null), []);
+
+  const skipDayPlanBlock = useCallback(() => commitDayPlan(advanceDayPlan(dayPlan)), [dayPlan, commitDayPlan]);
+
+  const clearDayPlan = useCallback(() => commitDayPlan(null), [commitDayPlan]);
 
-  const switchSession = useCallback(() => {
+  // `completed` is true when the countdown ran out (as opposed to a manual skip)
+  const switchSession = useCallback(({ completed = false } = {}) => {
     let nextType;
     let nextCount = sessionCount;
 
+    // Only finished work sessions are logged, ending at the scheduled end time
+    // (which may lie in the past after a sleeping laptop wakes up). The start is
+    // backdated by the time the timer actually ran, so paused time isn't counted as focus.
+    if (completed && sessionType === 'work' && timerState.startedAt !== null) {
+      logSession('work', timerState.endsAt - getFocusedMs(timerState, timerState.endsAt), timerState.endsAt);
+    }
+
+    // A finished work session completes the current block of today's plan
+    if (completed && sessionType === 'work' && dayPlan?.date === formatDate(new Date()) && !isDayPlanFinished(dayPlan)) {
+      commitDayPlan(advanceDayPlan(dayPlan));
+    }
+
     if (sessionType === 'work') {
-      nextCount++;
-      if (nextCount % CYCLE_LENGTH === 0) {
+      nextCount += completed ? 1 : 0;
+      // Skipping a work session never earns the long break
+      if (completed && nextCount % timerSettings.cycleLength === 0) {
         nextType = 'long-break';
       } else {
         nextType = 'short-break';
@@ -1037,75 +3989,241 @@ const App = () => {
       nextType = 'work';
     }
 
-    setSessionType(nextType);
-    setSessionCount(nextCount);
-    setTimeLeft(getSessionDuration(nextType));
-    setTimerStatus('stopped');
-  }, [sessionType, sessionCount, getSessionDuration]);
+    if (completed) announceSessionEnd(sessionType, nextType, timerState.endsAt);
+
+    // Auto-start only follows a session that ran out, never a manual skip
+    const autoStart = completed && (nextType === 'work' ? timerSettings.autoStartWork : timerSettings.autoStartBreaks);
+    commitTimerState(nextSessionState(timerState, nextType, {
+      autoStart,
+      duration: getSessionDuration(nextType),
+      now: Date.now(),
+    }));
+  }, [timerState, sessionType, sessionCount, timerSettings, getSessionDuration, logSession, commitTimerState, announceSessionEnd, dayPlan, commitDayPlan]);
 
 
   useEffect(() => {
-    if (timerStatus === 'running') {
-      const interval = setInterval(() => {
-        setTimeLeft((prevTime) => {
-          if (prevTime <= 1) {
-            switchSession();
-            return 0;
-          }
-          return prevTime - 1;
-        });
-      }, 1000);
+    if (timerStatus !== 'running') return;
+    const endsAt = timerState.endsAt;
+
+    const interval = setInterval(() => {
+      const current = Date.now();
+      // Only re-render when the displayed second changes
+      setNow(prev => Math.ceil((endsAt - prev) / 1000) === Math.ceil((endsAt - current) / 1000) ? prev : current);
+      if (current < endsAt) return;
+
+      // The leader tab ends the session; others step in only if it stays silent (e.g. throttled).
+      // The claim makes sure exactly one tab runs switchSession for this end time.
+      const isLeader = timerCoordinatorRef.current ? timerCoordinatorRef.current.isLeader() : true;
+      if ((isLeader || current - endsAt > TIMER_TAKEOVER_GRACE) && claimSessionEnd(endsAt)) {
+        switchSession({ completed: true });
+      }
+    }, TIMER_TICK_INTERVAL);
 
-      return () => clearInterval(interval);
+    return () => clearInterval(interval);
+  }, [timerStatus, timerState.endsAt, switchSession]);
+
+  // Live countdown in the tab title while a session is running or paused
+  useEffect(() => {
+    if (timerStatus === 'stopped') {
+      document.title = DEFAULT_DOCUMENT_TITLE;
+      return;
     }
-  }, [timerStatus, switchSession]);
+    const paused = timerStatus === 'paused' ? ' (paused)' : '';
+    document.title = `${formatTime(displayedTimeLeft)}${paused} · ${SESSION_LABELS[sessionType]}`;
+  }, [timerStatus, displayedTimeLeft, sessionType]);
+
+  useEffect(() => () => { document.title = DEFAULT_DOCUMENT_TITLE; }, []);
 
   // =================================================================
   // E. STATS CALCULATION (Memoized)
   // =================================================================
 
+  const projectsById = useMemo(() => Object.fromEntries(projects.map(p => [p.id, p])), [projects]);
+  const allTags = useMemo(() => collectTags(tasks), [tasks]);
+  const filterLabel = useMemo(() => describeFilter(activeFilter, projectsById), [activeFilter, projectsById]);
+  const clearFilter = useCallback(() => setActiveFilter(ALL_TASKS_FILTER), []);
+
+  // Tasks visible under the active project/tag filter (feeds every view)
+  const filteredTasks = useMemo(() => tasks.filter(t => matchesFilter(t, activeFilter)), [tasks, activeFilter]);
+
   const stats = useMemo(() => {
-    const total = tasks.length;
-    const completed = tasks.filter(t => t.completed).length;
+    const total = filteredTasks.length;
+    const completed = filteredTasks.filter(t => t.completed).length;
     const pending = total - completed;
-    const scheduled = tasks.filter(t => t.scheduledDate).length;
+    const scheduled = filteredTasks.filter(t => t.scheduledDate).length;
     const completionRate = total > 0 ? ((completed / total) * 100).toFixed(0) : 0;
-    return { total, completed, pending, scheduled, completionRate };
-  }, [tasks]);
+    const pendingEstimate = filteredTasks.filter(t => !t.completed).reduce((sum, t) => sum + (t.estimate || 0), 0);
+    return { total, completed, pending, scheduled, completionRate, pendingEstimate };
+  }, [filteredTasks]);
   
-  // Tasks sorted for the TodoList (Memoized)
+  const analytics = useMemo(() => summarizeAnalytics(filteredTasks, formatDate(new Date())), [filteredTasks]);
+
+  const parsedQuery = useMemo(() => parseQuery(searchQuery), [searchQuery]);
+
+  // Candidates for the timer's active task picker
+  const pendingTasks = useMemo(() => tasks.filter(t => !t.completed), [tasks]);
+
+  // Tasks sorted for the TodoList (Memoized), narrowed by the search query
   const sortedTasks = useMemo(() => {
-      return tasks.slice().sort((a, b) => {
-          // Sort by creation time (descending)
-          return b.createdAt - a.createdAt; 
-      });
-  }, [tasks]);
+      const today = formatDate(new Date());
+      return filteredTasks
+          .filter(t => matchesQuery(t, parsedQuery, { today, projectsById }))
+          .sort((a, b) => {
+              // Sort by creation time (descending)
+              return b.createdAt - a.createdAt; 
+          });
+  }, [filteredTasks, parsedQuery, projectsById]);
 
 
   // =================================================================
   // F. RENDER COMPONENTS - Logic
   // =================================================================
 
+  // --- Keyboard shortcuts & command palette ---
+  const closePalette = useCallback(() => setIsPaletteOpen(false), []);
+  const closeShortcutHelp = useCallback(() => setIsShortcutHelpOpen(false), []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsShortcutHelpOpen(false);
+        setIsPaletteOpen(open => !open);
+        return;
+      }
+      if (isShortcutHelpOpen && e.key === 'Escape') {
+        setIsShortcutHelpOpen(false);
+        return;
+      }
+      if (!isShortcutEvent(e) || showModal || isPaletteOpen) return;
+
+      const viewIndex = ['1', '2', '3'].indexOf(e.key);
+      if (e.key === '?') {
+        e.preventDefault();
+        setIsShortcutHelpOpen(open => !open);
+      } else if (isShortcutHelpOpen) {
+        return;
+      } else if (e.key === 'n') {
+        e.preventDefault();
+        openAddModal();
+      } else if (e.key === ' ' && !['BUTTON', 'A'].includes(e.target.tagName)) {
+        // Space on a focused button should still press that button
+        e.preventDefault();
+        toggleTimer();
+      } else if (viewIndex !== -1) {
+        e.preventDefault();
+        setViewMode(VIEW_MODES[viewIndex].id);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showModal, isPaletteOpen, isShortcutHelpOpen, openAddModal, toggleTimer]);
+
+  // Everything the palette can run: app commands first, then one entry per task
+  const paletteItems = useMemo(() => [
+    { id: 'new-task', label: 'New task', group: 'Commands', shortcut: 'N', run: () => openAddModal() },
+    { id: 'toggle-timer', label: timerStatus === 'running' ? 'Pause timer' : 'Start timer', group: 'Commands', shortcut: 'Space', run: toggleTimer },
+    { id: 'reset-timer', label: 'Reset timer', group: 'Commands', run: resetTimer },
+    { id: 'skip-session', label: `Skip to next session (${SESSION_LABELS[sessionType]} now)`, group: 'Commands', run: () => switchSession() },
+    ...VIEW_MODES.map((mode, index) => ({
+      id: `view-${mode.id}`, label: `Go to ${mode.name}`, group: 'Commands', shortcut: String(index + 1), run: () => setViewMode(mode.id),
+    })),
+    { id: 'weekly-review', label: 'Weekly review', group: 'Commands', run: () => { setViewMode('stats'); requestWeeklyReview(); } },
+    { id: 'export-backup', label: 'Export backup', group: 'Commands', run: exportBackup },
+    { id: 'undo', label: 'Undo last task change', group: 'Commands', shortcut: 'Ctrl Z', run: undoTaskChange },
+    { id: 'redo', label: 'Redo task change', group: 'Commands', shortcut: 'Ctrl Shift Z', run: redoTaskChange },
+    { id: 'shortcuts', label: 'Show keyboard shortcuts', group: 'Commands', shortcut: '?', run: () => setIsShortcutHelpOpen(true) },
+    ...tasks.map(task => ({
+      id: `task-${task.id}`,
+      label: task.title,
+      group: 'Tasks',
+      hint: task.completed ? 'Done' : task.scheduledDate,
+      run: () => openEditModal(task),
+    })),
+  ], [tasks, timerStatus, sessionType, openAddModal, openEditModal, toggleTimer, resetTimer, switchSession, requestWeeklyReview, exportBackup, undoTaskChange, redoTaskChange]);
+
   const renderMainContent = () => {
     switch (viewMode) {
       case 'calendar':
-        return <CalendarView tasks={tasks} />;
+        return (
+            <CalendarView
+                tasks={filteredTasks}
+                filterLabel={filterLabel}
+                clearFilter={clearFilter}
+                rescheduleTask={rescheduleTask}
+                openAddModal={openAddModal}
+                openEditModal={openEditModal}
+                exportCalendar={exportCalendar}
+                importCalendar={importCalendar}
+            />
+        );
       case 'stats':
-        return <DashboardStats stats={stats} />;
+        return (
+            <>
+                <DashboardStats
+                    stats={stats}
+                    analytics={analytics}
+                    filterLabel={filterLabel}
+                    clearFilter={clearFilter}
+                    tasks={filteredTasks}
+                    weeklyReview={weeklyReview}
+                    requestWeeklyReview={requestWeeklyReview}
+                    dismissWeeklyReview={dismissWeeklyReview}
+                    isReviewingWeek={isReviewingWeek}
+                    weeklyReviewError={weeklyReviewError}
+                    rescheduleTask={rescheduleTask}
+                    bulkUpdateTasks={bulkUpdateTasks}
+                />
+                <div className="px-6 pb-6">
+                    <BackupPanel
+                        tasks={tasks}
+                        exportBackup={exportBackup}
+                        exportTasksCsv={exportTasksCsv}
+                        restoreBackup={restoreBackup}
+                        exportTodoTxt={exportTodoTxt}
+                        exportMarkdown={exportMarkdown}
+                        importPlainText={importPlainText}
+                    />
+                </div>
+            </>
+        );
       case 'tasks':
       default:
         // Pass all stable props to the external TodoList component
         return (
             <TodoList 
                 sortedTasks={sortedTasks}
-                stats={stats}
                 openAddModal={openAddModal}
+                quickAddTask={quickAddTask}
                 generateTasksFromPrompt={generateTasksFromPrompt}
+                importChecklist={importChecklist}
+                aiSettings={aiSettings}
+                aiApiKey={aiApiKey}
+                saveAiSettings={saveAiSettings}
+                aiDrafts={aiDrafts}
+                changeAiDrafts={changeAiDrafts}
+                regenerateAiDraft={regenerateAiDraft}
+                commitAiDrafts={commitAiDrafts}
+                discardAiDrafts={discardAiDrafts}
                 isGeneratingTasks={isGeneratingTasks}
                 generationError={generationError}
                 toggleTaskCompleted={toggleTaskCompleted}
                 openEditModal={openEditModal}
                 deleteTask={deleteTask}
+                updateSubtasks={updateSubtasks}
+                bulkUpdateTasks={bulkUpdateTasks}
+                reorderTask={reorderTask}
+                shortcutsEnabled={!showModal && !isPaletteOpen && !isShortcutHelpOpen}
+                projectsById={projectsById}
+                filterLabel={filterLabel}
+                clearFilter={clearFilter}
+                searchQuery={searchQuery}
+                setSearchQuery={setSearchQuery}
+                queryErrors={parsedQuery.errors}
+                saveSearch={saveSearch}
+                focusByTask={focusByTask}
+                activeTaskId={activeTaskId}
+                setActiveTaskId={setActiveTaskId}
             />
         );
     }
@@ -1129,15 +4247,20 @@ const App = () => {
   const MemoizedPomodoroTimer = useMemo(() => (
     <PomodoroTimer 
         sessionType={sessionType}
-        timeLeft={timeLeft}
+        timeLeft={displayedTimeLeft}
         timerStatus={timerStatus}
         startTimer={startTimer}
         pauseTimer={pauseTimer}
         resetTimer={resetTimer}
         switchSession={switchSession}
         sessionCount={sessionCount}
+        activeTaskId={activeTaskId}
+        setActiveTaskId={setActiveTaskId}
+        pendingTasks={pendingTasks}
+        timerSettings={timerSettings}
+        saveTimerSettings={saveTimerSettings}
     />
-  ), [sessionType, timeLeft, timerStatus, sessionCount, startTimer, pauseTimer, resetTimer, switchSession]);
+  ), [sessionType, displayedTimeLeft, timerStatus, sessionCount, startTimer, pauseTimer, resetTimer, switchSession, activeTaskId, pendingTasks, timerSettings, saveTimerSettings]);
 
 
   // =================================================================
@@ -1166,11 +4289,7 @@ const App = () => {
 
         {/* Navigation */}
         <nav className="space-y-2 mb-8">
-          {[
-            { id: 'tasks', name: 'To-Do List', icon: List },
-            { id: 'calendar', name: 'Schedules & Calendar', icon: Calendar },
-            { id: 'stats', name: 'Dashboard', icon: BarChart },
-          ].map((item) => (
+          {VIEW_MODES.map((item, index) => (
             <button
               key={item.id}
               onClick={() => setViewMode(item.id)}
@@ -1182,13 +4301,55 @@ const App = () => {
             >
               <item.icon size={20} className="mr-3" />
               {item.name}
+              <kbd className="ml-auto px-1.5 text-xs rounded border border-gray-300 text-gray-400 font-mono">{index + 1}</kbd>
             </button>
           ))}
+          <button
+            onClick={() => setIsPaletteOpen(true)}
+            className="w-full flex items-center p-3 rounded-xl text-sm text-gray-500 hover:bg-gray-200 hover:text-gray-700 transition-all"
+          >
+            <Search size={16} className="mr-3" />
+            Search commands
+            <kbd className="ml-auto px-1.5 text-xs rounded border border-gray-300 text-gray-400 font-mono">Ctrl K</kbd>
+          </button>
         </nav>
 
+        {/* Projects & Tags (filters for every view) */}
+        <ProjectSidebar
+            projects={projects}
+            tags={allTags}
+            activeFilter={activeFilter}
+            setActiveFilter={setActiveFilter}
+            addProject={addProject}
+            deleteProject={deleteProject}
+        />
+
+        {/* Saved Searches */}
+        <SmartListSidebar
+            savedSearches={savedSearches}
+            activeQuery={viewMode === 'tasks' ? searchQuery : null}
+            runSavedSearch={runSavedSearch}
+            deleteSavedSearch={deleteSavedSearch}
+        />
+
         {/* Pomodoro Timer (Memoized) */}
         {MemoizedPomodoroTimer}
 
+        {/* Plan my day */}
+        <DayPlanPanel
+            tasks={tasks}
+            dayPlan={dayPlan}
+            proposedPlan={proposedPlan}
+            defaultCapacity={Math.max(1, DEFAULT_DAILY_SESSIONS - sessionCount)}
+            planMyDay={planMyDay}
+            acceptDayPlan={acceptDayPlan}
+            discardProposedPlan={discardProposedPlan}
+            skipDayPlanBlock={skipDayPlanBlock}
+            clearDayPlan={clearDayPlan}
+            isPlanningDay={isPlanningDay}
+            dayPlanError={dayPlanError}
+        />
+
         {/* Music Integration (Memoized) */}
         {MemoizedMusicIntegration}
 
@@ -1214,8 +4375,33 @@ const App = () => {
           setNewTaskTitle={setNewTaskTitle}
           newTaskDate={newTaskDate}
           setNewTaskDate={setNewTaskDate}
+          newTaskSubtasks={newTaskSubtasks}
+          setNewTaskSubtasks={setNewTaskSubtasks}
+          newTaskRecurrence={newTaskRecurrence}
+          setNewTaskRecurrence={setNewTaskRecurrence}
+          newTaskPriority={newTaskPriority}
+          setNewTaskPriority={setNewTaskPriority}
+          newTaskDueTime={newTaskDueTime}
+          setNewTaskDueTime={setNewTaskDueTime}
+          newTaskEstimate={newTaskEstimate}
+          setNewTaskEstimate={setNewTaskEstimate}
+          newTaskProjectId={newTaskProjectId}
+          setNewTaskProjectId={setNewTaskProjectId}
+          newTaskTags={newTaskTags}
+          setNewTaskTags={setNewTaskTags}
+          projects={projects}
           handleModalSubmit={handleModalSubmit}
       />
+
+      <UndoToast
+          toast={undoToast}
+          undoTaskChange={undoTaskChange}
+          redoTaskChange={redoTaskChange}
+          onClose={dismissUndoToast}
+      />
+
+      {isPaletteOpen && <CommandPalette items={paletteItems} onClose={closePalette} />}
+      {isShortcutHelpOpen && <ShortcutHelp onClose={closeShortcutHelp} />}
     </div>
   );
 };
@@ -0,0 +1,40 @@
+import { AI_PROVIDERS } from './providers.js';
+
+/**
+ * AI generator settings. Provider, model and base URL are stored with the other user settings
+ * (the 'ai' document); API keys stay in this browser's localStorage and are never synced.
+ */
+
+const API_KEYS_STORAGE_KEY = 'focus-hub:ai-api-keys';
+
+const envProvider = import.meta.env?.VITE_AI_PROVIDER;
+
+export const DEFAULT_AI_SETTINGS = {
+  provider: AI_PROVIDERS.some(p => p.id === envProvider) ? envProvider : 'gemini',
+  model: '', // '' = the provider's default
+  baseUrl: '',
+};
+
+export const normalizeAiSettings = (settings = {}) => ({
+  provider: AI_PROVIDERS.some(p => p.id === settings.provider) ? settings.provider : DEFAULT_AI_SETTINGS.provider,
+  model: typeof settings.model === 'string' ? settings.model.trim() : '',
+  baseUrl: typeof settings.baseUrl === 'string' ? settings.baseUrl.trim() : '',
+});
+
+const loadApiKeys = () => {
+  try {
+    return JSON.parse(localStorage.getItem(API_KEYS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const loadApiKey = (provider) => loadApiKeys()[provider] || '';
+
+export const saveApiKey = (provider, apiKey) => {
+  try {
+    localStorage.setItem(API_KEYS_STORAGE_KEY, JSON.stringify({ ...loadApiKeys(), [provider]: apiKey }));
+  } catch {
+    // Storage unavailable: the key only lasts for this session
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Response shape for "Plan my day": an ordered list of Pomodoro blocks, one work session each.
+ */
+export const DAY_PLAN_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    blocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'string', description: 'Id of the pending task worked on in this session.' },
+          note: { type: 'string', description: 'Optional short focus note for the session.' },
+        },
+        required: ['taskId'],
+      },
+    },
+  },
+  required: ['blocks'],
+};
+
+export const DAY_PLAN_FORMAT_HINT = 'Reply with a JSON object of the form {"blocks": [{"taskId": "...", "note": "..."}]} and nothing else.';
+
+/**
+ * Keeps blocks that point at one of `taskIds`, up to `capacity` of them; throws when none are left.
+ */
+export const validateDayPlan = (data, taskIds, capacity) => {
+  const known = new Set(taskIds);
+  const list = Array.isArray(data) ? data : data?.blocks;
+  if (!Array.isArray(list)) {
+    throw new Error("The AI response did not contain a list of blocks.");
+  }
+
+  const blocks = list
+    .filter(b => b && known.has(String(b.taskId)))
+    .slice(0, capacity)
+    .map(b => ({ taskId: String(b.taskId), note: typeof b.note === 'string' ? b.note.trim() : '' }));
+  if (blocks.length === 0) {
+    throw new Error("The suggested plan did not reference any of your pending tasks.");
+  }
+  return blocks;
+};
@@ -0,0 +1,26 @@
+/**
+ * Executes a fetch request with exponential backoff for handling rate limits.
+ */
+export const fetchWithBackoff = async (url, options, maxRetries = 5) => {
+    let delay = 1000;
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            const response = await fetch(url, options);
+            if (response.status === 429) {
+                if (i === maxRetries - 1) throw new Error("API rate limit exceeded after max retries.");
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay *= 2; // Exponential backoff
+                continue;
+            }
+            if (!response.ok) {
+                 const errorBody = await response.text();
+                 throw new Error(`API call failed with status ${response.status}: ${errorBody}`);
+            }
+            return response;
+        } catch (error) {
+            if (i === maxRetries - 1) throw error;
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay *= 2;
+        }
+    }
+};
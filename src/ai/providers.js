@@ -0,0 +1,227 @@
+import { fetchWithBackoff } from './http.js';
+import { TASK_LIST_JSON_SCHEMA, TASK_LIST_FORMAT_HINT, parseJsonResponse, validateGeneratedTasks } from './taskSchema.js';
+import { DAY_PLAN_JSON_SCHEMA, DAY_PLAN_FORMAT_HINT, validateDayPlan } from './dayPlanSchema.js';
+import { WEEKLY_REVIEW_JSON_SCHEMA, WEEKLY_REVIEW_FORMAT_HINT, validateWeeklyReview } from './weeklyReviewSchema.js';
+
+/**
+ * Interface shared by every AI backend.
+ *
+ * @typedef {Object} AiProvider
+ * @property {string} id
+ * @property {(request: AiRequest) => Promise<string>} complete
+ *           Resolves the raw model output, which should be JSON in the shape of RESPONSE_FORMATS[kind].
+ *
+ * @typedef {Object} AiRequest
+ * @property {'tasks' | 'day-plan' | 'weekly-review'} [kind]  Expected response format (default 'tasks').
+ * @property {string} system
+ * @property {string} prompt
+ * @property {boolean} [single]  Exactly one task is wanted (only the mock needs to be told).
+ */
+
+const RESPONSE_FORMATS = {
+  'tasks': { schema: TASK_LIST_JSON_SCHEMA, hint: TASK_LIST_FORMAT_HINT },
+  'day-plan': { schema: DAY_PLAN_JSON_SCHEMA, hint: DAY_PLAN_FORMAT_HINT },
+  'weekly-review': { schema: WEEKLY_REVIEW_JSON_SCHEMA, hint: WEEKLY_REVIEW_FORMAT_HINT },
+};
+
+const getResponseFormat = (kind) => RESPONSE_FORMATS[kind] || RESPONSE_FORMATS.tasks;
+
+export const AI_PROVIDERS = [
+  { id: 'gemini', label: 'Google Gemini', defaultModel: 'gemini-2.5-flash-preview-09-2025', defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta', needsApiKey: true },
+  { id: 'openai', label: 'OpenAI-compatible', defaultModel: 'gpt-4o-mini', defaultBaseUrl: 'https://api.openai.com/v1', needsApiKey: true },
+  { id: 'ollama', label: 'Ollama (local)', defaultModel: 'llama3.1', defaultBaseUrl: 'http://localhost:11434', needsApiKey: false },
+  { id: 'mock', label: 'Offline mock', defaultModel: 'mock', defaultBaseUrl: '', needsApiKey: false },
+];
+
+export const getProviderInfo = (id) => AI_PROVIDERS.find(p => p.id === id) || AI_PROVIDERS[0];
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Gemini's responseSchema uses upper-case OpenAPI type names
+const toGeminiSchema = (schema) => {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  return converted;
+};
+
+const createGeminiProvider = ({ model, baseUrl, apiKey }) => ({
+  id: 'gemini',
+  async complete({ kind, system, prompt }) {
+    const response = await fetchWithBackoff(`${trimSlash(baseUrl)}/models/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+        systemInstruction: { parts: [{ text: system }] },
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: toGeminiSchema(getResponseFormat(kind).schema),
+        },
+      }),
+    });
+    const result = await response.json();
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) throw new Error("Gemini returned no content or an invalid structure.");
+    return text;
+  },
+});
+
+// Any endpoint speaking the OpenAI chat completions API (OpenAI, Azure, LM Studio, vLLM, OpenRouter...)
+const createOpenAiCompatibleProvider = ({ model, baseUrl, apiKey }) => ({
+  id: 'openai',
+  async complete({ kind, system, prompt }) {
+    const response = await fetchWithBackoff(`${trimSlash(baseUrl)}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: `${system}\n\n${getResponseFormat(kind).hint}` },
+          { role: 'user', content: prompt },
+        ],
+        response_format: { type: 'json_object' },
+      }),
+    });
+    const result = await response.json();
+    const text = result.choices?.[0]?.message?.content;
+    if (!text) throw new Error("The chat endpoint returned no content.");
+    return text;
+  },
+});
+
+const createOllamaProvider = ({ model, baseUrl }) => ({
+  id: 'ollama',
+  async complete({ kind, system, prompt }) {
+    const response = await fetchWithBackoff(`${trimSlash(baseUrl)}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        stream: false,
+        format: getResponseFormat(kind).schema,
+        messages: [
+          { role: 'system', content: `${system}\n\n${getResponseFormat(kind).hint}` },
+          { role: 'user', content: prompt },
+        ],
+      }),
+    }, 1); // A local server is either up or not; retrying only delays the error
+    const result = await response.json();
+    const text = result.message?.content;
+    if (!text) throw new Error("The Ollama server returned no content.");
+    return text;
+  },
+});
+
+const hashString = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  return Math.abs(hash);
+};
+
+const MOCK_STEPS = ['Research', 'Outline', 'Gather materials', 'First draft', 'Review', 'Polish', 'Share'];
+
+// Fills the available sessions with the listed tasks in order, `estimate` sessions each (at least one)
+const mockDayPlan = (prompt) => {
+  const capacity = parseInt(prompt.match(/sessions available today: (\d+)/i)?.[1], 10) || 4;
+  const blocks = [];
+  for (const [line, taskId] of prompt.matchAll(/^- \[([^\]]+)\].*$/gm)) {
+    const estimate = parseInt(line.match(/estimate: (\d+)/)?.[1], 10) || 1;
+    for (let i = 0; i < estimate && blocks.length < capacity; i++) {
+      blocks.push({ taskId, note: i === 0 ? 'Start here' : 'Keep going' });
+    }
+  }
+  return JSON.stringify({ blocks });
+};
+
+const shiftDateKey = (key, days) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const date = new Date(year, month - 1, day + days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Wins from the "Completed tasks" section; every slipped task is carried over, one per day from tomorrow
+const mockWeeklyReview = (prompt) => {
+  const today = prompt.match(/\d{4}-\d{2}-\d{2}/)?.[0];
+  const [completedSection = '', slippedSection = ''] = prompt.split(/^Slipped tasks.*$/m);
+  const listed = (section) => [...section.matchAll(/^- \[([^\]]+)\] (.*?)(?: \| .*)?$/gm)].map(([, taskId, title]) => ({ taskId, title }));
+  const completed = listed(completedSection);
+  const slipped = listed(slippedSection);
+
+  return JSON.stringify({
+    summary: `${completed.length} task${completed.length === 1 ? '' : 's'} completed and ${slipped.length} slipped this week.`,
+    wins: completed.slice(0, 3).map(task => `Finished "${task.title}"`),
+    slipped: slipped.map(task => ({ taskId: task.taskId, note: 'Still pending after its date.' })),
+    carryOvers: today ? slipped.map((task, i) => ({ taskId: task.taskId, scheduledDate: shiftDateKey(today, i + 1), reason: 'Spread over the coming days.' })) : [],
+  });
+};
+
+/**
+ * Deterministic offline provider: the same prompt always yields the same response. Tasks are
+ * dated from the "Today is ..." line of the planning context when there is one.
+ */
+const createMockProvider = () => ({
+  id: 'mock',
+  async complete({ kind, prompt, single = false }) {
+    if (kind === 'day-plan') return mockDayPlan(prompt);
+    if (kind === 'weekly-review') return mockWeeklyReview(prompt);
+
+    const goal = (prompt.match(/^Goal: (.+)$/m)?.[1] || prompt).trim().slice(0, 40);
+    const today = prompt.match(/\d{4}-\d{2}-\d{2}/)?.[0] || null;
+    const hash = hashString(prompt);
+    const count = single ? 1 : 5 + (hash % 3);
+
+    const tasks = Array.from({ length: count }, (_, i) => {
+      const step = MOCK_STEPS[(i + (single ? hash : 0)) % MOCK_STEPS.length];
+      return {
+        title: `${step}: ${goal}`,
+        scheduledDate: today ? shiftDateKey(today, i) : '',
+        subtasks: i % 2 === 0 ? [{ title: 'Make a first pass' }, { title: 'Check the result' }] : [],
+      };
+    });
+    return JSON.stringify({ tasks });
+  },
+});
+
+/**
+ * Builds the provider selected in the AI settings ({ provider, model, baseUrl, apiKey }),
+ * filling in each provider's default model and URL.
+ */
+export const createAiProvider = (settings) => {
+  const info = getProviderInfo(settings.provider);
+  const options = {
+    model: settings.model || info.defaultModel,
+    baseUrl: settings.baseUrl || info.defaultBaseUrl,
+    apiKey: settings.apiKey || '',
+  };
+  switch (info.id) {
+    case 'openai': return createOpenAiCompatibleProvider(options);
+    case 'ollama': return createOllamaProvider(options);
+    case 'mock': return createMockProvider();
+    case 'gemini':
+    default: return createGeminiProvider(options);
+  }
+};
+
+/**
+ * Runs a task-generation request through `provider` and the shared schema validation.
+ */
+export const generateTasks = async (provider, request) =>
+  validateGeneratedTasks(parseJsonResponse(await provider.complete({ ...request, kind: 'tasks' })));
+
+/**
+ * Asks `provider` for a day plan over `taskIds`, validated against the same ids and `capacity`.
+ */
+export const generateDayPlan = async (provider, request, { taskIds, capacity }) =>
+  validateDayPlan(parseJsonResponse(await provider.complete({ ...request, kind: 'day-plan' })), taskIds, capacity);
+
+/**
+ * Asks `provider` for a review of the week; slipped notes and carry-overs are checked against the given ids.
+ */
+export const generateWeeklyReview = async (provider, request, { slippedIds, pendingIds, todayKey }) =>
+  validateWeeklyReview(parseJsonResponse(await provider.complete({ ...request, kind: 'weekly-review' })), { slippedIds, pendingIds, todayKey });
@@ -0,0 +1,72 @@
+import { DATE_KEY_PATTERN } from '../tasks/dates.js';
+
+/**
+ * The shape every provider must return: an array of
+ * { title, scheduledDate?, subtasks?: [{ title }] }, optionally wrapped as { tasks: [...] }
+ * for endpoints whose JSON mode requires a top-level object.
+ */
+export const TASK_LIST_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Concise title for the task (max 10 words).' },
+          scheduledDate: { type: 'string', description: 'Schedule date in YYYY-MM-DD format, or empty string.' },
+          subtasks: {
+            type: 'array',
+            description: 'Optional ordered checklist of small steps for this task.',
+            items: {
+              type: 'object',
+              properties: { title: { type: 'string' } },
+              required: ['title'],
+            },
+          },
+        },
+        required: ['title'],
+      },
+    },
+  },
+  required: ['tasks'],
+};
+
+// Plain-language version for providers without structured output
+export const TASK_LIST_FORMAT_HINT = 'Reply with a JSON object of the form {"tasks": [{"title": "...", "scheduledDate": "YYYY-MM-DD or empty", "subtasks": [{"title": "..."}]}]} and nothing else.';
+
+/**
+ * Parses model output that should be JSON, tolerating Markdown code fences around it.
+ */
+export const parseJsonResponse = (text) => {
+  const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    throw new Error("The AI response was not valid JSON.");
+  }
+};
+
+/**
+ * Validates parsed output and returns clean tasks; throws when nothing usable is left.
+ */
+export const validateGeneratedTasks = (data) => {
+  const list = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("The AI response did not contain a valid array of tasks.");
+  }
+
+  const tasks = list
+    .filter(t => t && typeof t.title === 'string' && t.title.trim())
+    .map(t => ({
+      title: t.title.trim(),
+      scheduledDate: typeof t.scheduledDate === 'string' && DATE_KEY_PATTERN.test(t.scheduledDate) ? t.scheduledDate : '',
+      subtasks: Array.isArray(t.subtasks)
+        ? t.subtasks.filter(s => s && typeof s.title === 'string' && s.title.trim()).map(s => ({ title: s.title.trim() }))
+        : [],
+    }));
+  if (tasks.length === 0) {
+    throw new Error("Generated tasks were empty or invalid after parsing.");
+  }
+  return tasks;
+};
@@ -0,0 +1,80 @@
+import { DATE_KEY_PATTERN } from '../tasks/dates.js';
+
+/**
+ * Response shape for the weekly review: a short summary, wins, notes on slipped tasks
+ * and suggested new dates for the tasks worth carrying over.
+ */
+export const WEEKLY_REVIEW_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'Two or three sentences on how the week went.' },
+    wins: { type: 'array', items: { type: 'string' } },
+    slipped: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'string' },
+          note: { type: 'string', description: 'Why it may have slipped or what would unblock it.' },
+        },
+        required: ['taskId'],
+      },
+    },
+    carryOvers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'string' },
+          scheduledDate: { type: 'string', description: 'New date in YYYY-MM-DD format, today or later.' },
+          reason: { type: 'string' },
+        },
+        required: ['taskId', 'scheduledDate'],
+      },
+    },
+  },
+  required: ['summary', 'wins', 'slipped', 'carryOvers'],
+};
+
+export const WEEKLY_REVIEW_FORMAT_HINT = 'Reply with a JSON object of the form {"summary": "...", "wins": ["..."], "slipped": [{"taskId": "...", "note": "..."}], "carryOvers": [{"taskId": "...", "scheduledDate": "YYYY-MM-DD", "reason": "..."}]} and nothing else.';
+
+const MAX_WINS = 8;
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Cleans up a review: slipped notes must name one of `slippedIds`, carry-overs one of
+ * `pendingIds` with a date on or after `todayKey` (one suggestion per task).
+ */
+export const validateWeeklyReview = (data, { slippedIds, pendingIds, todayKey }) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error("The AI response was not a weekly review.");
+  }
+  const slippedSet = new Set(slippedIds);
+  const pendingSet = new Set(pendingIds);
+
+  const review = {
+    summary: text(data.summary),
+    wins: (Array.isArray(data.wins) ? data.wins : []).map(text).filter(Boolean).slice(0, MAX_WINS),
+    slipped: (Array.isArray(data.slipped) ? data.slipped : [])
+      .filter(item => item && slippedSet.has(String(item.taskId)))
+      .map(item => ({ taskId: String(item.taskId), note: text(item.note) })),
+    carryOvers: [],
+  };
+
+  for (const item of Array.isArray(data.carryOvers) ? data.carryOvers : []) {
+    const taskId = String(item?.taskId);
+    if (!pendingSet.has(taskId) || review.carryOvers.some(c => c.taskId === taskId)) continue;
+    const date = text(item.scheduledDate);
+    review.carryOvers.push({
+      taskId,
+      scheduledDate: DATE_KEY_PATTERN.test(date) && date >= todayKey ? date : todayKey,
+      reason: text(item.reason),
+    });
+  }
+
+  if (!review.summary && review.wins.length === 0 && review.slipped.length === 0 && review.carryOvers.length === 0) {
+    throw new Error("The AI response did not contain a review.");
+  }
+  return review;
+};
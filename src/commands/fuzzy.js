@@ -0,0 +1,46 @@
+/**
+ * Fuzzy matching for the command palette: every query character must appear in the text, in
+ * order. Matches at word starts and runs of consecutive characters score higher, as do
+ * shorter texts, so "ntk" finds "New task" before "Plan next week".
+ */
+
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+const FIRST_CHAR_BONUS = 10;
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_:/#([]/.test(text[index - 1]);
+
+/**
+ * Score of `query` against `text` (higher is better), or null when it does not match.
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let previous = -2;
+  let from = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    score += 1;
+    if (index === 0) score += FIRST_CHAR_BONUS;
+    if (isWordStart(haystack, index)) score += WORD_START_BONUS;
+    if (index === previous + 1) score += CONSECUTIVE_BONUS;
+    previous = index;
+    from = index + 1;
+  }
+  return score - haystack.length * 0.1;
+};
+
+/**
+ * The items whose `getText(item)` matches `query`, best first (stable for equal scores).
+ * An empty query keeps the original order.
+ */
+export const fuzzySearch = (items, query, getText, limit = Infinity) => items
+  .map((item, index) => ({ item, index, score: fuzzyScore(query, getText(item)) }))
+  .filter(result => result.score !== null)
+  .sort((a, b) => b.score - a.score || a.index - b.index)
+  .slice(0, limit)
+  .map(result => result.item);
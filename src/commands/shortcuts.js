@@ -0,0 +1,47 @@
+/**
+ * Single-key shortcuts (no modifier) and the few modifier combinations, as listed in the `?` overlay.
+ * Single keys are ignored while typing in a field or when a dialog is open.
+ */
+export const SHORTCUT_GROUPS = [
+  {
+    title: 'General',
+    shortcuts: [
+      { keys: ['Ctrl', 'K'], label: 'Open the command palette' },
+      { keys: ['?'], label: 'Show keyboard shortcuts' },
+      { keys: ['n'], label: 'New task' },
+      { keys: ['1'], label: 'To-Do List' },
+      { keys: ['2'], label: 'Schedules & Calendar' },
+      { keys: ['3'], label: 'Dashboard' },
+      { keys: ['Ctrl', 'Z'], label: 'Undo the last task change' },
+      { keys: ['Ctrl', 'Shift', 'Z'], label: 'Redo' },
+      { keys: ['Esc'], label: 'Close the palette or this overlay' },
+    ],
+  },
+  {
+    title: 'Timer',
+    shortcuts: [
+      { keys: ['Space'], label: 'Start or pause the timer' },
+    ],
+  },
+  {
+    title: 'Tasks (To-Do List)',
+    shortcuts: [
+      { keys: ['j'], label: 'Next task' },
+      { keys: ['k'], label: 'Previous task' },
+      { keys: ['x'], label: 'Complete or reopen the highlighted task' },
+      { keys: ['e'], label: 'Edit the highlighted task' },
+    ],
+  },
+];
+
+/**
+ * True for targets that handle keys themselves (text fields, selects, rich text).
+ */
+export const isEditableTarget = (target) =>
+  Boolean(target) && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * True for a plain key press that may trigger a single-key shortcut.
+ */
+export const isShortcutEvent = (event) =>
+  !event.ctrlKey && !event.metaKey && !event.altKey && !event.defaultPrevented && !isEditableTarget(event.target);
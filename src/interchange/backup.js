@@ -0,0 +1,124 @@
+import { DATE_KEY_PATTERN } from '../tasks/dates.js';
+
+/**
+ * Versioned JSON backups of a user's data, plus a CSV export of tasks for spreadsheets.
+ *
+ *   { app: 'focus-hub', version: 1, exportedAt, todos: [...], projects: [...], settings: { music, timer } }
+ *
+ * Timestamps are kept as epoch milliseconds so a restore can write them back unchanged.
+ */
+
+export const BACKUP_APP_ID = 'focus-hub';
+export const BACKUP_VERSION = 1;
+
+const TASK_FIELDS = ['id', 'title', 'completed', 'scheduledDate', 'dueTime', 'priority', 'estimate', 'projectId', 'tags', 'subtasks', 'recurrence', 'icsUid', 'order', 'createdAt', 'completedAt'];
+
+const pick = (source, fields) => Object.fromEntries(fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+export const createBackup = ({ tasks, projects, settings, now = Date.now() }) => ({
+  app: BACKUP_APP_ID,
+  version: BACKUP_VERSION,
+  exportedAt: new Date(now).toISOString(),
+  todos: tasks.map(task => pick(task, TASK_FIELDS)),
+  projects: projects.map(project => pick(project, ['id', 'name', 'color'])),
+  settings,
+});
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Timestamps are stored as epoch milliseconds; missing ones are fine
+const isTimestamp = (value) => value == null || (Number.isFinite(value) && value >= 0);
+
+// Only the settings a restore applies, with the playlist URL checked before it is saved
+const validateSettings = (settings, errors) => {
+  if (!isPlainObject(settings)) return {};
+  const valid = {};
+  if (isPlainObject(settings.timer)) valid.timer = settings.timer;
+  if (isPlainObject(settings.music)) {
+    const { youtubeUrl } = settings.music;
+    if (youtubeUrl == null || typeof youtubeUrl === 'string') valid.music = { youtubeUrl: youtubeUrl || null };
+    else errors.push('Music settings: invalid playlist URL, skipped.');
+  }
+  return valid;
+};
+
+/**
+ * Checks a parsed backup file. Returns { backup, errors }: `backup` is null when the file
+ * can't be used at all; otherwise invalid tasks (e.g. timestamps that aren't epoch
+ * milliseconds) and invalid settings are dropped and listed in `errors`.
+ */
+export const validateBackup = (data) => {
+  if (!isPlainObject(data) || data.app !== BACKUP_APP_ID) {
+    return { backup: null, errors: ['This is not a Focus Hub backup file.'] };
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    return { backup: null, errors: [`Unsupported backup version "${data.version}" (this app reads up to version ${BACKUP_VERSION}).`] };
+  }
+  if (!Array.isArray(data.todos)) {
+    return { backup: null, errors: ['The backup has no "todos" list.'] };
+  }
+
+  const errors = [];
+  const todos = data.todos.filter((task, index) => {
+    const problem = !isPlainObject(task) ? 'not an object'
+      : typeof task.title !== 'string' || !task.title.trim() ? 'missing title'
+      : task.scheduledDate && !DATE_KEY_PATTERN.test(task.scheduledDate) ? `invalid date "${task.scheduledDate}"`
+      : !isTimestamp(task.createdAt) ? `invalid createdAt "${task.createdAt}"`
+      : !isTimestamp(task.completedAt) ? `invalid completedAt "${task.completedAt}"`
+      : null;
+    if (problem) errors.push(`Task ${index + 1}: ${problem}, skipped.`);
+    return !problem;
+  });
+
+  const projects = Array.isArray(data.projects)
+    ? data.projects.filter(p => isPlainObject(p) && typeof p.name === 'string' && p.name.trim())
+    : [];
+  const settings = validateSettings(data.settings, errors);
+
+  return { backup: { ...data, todos, projects, settings }, errors };
+};
+
+/**
+ * Backup tasks that look like ones the user already has: same id, or same title on the same date.
+ */
+export const findBackupConflicts = (backupTasks, currentTasks) => {
+  const ids = new Set(currentTasks.map(t => t.id));
+  const signature = (task) => `${task.title.trim().toLowerCase()}|${task.scheduledDate || ''}`;
+  const signatures = new Set(currentTasks.map(signature));
+  return backupTasks.filter(task => ids.has(task.id) || signatures.has(signature(task)));
+};
+
+// --- CSV ---
+
+const CSV_COLUMNS = ['id', 'title', 'completed', 'scheduledDate', 'dueTime', 'priority', 'estimate', 'project', 'tags', 'subtasks', 'recurrence', 'createdAt', 'completedAt'];
+
+const toIso = (ms) => (typeof ms === 'number' ? new Date(ms).toISOString() : '');
+
+const escapeCsv = (value) => {
+  let text = String(value ?? '');
+  // Spreadsheets evaluate cells starting with these characters as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per task (RFC 4180). Subtasks are listed as "[x] title" separated by "; ".
+ */
+export const tasksToCsv = (tasks, projectsById = {}) => {
+  const rows = tasks.map(task => [
+    task.id,
+    task.title,
+    task.completed ? 'yes' : 'no',
+    task.scheduledDate || '',
+    task.dueTime || '',
+    task.priority || 'none',
+    task.estimate || 0,
+    projectsById[task.projectId]?.name || '',
+    (task.tags || []).join(' '),
+    (task.subtasks || []).map(s => `[${s.completed ? 'x' : ' '}] ${s.title}`).join('; '),
+    task.recurrence?.type || '',
+    toIso(task.createdAt),
+    toIso(task.completedAt),
+  ]);
+  return `${[CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { BACKUP_APP_ID, BACKUP_VERSION, createBackup, validateBackup } from './backup.js';
+
+const NOW = Date.UTC(2026, 9, 19, 8, 30);
+
+const backupWith = (fields) => ({ app: BACKUP_APP_ID, version: BACKUP_VERSION, todos: [], ...fields });
+
+describe('validateBackup', () => {
+  it('accepts its own backups unchanged', () => {
+    const tasks = [{ id: 'a', title: 'Pay rent', completed: true, scheduledDate: '2026-10-19', createdAt: NOW - 1000, completedAt: NOW }];
+    const settings = { music: { youtubeUrl: 'https://www.youtube.com/playlist?list=abc' }, timer: { workMinutes: 25 } };
+    const backup = createBackup({ tasks, projects: [], settings, now: NOW });
+
+    const { backup: valid, errors } = validateBackup(JSON.parse(JSON.stringify(backup)));
+    expect(errors).toEqual([]);
+    expect(valid.todos).toEqual(tasks);
+    expect(valid.settings).toEqual(settings);
+  });
+
+  it.each([
+    ['not a backup', { app: 'other' }],
+    ['a newer version', backupWith({ version: BACKUP_VERSION + 1 })],
+    ['no task list', backupWith({ todos: null })],
+  ])('rejects %s', (_, data) => {
+    expect(validateBackup(data).backup).toBeNull();
+  });
+
+  it.each([
+    ['a missing title', { title: ' ' }, 'missing title'],
+    ['an invalid date', { scheduledDate: '19/10/2026' }, 'invalid date'],
+    ['an ISO createdAt', { createdAt: '2026-10-19T08:30:00Z' }, 'invalid createdAt'],
+    ['an ISO completedAt', { completed: true, completedAt: '2026-10-19T08:30:00Z' }, 'invalid completedAt'],
+    ['a negative timestamp', { createdAt: -1 }, 'invalid createdAt'],
+  ])('skips a task with %s', (_, fields, problem) => {
+    const { backup, errors } = validateBackup(backupWith({ todos: [{ title: 'Kept' }, { title: 'Skipped', ...fields }] }));
+    expect(backup.todos).toEqual([{ title: 'Kept' }]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain(problem);
+  });
+
+  it('keeps missing timestamps', () => {
+    const { errors } = validateBackup(backupWith({ todos: [{ title: 'Old', createdAt: null, completedAt: null }] }));
+    expect(errors).toEqual([]);
+  });
+
+  it('drops a playlist URL that is not a string', () => {
+    const { backup, errors } = validateBackup(backupWith({ settings: { music: { youtubeUrl: { evil: true } }, timer: { workMinutes: 25 } } }));
+    expect(backup.settings).toEqual({ timer: { workMinutes: 25 } });
+    expect(errors).toEqual(['Music settings: invalid playlist URL, skipped.']);
+  });
+
+  it('ignores settings it does not restore', () => {
+    const { backup } = validateBackup(backupWith({ settings: { music: { youtubeUrl: '' }, timer: 'fast', theme: 'dark' } }));
+    expect(backup.settings).toEqual({ music: { youtubeUrl: null } });
+  });
+});
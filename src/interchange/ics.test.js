@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { serializeIcs } from './icsSerializer.js';
+import { parseIcs } from './icsParser.js';
+import { getTaskUid } from './icsMappings.js';
+
+const NOW = Date.UTC(2026, 9, 19, 8, 30);
+
+const TASKS = [
+  { id: 'a1', title: 'Pay rent', scheduledDate: '2026-11-01', completed: false, priority: 'high', recurrence: { type: 'monthly-date', dayOfMonth: 1 } },
+  { id: 'b2', title: 'Dentist', scheduledDate: '2026-10-21', dueTime: '09:30', completed: false, estimate: 2, tags: ['health', 'errands'] },
+  {
+    id: 'c3',
+    title: 'Ship release',
+    scheduledDate: '2026-10-15',
+    completed: true,
+    completedAt: Date.UTC(2026, 9, 15, 17, 0),
+    subtasks: [{ title: 'Tag build', completed: true }, { title: 'Write notes', completed: false }],
+  },
+  { id: 'd4', title: 'Water plants', scheduledDate: '2026-10-20', completed: false, recurrence: { type: 'after-completion', interval: 3 } },
+  { id: 'e5', title: 'Stand-up', scheduledDate: '2026-10-19', completed: false, recurrence: { type: 'weekly', days: [1, 3, 5] }, icsUid: 'standup-42@example.com' },
+  { id: 'f6', title: 'Someday', completed: false },
+];
+
+// What an import stores: the draft plus the UID it came with
+const importDrafts = (ics) => parseIcs(ics).tasks.map((draft, index) => ({ ...draft, id: `imported-${index}`, icsUid: draft.uid }));
+
+describe.each(['VTODO', 'VEVENT'])('%s round trip', (component) => {
+  const first = serializeIcs(TASKS, { component, now: NOW });
+  const { tasks: drafts, errors } = parseIcs(first);
+
+  it('parses back without errors, skipping undated tasks', () => {
+    expect(errors).toEqual([]);
+    expect(drafts.map(d => d.title)).toEqual(['Pay rent', 'Dentist', 'Ship release', 'Water plants', 'Stand-up']);
+  });
+
+  it('keeps the task fields', () => {
+    const byTitle = Object.fromEntries(drafts.map(d => [d.title, d]));
+    expect(byTitle['Pay rent']).toMatchObject({ scheduledDate: '2026-11-01', dueTime: '', priority: 'high' });
+    expect(byTitle['Dentist']).toMatchObject({ scheduledDate: '2026-10-21', dueTime: '09:30', estimate: 2, tags: ['health', 'errands'] });
+    expect(byTitle['Ship release']).toMatchObject({
+      completed: true,
+      subtasks: [{ title: 'Tag build', completed: true }, { title: 'Write notes', completed: false }],
+    });
+    expect(byTitle['Stand-up'].recurrence).toEqual({ type: 'weekly', days: [1, 3, 5] });
+    expect(Number(byTitle['Water plants'].recurrence.interval)).toBe(3);
+  });
+
+  it('keeps UIDs stable, so re-importing an export updates the same tasks', () => {
+    expect(drafts.map(d => d.uid)).toEqual(TASKS.filter(t => t.scheduledDate).map(getTaskUid));
+    expect(drafts.find(d => d.title === 'Stand-up').uid).toBe('standup-42@example.com');
+
+    const imported = importDrafts(first);
+    expect(imported.map(getTaskUid)).toEqual(drafts.map(d => d.uid));
+  });
+
+  it('serializes an imported export to the same file', () => {
+    expect(serializeIcs(importDrafts(first), { component, now: NOW })).toBe(first);
+  });
+});
+
+describe('VTODO dates', () => {
+  it('emits DUE without DTSTART', () => {
+    const ics = serializeIcs(TASKS.slice(0, 2), { now: NOW });
+    expect(ics).toContain('DUE;VALUE=DATE:20261101\r\n');
+    expect(ics).toContain('DUE:20261021T093000\r\n');
+    expect(ics).not.toContain('DTSTART');
+  });
+
+  it('gives all-day events an exclusive DTEND', () => {
+    const ics = serializeIcs([TASKS[0]], { component: 'VEVENT', now: NOW });
+    expect(ics).toContain('DTSTART;VALUE=DATE:20261101\r\nDTEND;VALUE=DATE:20261102\r\n');
+  });
+});
+
+describe('escaping', () => {
+  const tricky = {
+    id: 'x',
+    title: 'Call Bob, Alice; then \\ back up',
+    scheduledDate: '2026-10-19',
+    completed: false,
+    tags: ['a,b', 'c'],
+    subtasks: [{ title: 'Line; one', completed: false }],
+  };
+
+  it('escapes commas, semicolons, backslashes and newlines', () => {
+    const ics = serializeIcs([tricky], { now: NOW });
+    expect(ics).toContain('SUMMARY:Call Bob\\, Alice\\; then \\\\ back up\r\n');
+    expect(ics).toContain('CATEGORIES:a\\,b,c\r\n');
+    expect(ics).toContain('DESCRIPTION:- [ ] Line\\; one\r\n');
+    expect(serializeIcs([TASKS[2]], { now: NOW })).toContain('DESCRIPTION:- [x] Tag build\\n- [ ] Write notes\r\n');
+  });
+
+  it('unescapes them on import', () => {
+    const [draft] = parseIcs(serializeIcs([tricky], { now: NOW })).tasks;
+    expect(draft).toMatchObject({ title: tricky.title, tags: ['a,b', 'c'], subtasks: [{ title: 'Line; one', completed: false }] });
+  });
+});
+
+describe('line folding', () => {
+  const octets = (line) => new TextEncoder().encode(line).length;
+
+  it.each([
+    ['ASCII', 'Plan the quarterly offsite agenda with the whole team and book the venue early '.repeat(3).trim()],
+    ['multi-byte', 'Überprüfen: Straßenbahn-Fahrplan für München 🚋 und Zürich ✓ '.repeat(4).trim()],
+  ])('folds long %s lines at 75 octets and unfolds them intact', (_, title) => {
+    const ics = serializeIcs([{ id: 'long', title, scheduledDate: '2026-10-19', completed: false }], { now: NOW });
+    const lines = ics.split('\r\n');
+
+    expect(lines.filter(line => line.startsWith(' ')).length).toBeGreaterThan(0);
+    lines.forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+    expect(parseIcs(ics).tasks[0].title).toBe(title);
+  });
+
+  it('leaves short lines alone', () => {
+    const ics = serializeIcs([TASKS[0]], { now: NOW });
+    expect(ics.split('\r\n').some(line => line.startsWith(' '))).toBe(false);
+  });
+});
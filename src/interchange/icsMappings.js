@@ -0,0 +1,79 @@
+/**
+ * Shared RFC 5545 details for the .ics serializer and parser: text escaping and
+ * how task fields map onto iCalendar properties.
+ */
+
+export const ICS_PRODUCT_ID = '-//Focus Hub//Tasks//EN';
+
+// UID of a task that was never imported: stable across exports, so re-imports update it
+export const getTaskUid = (task) => task.icsUid || `${task.id}@focus-hub`;
+
+// Non-standard properties for fields iCalendar has no equivalent for
+export const X_ESTIMATE = 'X-FOCUSHUB-ESTIMATE';
+export const X_AFTER_COMPLETION = 'X-FOCUSHUB-AFTER-COMPLETION';
+export const X_COMPLETED = 'X-FOCUSHUB-COMPLETED'; // VEVENT has no completed status
+
+const BYDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+export const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+/**
+ * iCalendar PRIORITY: 1-4 high, 5 medium, 6-9 low, 0 undefined.
+ */
+export const toIcsPriority = (priority) => ({ high: 1, medium: 5, low: 9 }[priority] || 0);
+
+export const fromIcsPriority = (value) => {
+  const n = parseInt(value, 10);
+  if (!n) return 'none';
+  if (n < 5) return 'high';
+  return n === 5 ? 'medium' : 'low';
+};
+
+/**
+ * RRULE value for a recurrence rule, or null ('after-completion' has no RRULE equivalent).
+ */
+export const recurrenceToRrule = (rule) => {
+  switch (rule?.type) {
+    case 'daily': return 'FREQ=DAILY';
+    case 'weekdays': return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+    case 'weekly': return `FREQ=WEEKLY;BYDAY=${rule.days.map(d => BYDAY_CODES[d]).join(',')}`;
+    case 'monthly-date': return `FREQ=MONTHLY;BYMONTHDAY=${rule.dayOfMonth}`;
+    case 'monthly-nth': return `FREQ=MONTHLY;BYDAY=${rule.nth}${BYDAY_CODES[rule.weekday]}`;
+    default: return null;
+  }
+};
+
+/**
+ * Best-effort mapping back to our rule types. Rules we can't represent (intervals, counts,
+ * yearly...) return null and the task is imported as a one-off.
+ */
+export const rruleToRecurrence = (value) => {
+  const parts = Object.fromEntries(value.split(';').map(part => part.split('=')).map(([k, v]) => [k.toUpperCase(), (v || '').toUpperCase()]));
+  if ((parts.INTERVAL && parts.INTERVAL !== '1') || parts.COUNT || parts.UNTIL) return null;
+
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  switch (parts.FREQ) {
+    case 'DAILY':
+      return byDay.length === 0 ? { type: 'daily' } : null;
+    case 'WEEKLY': {
+      const days = byDay.map(code => BYDAY_CODES.indexOf(code)).filter(d => d >= 0);
+      if (days.length === 0) return null;
+      const isWeekdays = days.length === 5 && [1, 2, 3, 4, 5].every(d => days.includes(d));
+      return isWeekdays ? { type: 'weekdays' } : { type: 'weekly', days };
+    }
+    case 'MONTHLY': {
+      if (parts.BYMONTHDAY) return { type: 'monthly-date', dayOfMonth: parts.BYMONTHDAY };
+      const match = byDay.length === 1 && byDay[0].match(/^([+-]?\d)([A-Z]{2})$/);
+      if (match) return { type: 'monthly-nth', nth: match[1], weekday: BYDAY_CODES.indexOf(match[2]) };
+      return null;
+    }
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,159 @@
+import { X_ESTIMATE, X_AFTER_COMPLETION, X_COMPLETED, unescapeText, fromIcsPriority, rruleToRecurrence } from './icsMappings.js';
+
+const TASK_COMPONENTS = ['VTODO', 'VEVENT'];
+const DATE_VALUE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const CHECKLIST_LINE_PATTERN = /^\s*[-*] \[([ xX])\] (.+)$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Unfolds continuation lines (CRLF or LF followed by a space or tab)
+const unfold = (text) => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+/**
+ * Splits 'NAME;PARAM=a;PARAM2="x:y":value' into { name, params, value },
+ * honouring quoted parameter values that contain ':' or ';'.
+ */
+const parseLine = (line) => {
+  let inQuotes = false;
+  let valueStart = -1;
+  const separators = [];
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char === ';') separators.push(i);
+    else if (!inQuotes && char === ':') {
+      valueStart = i;
+      break;
+    }
+  }
+  if (valueStart === -1) return null;
+
+  const head = line.slice(0, valueStart);
+  const bounds = [...separators, valueStart];
+  const name = head.slice(0, bounds[0]).toUpperCase();
+  const params = {};
+  for (let i = 0; i < separators.length; i++) {
+    const [key, ...rest] = line.slice(separators[i] + 1, bounds[i + 1]).split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"(.*)"$/, '$1');
+  }
+  return { name, params, value: line.slice(valueStart + 1) };
+};
+
+/**
+ * DATE or DATE-TIME value -> { dateKey, time }. UTC times are converted to local time;
+ * floating and TZID times are taken as wall-clock time.
+ */
+const parseDateValue = (value, params) => {
+  const match = value.trim().match(DATE_VALUE_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, , utc] = match;
+  if (params.VALUE === 'DATE' || hours === undefined) {
+    return { dateKey: `${year}-${month}-${day}`, time: '' };
+  }
+  if (utc) {
+    const date = new Date(Date.UTC(+year, month - 1, +day, +hours, +minutes));
+    return {
+      dateKey: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    };
+  }
+  return { dateKey: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+};
+
+const parseUtcMillis = (value) => {
+  const match = value.trim().match(DATE_VALUE_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+  return Date.UTC(+year, month - 1, +day, +hours, +minutes, +seconds);
+};
+
+// Splits a comma list, ignoring escaped commas
+const splitList = (value) => value.split(/(?<!\\),/).map(unescapeText).map(s => s.trim()).filter(Boolean);
+
+const componentToTask = (type, props) => {
+  const get = (name) => props.find(p => p.name === name);
+  const dateProp = type === 'VTODO' ? (get('DUE') || get('DTSTART')) : get('DTSTART');
+  const date = dateProp ? parseDateValue(dateProp.value, dateProp.params) : null;
+
+  const status = get('STATUS')?.value.toUpperCase();
+  const completedProp = get('COMPLETED');
+  const completed = type === 'VTODO'
+    ? status === 'COMPLETED' || Boolean(completedProp)
+    : get(X_COMPLETED)?.value.toUpperCase() === 'TRUE';
+
+  const description = get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : '';
+  const subtasks = description.split('\n')
+    .map(line => line.match(CHECKLIST_LINE_PATTERN))
+    .filter(Boolean)
+    .map(([, mark, title]) => ({ title: title.trim(), completed: mark.toLowerCase() === 'x' }));
+
+  const afterCompletion = get(X_AFTER_COMPLETION);
+  const rrule = get('RRULE');
+
+  return {
+    uid: get('UID') ? unescapeText(get('UID').value) : null,
+    title: get('SUMMARY') ? unescapeText(get('SUMMARY').value).trim() : '',
+    scheduledDate: date?.dateKey || '',
+    dueTime: date?.time || '',
+    completed,
+    completedAt: completed && completedProp ? parseUtcMillis(completedProp.value) : null,
+    priority: fromIcsPriority(get('PRIORITY')?.value),
+    tags: props.filter(p => p.name === 'CATEGORIES').flatMap(p => splitList(p.value)),
+    subtasks,
+    recurrence: afterCompletion
+      ? { type: 'after-completion', interval: afterCompletion.value }
+      : rrule ? rruleToRecurrence(rrule.value) : null,
+    estimate: get(X_ESTIMATE) ? parseInt(get(X_ESTIMATE).value, 10) || 0 : 0,
+  };
+};
+
+/**
+ * Parses an iCalendar file into { tasks, errors }. Every VTODO and VEVENT becomes a task
+ * draft carrying its `uid`; other components (VTIMEZONE, VALARM...) are ignored.
+ * Field values are raw and still need the usual normalize* helpers before saving.
+ */
+export const parseIcs = (text) => {
+  const tasks = [];
+  const errors = [];
+  const stack = []; // open components, innermost last
+  let props = null;
+
+  const lines = unfold(String(text || '')).filter(line => line.trim());
+  if (lines[0]?.trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    return { tasks, errors: ['Not an iCalendar file (missing BEGIN:VCALENDAR).'] };
+  }
+
+  lines.forEach((line, index) => {
+    const parsed = parseLine(line);
+    if (!parsed) {
+      errors.push(`Line ${index + 1}: could not parse "${line.slice(0, 40)}"`);
+      return;
+    }
+    const { name, value } = parsed;
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (TASK_COMPONENTS.includes(value.toUpperCase())) props = [];
+      return;
+    }
+    if (name === 'END') {
+      const type = stack.pop();
+      if (type !== value.toUpperCase()) errors.push(`Line ${index + 1}: END:${value} does not match BEGIN:${type}`);
+      if (TASK_COMPONENTS.includes(type) && props) {
+        // RECURRENCE-ID marks an edited instance of a series; the series itself is imported
+        const isOverride = props.some(p => p.name === 'RECURRENCE-ID');
+        const task = componentToTask(type, props);
+        props = null;
+        if (isOverride) return;
+        if (task.title) tasks.push(task);
+        else errors.push(`Line ${index + 1}: skipped a ${type} without SUMMARY`);
+      }
+      return;
+    }
+    // Only collect properties of the task itself, not of nested components such as VALARM
+    if (props && TASK_COMPONENTS.includes(stack[stack.length - 1])) props.push(parsed);
+  });
+
+  if (stack.length > 0) errors.push(`Unterminated component: ${stack.join(' > ')}`);
+  return { tasks, errors };
+};
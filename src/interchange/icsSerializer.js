@@ -0,0 +1,101 @@
+import { ICS_PRODUCT_ID, X_ESTIMATE, X_AFTER_COMPLETION, X_COMPLETED, getTaskUid, escapeText, toIcsPriority, recurrenceToRrule } from './icsMappings.js';
+
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+/**
+ * Folds a content line at 75 octets (RFC 5545 §3.1), never splitting a character.
+ */
+const foldLine = (line) => {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+const toIcsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// Floating local time: the task is due at that wall-clock time wherever the user is
+const toIcsDateTime = (dateKey, time) => `${toIcsDate(dateKey)}T${time.replace(':', '')}00`;
+
+const toIcsUtc = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDayKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const next = new Date(year, month - 1, day + 1);
+  return `${next.getFullYear()}${String(next.getMonth() + 1).padStart(2, '0')}${String(next.getDate()).padStart(2, '0')}`;
+};
+
+// 'NAME;VALUE=DATE:20261101' or 'NAME:20261101T093000'
+const dateProperty = (name, task) => task.dueTime
+  ? `${name}:${toIcsDateTime(task.scheduledDate, task.dueTime)}`
+  : `${name};VALUE=DATE:${toIcsDate(task.scheduledDate)}`;
+
+const taskToComponent = (task, component, { stamp, pomodoroMinutes }) => {
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${escapeText(getTaskUid(task))}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    // A to-do is due on its date; DTSTART equal to DUE is invalid (DUE must be later)
+    dateProperty(component === 'VTODO' ? 'DUE' : 'DTSTART', task),
+  ];
+
+  if (component === 'VTODO') {
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.completed && typeof task.completedAt === 'number') lines.push(`COMPLETED:${toIcsUtc(task.completedAt)}`);
+  } else {
+    if (!task.dueTime) lines.push(`DTEND;VALUE=DATE:${nextDayKey(task.scheduledDate)}`);
+    else if (task.estimate > 0) lines.push(`DURATION:PT${task.estimate * pomodoroMinutes}M`);
+    if (task.completed) lines.push(`${X_COMPLETED}:TRUE`);
+  }
+
+  const priority = toIcsPriority(task.priority);
+  if (priority) lines.push(`PRIORITY:${priority}`);
+  if (task.tags?.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  if (task.subtasks?.length) {
+    const checklist = task.subtasks.map(s => `- [${s.completed ? 'x' : ' '}] ${s.title}`).join('\n');
+    lines.push(`DESCRIPTION:${escapeText(checklist)}`);
+  }
+
+  const rrule = recurrenceToRrule(task.recurrence);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  if (task.recurrence?.type === 'after-completion') lines.push(`${X_AFTER_COMPLETION}:${task.recurrence.interval}`);
+  if (task.estimate > 0) lines.push(`${X_ESTIMATE}:${task.estimate}`);
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+/**
+ * Serializes every task with a `scheduledDate` into an iCalendar file.
+ * `component` is 'VTODO' (default) or 'VEVENT'; `pomodoroMinutes` sizes timed events from estimates.
+ */
+export const serializeIcs = (tasks, { component = 'VTODO', now = Date.now(), pomodoroMinutes = 25 } = {}) => {
+  const stamp = toIcsUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...tasks
+      .filter(task => task.scheduledDate)
+      .flatMap(task => taskToComponent(task, component, { stamp, pomodoroMinutes })),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
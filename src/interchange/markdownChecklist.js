@@ -0,0 +1,63 @@
+import { DATE_KEY_PATTERN } from '../tasks/dates.js';
+
+/**
+ * GitHub-style Markdown checklists:
+ *
+ *   - [ ] Draft the outline due:2026-11-01
+ *     - [x] Collect sources          (indented items are subtasks of the item above)
+ *   - [x] Book the room
+ *
+ * `-`, `*`, `+` and numbered list markers are accepted; other lines (headings, notes) are ignored.
+ */
+
+const ITEM_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.+)$/;
+const DUE_PATTERN = /\s+due:(\d{4}-\d{2}-\d{2})(?=\s|$)/;
+
+/**
+ * True when the text is a checklist: at least one item, and every other non-blank line
+ * is a heading. Used to tell a pasted checklist from a goal for the AI generator.
+ */
+export const isMarkdownChecklist = (text) => {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+  return lines.some(line => ITEM_PATTERN.test(line))
+    && lines.every(line => ITEM_PATTERN.test(line) || /^\s*#/.test(line));
+};
+
+/**
+ * Returns task drafts { title, completed, scheduledDate, subtasks: [{ title, completed }] }.
+ */
+export const parseMarkdownChecklist = (text) => {
+  const tasks = [];
+  let baseIndent = null;
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const match = line.match(ITEM_PATTERN);
+    if (!match) return;
+    const [, indent, mark, content] = match;
+    const completed = mark.toLowerCase() === 'x';
+    const width = indent.replace(/\t/g, '    ').length;
+    if (baseIndent === null) baseIndent = width;
+
+    if (width > baseIndent && tasks.length > 0) {
+      tasks[tasks.length - 1].subtasks.push({ title: content.trim(), completed });
+      return;
+    }
+
+    const due = content.match(DUE_PATTERN);
+    tasks.push({
+      title: content.replace(DUE_PATTERN, '').trim(),
+      completed,
+      scheduledDate: due && DATE_KEY_PATTERN.test(due[1]) ? due[1] : '',
+      subtasks: [],
+    });
+  });
+
+  return tasks.filter(task => task.title);
+};
+
+export const serializeMarkdownChecklist = (tasks) => tasks.map(task => {
+  const due = task.scheduledDate ? ` due:${task.scheduledDate}` : '';
+  const lines = [`- [${task.completed ? 'x' : ' '}] ${task.title}${due}`];
+  (task.subtasks || []).forEach(s => lines.push(`  - [${s.completed ? 'x' : ' '}] ${s.title}`));
+  return lines.join('\n');
+}).join('\n') + (tasks.length > 0 ? '\n' : '');
@@ -0,0 +1,137 @@
+import { DATE_KEY_PATTERN, toDateKey, parseDateKey } from '../tasks/dates.js';
+
+/**
+ * todo.txt (https://github.com/todotxt/todo.txt) interchange. One task per line:
+ *
+ *   x 2026-10-19 2026-10-01 (A) Call the bank +Finances @phone due:2026-10-20 time:09:30 est:2 rec:+1w
+ *
+ *   x / completion date      completed tasks (the priority moves to pri:A, as the spec suggests)
+ *   (A) (B) (C)              high, medium, low (D-Z are read as low)
+ *   +project                 project name, spaces written as '-'
+ *   @context                 tags
+ *   due:  time:  est:        scheduledDate, dueTime and estimate
+ *   rec:                     recurrence: +1d daily, +1b weekdays, +1w weekly, +1m monthly, Nd N days after completion
+ *
+ * Subtasks have no todo.txt equivalent and are not exported.
+ */
+
+const PRIORITY_LETTERS = { high: 'A', medium: 'B', low: 'C' };
+const LINE_PATTERN = /^(?:(x) (?:(\d{4}-\d{2}-\d{2}) )?)?(?:\(([A-Z])\) )?(?:(\d{4}-\d{2}-\d{2}) )?(.*)$/;
+
+const letterToPriority = (letter) => {
+  if (!letter) return 'none';
+  return Object.keys(PRIORITY_LETTERS).find(id => PRIORITY_LETTERS[id] === letter) || 'low';
+};
+
+const recurrenceToRec = (rule) => {
+  switch (rule?.type) {
+    case 'daily': return '+1d';
+    case 'weekdays': return '+1b';
+    case 'weekly': return rule.days.length === 1 ? '+1w' : null;
+    case 'monthly-date': return '+1m';
+    case 'after-completion': return `${rule.interval}d`;
+    default: return null;
+  }
+};
+
+// Weekly/monthly rules repeat on the due date's weekday/day of month
+const recToRecurrence = (value, scheduledDate) => {
+  const match = value.match(/^(\+?)(\d+)([dbwm])$/);
+  if (!match) return null;
+  const [, strict, count, unit] = match;
+  const anchor = parseDateKey(scheduledDate) || new Date();
+  if (!strict) return unit === 'd' ? { type: 'after-completion', interval: count } : null;
+  if (count !== '1') return null;
+  switch (unit) {
+    case 'd': return { type: 'daily' };
+    case 'b': return { type: 'weekdays' };
+    case 'w': return { type: 'weekly', days: [anchor.getDay()] };
+    case 'm': return { type: 'monthly-date', dayOfMonth: anchor.getDate() };
+    default: return null;
+  }
+};
+
+const formatTask = (task, projectsById) => {
+  const parts = [];
+  const letter = PRIORITY_LETTERS[task.priority];
+  if (task.completed) {
+    parts.push('x');
+    if (typeof task.completedAt === 'number') parts.push(toDateKey(new Date(task.completedAt)));
+  } else if (letter) {
+    parts.push(`(${letter})`);
+  }
+  if (typeof task.createdAt === 'number') parts.push(toDateKey(new Date(task.createdAt)));
+
+  parts.push(task.title.replace(/\s+/g, ' ').trim());
+
+  const projectName = projectsById[task.projectId]?.name;
+  if (projectName) parts.push(`+${projectName.trim().replace(/\s+/g, '-')}`);
+  (task.tags || []).forEach(tag => parts.push(`@${tag}`));
+  if (task.scheduledDate) parts.push(`due:${task.scheduledDate}`);
+  if (task.dueTime) parts.push(`time:${task.dueTime}`);
+  if (task.estimate > 0) parts.push(`est:${task.estimate}`);
+  const rec = recurrenceToRec(task.recurrence);
+  if (rec) parts.push(`rec:${rec}`);
+  if (task.completed && letter) parts.push(`pri:${letter}`);
+  return parts.join(' ');
+};
+
+export const serializeTodoTxt = (tasks, projectsById = {}) =>
+  tasks.map(task => formatTask(task, projectsById)).join('\n') + (tasks.length > 0 ? '\n' : '');
+
+/**
+ * Parses todo.txt content into task drafts: { title, completed, completedAt, createdAt, priority,
+ * scheduledDate, dueTime, estimate, recurrence, tags, projectName }. Unknown key:value pairs stay in the title.
+ */
+export const parseTodoTxt = (text) => String(text || '')
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const [, done, completionDate, letter, creationDate, rest] = line.match(LINE_PATTERN);
+    const task = {
+      completed: done === 'x',
+      completedAt: done && completionDate ? parseDateKey(completionDate).getTime() : null,
+      createdAt: creationDate ? parseDateKey(creationDate).getTime() : null,
+      priority: letterToPriority(letter),
+      scheduledDate: '',
+      dueTime: '',
+      estimate: 0,
+      recurrence: null,
+      tags: [],
+      projectName: '',
+    };
+
+    let rec = null;
+    const words = rest.split(/\s+/).filter(word => {
+      const keyValue = word.match(/^([a-z]+):(\S+)$/i);
+      if (word.length > 1 && word.startsWith('+')) {
+        if (!task.projectName) task.projectName = word.slice(1).replace(/-/g, ' ');
+        return false;
+      }
+      if (word.length > 1 && word.startsWith('@')) {
+        task.tags.push(word.slice(1));
+        return false;
+      }
+      if (!keyValue) return true;
+
+      const [, key, value] = keyValue;
+      switch (key.toLowerCase()) {
+        case 'due':
+          if (!DATE_KEY_PATTERN.test(value)) return true;
+          task.scheduledDate = value;
+          return false;
+        case 'time': task.dueTime = value; return false;
+        case 'est': task.estimate = value; return false;
+        case 'rec': rec = value; return false;
+        case 'pri':
+          if (task.completed) task.priority = letterToPriority(value.toUpperCase());
+          return false;
+        default: return true; // e.g. a URL or an unknown extension
+      }
+    });
+
+    if (rec) task.recurrence = recToRecurrence(rec, task.scheduledDate);
+    return { ...task, title: words.join(' ') };
+  })
+  .filter(task => task.title);
@@ -0,0 +1,101 @@
+/**
+ * Session-end alerts: a chime synthesized with Web Audio (no audio assets) and
+ * an optional Web Notification for when the tab is in the background.
+ */
+
+// Ascending triad for the end of a break, descending for the end of a focus session
+const CHIMES = {
+  work: [880, 659.25, 523.25],
+  break: [523.25, 659.25, 880],
+};
+const NOTE_LENGTH = 0.35; // seconds per note
+const CHIME_CLAIM_KEY = 'focus-hub:chime-claim';
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return null;
+  if (!audioContext) audioContext = new AudioContextClass();
+  return audioContext;
+};
+
+/**
+ * Browsers only allow audio after a user gesture: call this from one (e.g. the Start button)
+ * so the chime can play later when the session ends on its own.
+ */
+export const primeAudio = () => {
+  const context = getAudioContext();
+  if (context?.state === 'suspended') context.resume().catch(() => {});
+};
+
+/**
+ * True once a user gesture in this tab has unlocked audio (see primeAudio).
+ */
+export const isAudioReady = () => audioContext?.state === 'running';
+
+/**
+ * Claims the chime for the session ending at `endsAt`, so only one of several
+ * unlocked tabs plays it. Same first-claimant-wins scheme as claimSessionEnd.
+ */
+export const claimChime = (endsAt) => {
+  try {
+    if (localStorage.getItem(CHIME_CLAIM_KEY) === String(endsAt)) return false;
+    localStorage.setItem(CHIME_CLAIM_KEY, String(endsAt));
+  } catch {
+    // Without storage there is nothing to coordinate with
+  }
+  return true;
+};
+
+/**
+ * Plays the end-of-session chime. `endedType` is 'work' or a break type; `volume` is 0-100.
+ */
+export const playChime = (endedType, volume) => {
+  const context = getAudioContext();
+  if (!context || volume <= 0) return;
+
+  const notes = endedType === 'work' ? CHIMES.work : CHIMES.break;
+  const peak = Math.min(volume, 100) / 100 * 0.4; // Keep headroom; sine notes add up
+  const start = context.currentTime + 0.05;
+
+  notes.forEach((frequency, i) => {
+    const noteStart = start + i * NOTE_LENGTH;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    // Short attack, exponential decay: a soft bell-like envelope
+    gain.gain.setValueAtTime(0.0001, noteStart);
+    gain.gain.exponentialRampToValueAtTime(peak, noteStart + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + NOTE_LENGTH * 2);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(noteStart);
+    oscillator.stop(noteStart + NOTE_LENGTH * 2);
+  });
+};
+
+export const notificationsSupported = () => typeof Notification !== 'undefined';
+
+/**
+ * Asks for notification permission if it hasn't been decided yet. Resolves to the permission.
+ */
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return 'denied';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+export const showSessionNotification = (title, body) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  try {
+    // A shared tag replaces the previous alert instead of stacking them
+    const notification = new Notification(title, { body, tag: 'focus-hub-timer' });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (e) {
+    console.error("Error showing notification:", e);
+  }
+};
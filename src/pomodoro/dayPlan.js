@@ -0,0 +1,78 @@
+import { generateId } from '../storage/localRepository.js';
+
+/**
+ * "Plan my day": an ordered queue of Pomodoro blocks (one work session each) for today,
+ * kept in localStorage as { date, blocks: [{ blockId, taskId, note }], index }.
+ * `index` points at the block the next work session belongs to; it equals
+ * blocks.length once the plan is finished.
+ */
+
+const STORAGE_KEY = 'focus-hub:day-plan';
+
+export const DEFAULT_DAILY_SESSIONS = 8;
+export const MAX_DAILY_SESSIONS = 16;
+
+const MAX_PLAN_CANDIDATES = 50;
+
+/**
+ * Pending tasks offered to the planner: dated ones first (earliest first), then undated ones.
+ */
+export const selectPlanCandidates = (tasks) => tasks
+  .filter(task => !task.completed)
+  .sort((a, b) => (a.scheduledDate || '9999-99-99').localeCompare(b.scheduledDate || '9999-99-99'))
+  .slice(0, MAX_PLAN_CANDIDATES);
+
+/**
+ * Prompt listing the pending tasks the model may schedule. Lines look like
+ *   - [taskId] Title | due: 2026-10-20 14:00 | estimate: 2 pomodoros | priority: high
+ */
+export const describeDayPlanRequest = ({ tasks, capacity, todayKey }) => [
+  `Today is ${todayKey}. Work sessions available today: ${capacity}.`,
+  'Pending tasks:',
+  ...tasks.map(task => {
+    const details = [
+      task.scheduledDate && `due: ${task.scheduledDate}${task.dueTime ? ` ${task.dueTime}` : ''}`,
+      task.estimate > 0 && `estimate: ${task.estimate} pomodoro${task.estimate === 1 ? '' : 's'}`,
+      task.priority && task.priority !== 'none' && `priority: ${task.priority}`,
+    ].filter(Boolean);
+    return `- [${task.id}] ${task.title}${details.length ? ` | ${details.join(' | ')}` : ''}`;
+  }),
+].join('\n');
+
+export const createDayPlan = (blocks, todayKey) => ({
+  date: todayKey,
+  blocks: blocks.map(block => ({ ...block, blockId: generateId() })),
+  index: 0,
+});
+
+export const getCurrentBlock = (plan) => (plan ? plan.blocks[plan.index] || null : null);
+
+export const isDayPlanFinished = (plan) => Boolean(plan) && plan.index >= plan.blocks.length;
+
+export const advanceDayPlan = (plan) => (plan ? { ...plan, index: Math.min(plan.index + 1, plan.blocks.length) } : plan);
+
+const isValidDayPlan = (plan) =>
+  Boolean(plan) && typeof plan.date === 'string' && Array.isArray(plan.blocks) && Number.isInteger(plan.index);
+
+/**
+ * Today's plan, or null (plans from earlier days are dropped).
+ */
+export const loadDayPlan = (todayKey) => {
+  try {
+    const plan = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return isValidDayPlan(plan) && plan.date === todayKey ? plan : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveDayPlan = (plan) => {
+  try {
+    if (plan) localStorage.setItem(STORAGE_KEY, JSON.stringify(plan));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage unavailable: the plan only lasts for this session
+  }
+};
+
+export const DAY_PLAN_STORAGE_KEY = STORAGE_KEY;
@@ -0,0 +1,30 @@
+import { toDateKey } from '../tasks/dates.js';
+
+/**
+ * Pomodoro sessions are logged to the user's `sessions` collection as
+ * { taskId, type, startedAt, endedAt } with timestamps in epoch milliseconds.
+ * `endedAt - startedAt` is the time the timer ran: pauses are left out by backdating `startedAt`.
+ */
+export const SESSION_TIMESTAMP_FIELDS = ['startedAt', 'endedAt'];
+
+const sessionSeconds = (session) => Math.max(0, Math.round((session.endedAt - session.startedAt) / 1000));
+
+/**
+ * Total focus time and pomodoro count per task id, from completed work sessions.
+ */
+export const summarizeFocusByTask = (sessions) => {
+  const summary = {};
+  for (const session of sessions) {
+    if (session.type !== 'work' || !session.taskId) continue;
+    const entry = summary[session.taskId] || (summary[session.taskId] = { seconds: 0, pomodoros: 0 });
+    entry.seconds += sessionSeconds(session);
+    entry.pomodoros += 1;
+  }
+  return summary;
+};
+
+/**
+ * Number of work sessions that ended on the given local date key.
+ */
+export const countWorkSessionsOn = (sessions, dateKey) =>
+  sessions.filter(s => s.type === 'work' && s.endedAt && toDateKey(new Date(s.endedAt)) === dateKey).length;
@@ -0,0 +1,66 @@
+const HEARTBEAT_INTERVAL = 2000; // ms between pings
+const PEER_TIMEOUT = 6000; // a tab silent for this long is considered closed
+
+/**
+ * Coordinates the timer across tabs over a BroadcastChannel:
+ *  - relays timer state changes to the other tabs (`broadcast` / `onState`)
+ *  - hands the end-of-session chime to other tabs (`requestChime` / `onChime`), since
+ *    only a tab the user clicked in is allowed to play audio
+ *  - elects a leader (the oldest open tab) that is responsible for ending sessions
+ *
+ * Without BroadcastChannel support every tab considers itself the leader.
+ */
+export const createTabCoordinator = ({ name, onState, onChime }) => {
+  // Zero-padded start time first, so string order is age order
+  const tabId = `${String(Date.now()).padStart(15, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+  const peers = new Map(); // tabId -> last seen (ms)
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(name) : null;
+
+  const post = (message) => channel?.postMessage({ ...message, from: tabId });
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (!data || data.from === tabId) return;
+      if (data.type === 'bye') {
+        peers.delete(data.from);
+        return;
+      }
+      peers.set(data.from, Date.now());
+      if (data.type === 'state') onState(data.state);
+      else if (data.type === 'chime') onChime?.(data.chime);
+    };
+  }
+
+  const heartbeat = channel ? setInterval(() => post({ type: 'ping' }), HEARTBEAT_INTERVAL) : null;
+  const sayGoodbye = () => post({ type: 'bye' });
+  if (channel) {
+    post({ type: 'ping' });
+    window.addEventListener('pagehide', sayGoodbye);
+  }
+
+  return {
+    isLeader() {
+      const now = Date.now();
+      for (const [id, lastSeen] of peers) {
+        if (now - lastSeen > PEER_TIMEOUT) peers.delete(id);
+      }
+      return [...peers.keys()].every(id => id > tabId);
+    },
+
+    broadcast(state) {
+      post({ type: 'state', state });
+    },
+
+    requestChime(chime) {
+      post({ type: 'chime', chime });
+    },
+
+    close() {
+      if (!channel) return;
+      clearInterval(heartbeat);
+      window.removeEventListener('pagehide', sayGoodbye);
+      sayGoodbye();
+      channel.close();
+    },
+  };
+};
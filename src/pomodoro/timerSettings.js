@@ -0,0 +1,52 @@
+/**
+ * Pomodoro timer settings, stored in the user's `settings` collection as the 'timer' document
+ * (next to 'music'). Durations are in minutes, volume is 0-100.
+ */
+export const DEFAULT_TIMER_SETTINGS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  cycleLength: 4, // work sessions before a long break
+  autoStartBreaks: false,
+  autoStartWork: false,
+  // Session-end alerts, per ended session type
+  notifyOnWorkEnd: false,
+  notifyOnBreakEnd: false,
+  soundOnWorkEnd: true,
+  soundOnBreakEnd: true,
+  volume: 60,
+};
+
+const clampInt = (value, min, max, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+};
+
+/**
+ * Fills in defaults and clamps values coming from the settings form or Firestore.
+ */
+export const normalizeTimerSettings = (settings = {}) => ({
+  workMinutes: clampInt(settings.workMinutes, 1, 180, DEFAULT_TIMER_SETTINGS.workMinutes),
+  shortBreakMinutes: clampInt(settings.shortBreakMinutes, 1, 60, DEFAULT_TIMER_SETTINGS.shortBreakMinutes),
+  longBreakMinutes: clampInt(settings.longBreakMinutes, 1, 120, DEFAULT_TIMER_SETTINGS.longBreakMinutes),
+  cycleLength: clampInt(settings.cycleLength, 1, 12, DEFAULT_TIMER_SETTINGS.cycleLength),
+  autoStartBreaks: Boolean(settings.autoStartBreaks ?? DEFAULT_TIMER_SETTINGS.autoStartBreaks),
+  autoStartWork: Boolean(settings.autoStartWork ?? DEFAULT_TIMER_SETTINGS.autoStartWork),
+  notifyOnWorkEnd: Boolean(settings.notifyOnWorkEnd ?? DEFAULT_TIMER_SETTINGS.notifyOnWorkEnd),
+  notifyOnBreakEnd: Boolean(settings.notifyOnBreakEnd ?? DEFAULT_TIMER_SETTINGS.notifyOnBreakEnd),
+  soundOnWorkEnd: Boolean(settings.soundOnWorkEnd ?? DEFAULT_TIMER_SETTINGS.soundOnWorkEnd),
+  soundOnBreakEnd: Boolean(settings.soundOnBreakEnd ?? DEFAULT_TIMER_SETTINGS.soundOnBreakEnd),
+  volume: clampInt(settings.volume, 0, 100, DEFAULT_TIMER_SETTINGS.volume),
+});
+
+/**
+ * Session length in seconds for 'work', 'short-break' or 'long-break'.
+ */
+export const getDurationSeconds = (settings, type) => {
+  switch (type) {
+    case 'short-break': return settings.shortBreakMinutes * 60;
+    case 'long-break': return settings.longBreakMinutes * 60;
+    case 'work':
+    default: return settings.workMinutes * 60;
+  }
+};
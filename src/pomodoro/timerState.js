@@ -0,0 +1,117 @@
+/**
+ * Wall-clock timer state. Instead of counting ticks, a running session stores the
+ * timestamp it ends at, so throttled tabs, reloads and sleeping laptops all derive
+ * the same remaining time from `Date.now()`.
+ *
+ *   status      'stopped' | 'running' | 'paused'
+ *   endsAt      epoch ms the running session ends at (null unless running)
+ *   remaining   seconds left while paused/stopped (null = full duration from settings)
+ *   startedAt   epoch ms of the session's first start (null until started)
+ *   resumedAt   epoch ms the current run started at (null unless running)
+ *   elapsedMs   ms the session ran before the current run; pauses are not counted
+ *   updatedAt   epoch ms of the last change; the newest state wins across tabs/devices
+ */
+
+const STORAGE_KEY = 'focus-hub:timer-state';
+const CLAIM_KEY = 'focus-hub:timer-claim';
+
+export const INITIAL_TIMER_STATE = {
+  sessionType: 'work',
+  status: 'stopped',
+  endsAt: null,
+  remaining: null,
+  startedAt: null,
+  resumedAt: null,
+  elapsedMs: 0,
+  updatedAt: 0,
+};
+
+export const getRemainingSeconds = (state, duration, now) => {
+  if (state.status === 'running') return Math.max(0, Math.ceil((state.endsAt - now) / 1000));
+  return state.remaining ?? duration;
+};
+
+/**
+ * Time the session has actually been running, up to `now` (capped at its end).
+ */
+export const getFocusedMs = (state, now) => {
+  const elapsed = state.elapsedMs || 0;
+  if (state.status !== 'running') return elapsed;
+  const resumedAt = state.resumedAt ?? state.startedAt ?? now;
+  return elapsed + Math.max(0, Math.min(now, state.endsAt) - resumedAt);
+};
+
+export const startTimerState = (state, duration, now) => ({
+  ...state,
+  status: 'running',
+  endsAt: now + (state.remaining ?? duration) * 1000,
+  remaining: null,
+  startedAt: state.startedAt ?? now,
+  resumedAt: now,
+  updatedAt: now,
+});
+
+export const pauseTimerState = (state, duration, now) => ({
+  ...state,
+  status: 'paused',
+  remaining: getRemainingSeconds(state, duration, now),
+  endsAt: null,
+  resumedAt: null,
+  elapsedMs: getFocusedMs(state, now),
+  updatedAt: now,
+});
+
+export const resetTimerState = (state, now) => ({
+  ...state,
+  status: 'stopped',
+  endsAt: null,
+  remaining: null,
+  startedAt: null,
+  resumedAt: null,
+  elapsedMs: 0,
+  updatedAt: now,
+});
+
+/**
+ * Moves to `nextType`, optionally starting it right away (auto-start).
+ */
+export const nextSessionState = (state, nextType, { autoStart, duration, now }) => {
+  const next = resetTimerState({ ...state, sessionType: nextType }, now);
+  return autoStart ? startTimerState(next, duration, now) : next;
+};
+
+export const isValidTimerState = (state) =>
+  Boolean(state) && ['stopped', 'running', 'paused'].includes(state.status)
+    && ['work', 'short-break', 'long-break'].includes(state.sessionType)
+    && (state.status !== 'running' || typeof state.endsAt === 'number');
+
+export const loadLocalTimerState = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return isValidTimerState(saved) ? { ...INITIAL_TIMER_STATE, ...saved } : INITIAL_TIMER_STATE;
+  } catch {
+    return INITIAL_TIMER_STATE;
+  }
+};
+
+export const saveLocalTimerState = (state) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Storage unavailable: the state just won't survive a reload
+  }
+};
+
+/**
+ * Claims the end of the session ending at `endsAt` for this tab. localStorage is shared
+ * by every tab of the origin, so the first claimant wins and later ones get false.
+ */
+export const claimSessionEnd = (endsAt) => {
+  try {
+    if (localStorage.getItem(CLAIM_KEY) === String(endsAt)) return false;
+    localStorage.setItem(CLAIM_KEY, String(endsAt));
+  } catch {
+    // Without storage there is nothing to coordinate with
+  }
+  return true;
+};
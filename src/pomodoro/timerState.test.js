@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { INITIAL_TIMER_STATE, getFocusedMs, getRemainingSeconds, startTimerState, pauseTimerState, resetTimerState } from './timerState.js';
+
+const DURATION = 25 * 60; // seconds
+const MINUTE = 60 * 1000;
+
+describe('getFocusedMs', () => {
+  it('counts only the time the timer was running', () => {
+    let state = startTimerState(INITIAL_TIMER_STATE, DURATION, 0);
+    state = pauseTimerState(state, DURATION, 10 * MINUTE);
+    expect(getFocusedMs(state, 40 * MINUTE)).toBe(10 * MINUTE);
+
+    // Resumed after a 30 minute pause
+    state = startTimerState(state, DURATION, 40 * MINUTE);
+    expect(getFocusedMs(state, 45 * MINUTE)).toBe(15 * MINUTE);
+    expect(state.endsAt).toBe(55 * MINUTE);
+    expect(getFocusedMs(state, state.endsAt)).toBe(DURATION * 1000);
+    expect(state.startedAt).toBe(0);
+  });
+
+  it('stops counting at the end of the session', () => {
+    const state = startTimerState(INITIAL_TIMER_STATE, DURATION, 0);
+    expect(getFocusedMs(state, 90 * MINUTE)).toBe(DURATION * 1000);
+    expect(getRemainingSeconds(state, DURATION, 90 * MINUTE)).toBe(0);
+  });
+
+  it('starts over after a reset', () => {
+    const paused = pauseTimerState(startTimerState(INITIAL_TIMER_STATE, DURATION, 0), DURATION, 5 * MINUTE);
+    expect(getFocusedMs(resetTimerState(paused, 6 * MINUTE), 6 * MINUTE)).toBe(0);
+  });
+
+  it('handles states saved before pauses were tracked', () => {
+    const legacy = { sessionType: 'work', status: 'running', startedAt: 0, endsAt: 25 * MINUTE, remaining: null, updatedAt: 0 };
+    expect(getFocusedMs(legacy, 10 * MINUTE)).toBe(10 * MINUTE);
+  });
+});
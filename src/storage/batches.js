@@ -0,0 +1,42 @@
+/**
+ * Firestore rejects write batches with more operations than this. Every backend enforces
+ * the same limit so a batch that works offline can always be replayed remotely.
+ */
+export const MAX_BATCH_WRITES = 500;
+
+/**
+ * Throws (code 'batch-too-large') before anything is written when `ops` exceeds the limit.
+ */
+export const assertBatchSize = (ops) => {
+  if (ops.length <= MAX_BATCH_WRITES) return;
+  const error = new Error(`A batch can hold at most ${MAX_BATCH_WRITES} changes (got ${ops.length}).`);
+  error.code = 'batch-too-large';
+  throw error;
+};
+
+/**
+ * Splits `items` into chunks that each fit in one batch.
+ */
+export const chunkForBatches = (items) => {
+  const chunks = [];
+  for (let start = 0; start < items.length; start += MAX_BATCH_WRITES) {
+    chunks.push(items.slice(start, start + MAX_BATCH_WRITES));
+  }
+  return chunks;
+};
+
+/**
+ * Packs groups of operations into batches without splitting a group (e.g. completing a
+ * recurring task together with creating its next occurrence).
+ */
+export const packBatches = (groups) => {
+  const batches = [];
+  for (const group of groups) {
+    if (group.length === 0) continue;
+    assertBatchSize(group);
+    const last = batches[batches.length - 1];
+    if (last && last.length + group.length <= MAX_BATCH_WRITES) last.push(...group);
+    else batches.push([...group]);
+  }
+  return batches;
+};
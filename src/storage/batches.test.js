@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_BATCH_WRITES, assertBatchSize, chunkForBatches, packBatches } from './batches.js';
+
+const ops = (count, prefix = 't') => Array.from({ length: count }, (_, i) => ({ type: 'remove', id: `${prefix}${i}` }));
+
+describe('chunkForBatches', () => {
+  it('splits into chunks of at most MAX_BATCH_WRITES, in order', () => {
+    const items = ops(MAX_BATCH_WRITES * 2 + 1);
+    const chunks = chunkForBatches(items);
+    expect(chunks.map(c => c.length)).toEqual([MAX_BATCH_WRITES, MAX_BATCH_WRITES, 1]);
+    expect(chunks.flat()).toEqual(items);
+  });
+
+  it('is empty for no items', () => {
+    expect(chunkForBatches([])).toEqual([]);
+  });
+});
+
+describe('packBatches', () => {
+  it('never splits a group across batches', () => {
+    // 499 single writes, then a task completed together with its next occurrence
+    const groups = [...ops(MAX_BATCH_WRITES - 1).map(op => [op]), ops(2, 'recurring')];
+    const batches = packBatches(groups);
+    expect(batches.map(b => b.length)).toEqual([MAX_BATCH_WRITES - 1, 2]);
+    expect(batches[1].map(op => op.id)).toEqual(['recurring0', 'recurring1']);
+  });
+
+  it('fills batches up to the limit and skips empty groups', () => {
+    const batches = packBatches([ops(300, 'a'), [], ops(200, 'b'), ops(1, 'c')]);
+    expect(batches.map(b => b.length)).toEqual([MAX_BATCH_WRITES, 1]);
+  });
+
+  it('rejects a group that can never fit', () => {
+    expect(() => packBatches([ops(MAX_BATCH_WRITES + 1)])).toThrow(expect.objectContaining({ code: 'batch-too-large' }));
+  });
+});
+
+describe('assertBatchSize', () => {
+  it('allows exactly MAX_BATCH_WRITES operations', () => {
+    expect(() => assertBatchSize(ops(MAX_BATCH_WRITES))).not.toThrow();
+  });
+});
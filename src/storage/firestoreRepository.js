@@ -0,0 +1,78 @@
+import { doc, setDoc, updateDoc, deleteDoc, onSnapshot, collection, query, addDoc, serverTimestamp, Timestamp, writeBatch } from 'firebase/firestore';
+import { SERVER_TIMESTAMP, DEFAULT_TIMESTAMP_FIELDS } from './timestamps.js';
+import { assertBatchSize, chunkForBatches } from './batches.js';
+
+/**
+ * Firestore-backed repository for a single collection path.
+ * Timestamps are exchanged as epoch milliseconds and stored as Firestore Timestamps.
+ */
+export const createFirestoreRepository = ({ db, path, timestampFields = DEFAULT_TIMESTAMP_FIELDS }) => {
+  const collectionRef = collection(db, path);
+
+  const toFirestore = (data) => {
+    const { id: _ignored, ...fields } = data;
+    const converted = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === SERVER_TIMESTAMP) {
+        converted[key] = serverTimestamp();
+      } else if (timestampFields.includes(key) && typeof value === 'number') {
+        converted[key] = Timestamp.fromMillis(value);
+      } else {
+        converted[key] = value;
+      }
+    }
+    return converted;
+  };
+
+  const fromSnapshot = (docSnap) => {
+    // Pending server timestamps resolve to the local estimate instead of null
+    const data = docSnap.data({ serverTimestamps: 'estimate' });
+    const converted = { id: docSnap.id };
+    for (const [key, value] of Object.entries(data)) {
+      converted[key] = value instanceof Timestamp ? value.toMillis() : value;
+    }
+    return converted;
+  };
+
+  // One Firestore write batch: committed completely or not at all
+  const commitBatch = async (ops) => {
+    assertBatchSize(ops);
+    const batch = writeBatch(db);
+    for (const op of ops) {
+      const ref = doc(collectionRef, op.id);
+      if (op.type === 'put') batch.set(ref, toFirestore(op.data));
+      else if (op.type === 'update') batch.update(ref, toFirestore(op.data));
+      else if (op.type === 'remove') batch.delete(ref);
+    }
+    await batch.commit();
+  };
+
+  return {
+    subscribe(onNext, onError) {
+      return onSnapshot(
+        query(collectionRef),
+        (snapshot) => onNext(snapshot.docs.map(fromSnapshot)),
+        onError
+      );
+    },
+
+    async add(data) {
+      const ref = await addDoc(collectionRef, toFirestore(data));
+      return ref.id;
+    },
+
+    async addMany(items) {
+      const ops = items.map(item => ({ type: 'put', id: doc(collectionRef).id, data: item }));
+      for (const chunk of chunkForBatches(ops)) await commitBatch(chunk);
+      return ops.map(op => op.id);
+    },
+
+    put: (id, data) => setDoc(doc(collectionRef, id), toFirestore(data)),
+
+    update: (id, changes) => updateDoc(doc(collectionRef, id), toFirestore(changes)),
+
+    remove: (id) => deleteDoc(doc(collectionRef, id)),
+
+    writeBatch: commitBatch,
+  };
+};
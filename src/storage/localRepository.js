@@ -0,0 +1,185 @@
+import { SERVER_TIMESTAMP } from './timestamps.js';
+import { assertBatchSize } from './batches.js';
+
+const IDB_NAME = 'focus-hub';
+const IDB_STORE = 'collections';
+
+/**
+ * Generates a client-side document id (Firestore-compatible charset).
+ */
+export const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID().replace(/-/g, '');
+  }
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Replaces SERVER_TIMESTAMP sentinels with the current client time (ms).
+ */
+export const resolveTimestamps = (data, now = Date.now()) => {
+  const resolved = {};
+  for (const [key, value] of Object.entries(data)) {
+    resolved[key] = value === SERVER_TIMESTAMP ? now : value;
+  }
+  return resolved;
+};
+
+/**
+ * Persists whole collections as arrays in a single IndexedDB object store.
+ * Returns null when IndexedDB is unavailable (e.g. Node, private mode), in which
+ * case the local repository stays purely in memory.
+ */
+export const createIndexedDbPersistence = () => {
+  if (typeof indexedDB === 'undefined') return null;
+
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const idb = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction(IDB_STORE, mode);
+      const request = operation(tx.objectStore(IDB_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  return {
+    load: async (name) => (await run('readonly', store => store.get(name))) || [],
+    save: (name, docs) => run('readwrite', store => store.put(docs, name)),
+  };
+};
+
+/**
+ * Local repository backed by an in-memory Map, optionally mirrored to IndexedDB.
+ * Implements the same interface as the Firestore repository (see taskRepository.js).
+ */
+export const createLocalRepository = ({ name, persistence = createIndexedDbPersistence() } = {}) => {
+  const docs = new Map();
+  const listeners = new Set();
+
+  const ready = persistence
+    ? persistence.load(name)
+        .then(saved => saved.forEach(({ id, ...data }) => docs.set(id, data)))
+        .catch(e => console.error("Error loading local data:", e))
+    : Promise.resolve();
+
+  const snapshot = () => Array.from(docs, ([id, data]) => ({ id, ...data }));
+
+  const commit = async () => {
+    const list = snapshot();
+    listeners.forEach(listener => listener(list));
+    if (persistence) {
+      await persistence.save(name, list).catch(e => console.error("Error persisting local data:", e));
+    }
+  };
+
+  // The id lives in the Map key, never inside the stored data
+  const setDoc = (id, data) => {
+    const { id: _ignored, ...rest } = data;
+    docs.set(id, resolveTimestamps(rest));
+  };
+
+  const notFound = (id) => {
+    const error = new Error(`No document to update: ${id}`);
+    error.code = 'not-found';
+    return error;
+  };
+
+  const put = async (id, data) => {
+    await ready;
+    setDoc(id, data);
+    await commit();
+  };
+
+  return {
+    subscribe(onNext) {
+      let active = true;
+      const listener = (list) => active && onNext(list);
+      ready.then(() => {
+        if (!active) return;
+        listeners.add(listener);
+        onNext(snapshot());
+      });
+      return () => {
+        active = false;
+        listeners.delete(listener);
+      };
+    },
+
+    async add(data) {
+      const id = generateId();
+      await put(id, data);
+      return id;
+    },
+
+    async addMany(items) {
+      await ready;
+      const ids = items.map(item => {
+        const id = generateId();
+        setDoc(id, item);
+        return id;
+      });
+      await commit();
+      return ids;
+    },
+
+    async writeBatch(ops) {
+      assertBatchSize(ops);
+      await ready;
+      // Check every update first so a missing document leaves the collection untouched.
+      // Like Firestore, an update may target a document put earlier in the same batch.
+      const existing = new Set(docs.keys());
+      const missing = ops.find(op => {
+        if (op.type === 'put') existing.add(op.id);
+        else if (op.type === 'remove') existing.delete(op.id);
+        return op.type === 'update' && !existing.has(op.id);
+      });
+      if (missing) throw notFound(missing.id);
+
+      for (const op of ops) {
+        if (op.type === 'put') setDoc(op.id, op.data);
+        else if (op.type === 'update') docs.set(op.id, { ...docs.get(op.id), ...resolveTimestamps(op.data) });
+        else if (op.type === 'remove') docs.delete(op.id);
+      }
+      await commit();
+    },
+
+    put,
+
+    async update(id, changes) {
+      await ready;
+      if (!docs.has(id)) throw notFound(id);
+      docs.set(id, { ...docs.get(id), ...resolveTimestamps(changes) });
+      await commit();
+    },
+
+    async remove(id) {
+      await ready;
+      docs.delete(id);
+      await commit();
+    },
+
+    /**
+     * Replaces the whole collection (used to mirror the remote snapshot).
+     */
+    async replaceAll(list) {
+      await ready;
+      docs.clear();
+      list.forEach(({ id, ...data }) => docs.set(id, data));
+      await commit();
+    },
+  };
+};
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { createLocalRepository } from './localRepository.js';
+import { MAX_BATCH_WRITES } from './batches.js';
+import { SERVER_TIMESTAMP } from './timestamps.js';
+
+// In-memory stand-in for IndexedDB that records every save
+const createMemoryPersistence = (saved = {}) => {
+  const saves = [];
+  return {
+    saves,
+    load: async (name) => saved[name] || [],
+    save: async (name, docs) => {
+      saves.push({ name, docs });
+    },
+  };
+};
+
+const createRepository = (persistence = null) => createLocalRepository({ name: 'tasks', persistence });
+
+// Latest snapshot delivered to a subscriber
+const watch = (repository) => {
+  const snapshots = [];
+  repository.subscribe(list => snapshots.push(list));
+  return () => snapshots[snapshots.length - 1];
+};
+
+const byId = (list) => Object.fromEntries(list.map(({ id, ...data }) => [id, data]));
+
+describe('createLocalRepository', () => {
+  it('adds, updates and removes documents, notifying subscribers', async () => {
+    const repository = createRepository();
+    const latest = watch(repository);
+
+    const id = await repository.add({ title: 'Write tests', completed: false });
+    const [otherId] = await repository.addMany([{ title: 'Review', completed: false }]);
+    expect(byId(latest())).toEqual({
+      [id]: { title: 'Write tests', completed: false },
+      [otherId]: { title: 'Review', completed: false },
+    });
+
+    await repository.update(id, { completed: true });
+    expect(byId(latest())[id]).toEqual({ title: 'Write tests', completed: true });
+
+    await repository.remove(otherId);
+    expect(latest().map(d => d.id)).toEqual([id]);
+  });
+
+  it('keeps ids out of the stored data and resolves server timestamps', async () => {
+    const repository = createRepository();
+    const latest = watch(repository);
+
+    await repository.put('a', { id: 'other', title: 'Put', createdAt: SERVER_TIMESTAMP });
+    const [doc] = latest();
+    expect(doc.id).toBe('a');
+    expect(typeof doc.createdAt).toBe('number');
+  });
+
+  it('applies a batch in order', async () => {
+    const repository = createRepository();
+    const latest = watch(repository);
+    await repository.put('a', { title: 'A' });
+
+    await repository.writeBatch([
+      { type: 'put', id: 'b', data: { title: 'B' } },
+      { type: 'update', id: 'b', data: { title: 'B2' } },
+      { type: 'remove', id: 'a' },
+    ]);
+    expect(latest()).toEqual([{ id: 'b', title: 'B2' }]);
+  });
+
+  it('loads from and saves to its persistence', async () => {
+    const persistence = createMemoryPersistence({ tasks: [{ id: 'a', title: 'Saved' }] });
+    const repository = createRepository(persistence);
+    const latest = watch(repository);
+
+    await repository.update('a', { title: 'Edited' });
+    expect(latest()).toEqual([{ id: 'a', title: 'Edited' }]);
+    expect(persistence.saves.at(-1)).toEqual({ name: 'tasks', docs: [{ id: 'a', title: 'Edited' }] });
+  });
+});
+
+describe('createLocalRepository not-found handling', () => {
+  it('rejects updating a missing document without creating it', async () => {
+    const repository = createRepository();
+    const latest = watch(repository);
+
+    await expect(repository.update('missing', { title: 'Ghost' })).rejects.toMatchObject({ code: 'not-found' });
+    await repository.put('a', { title: 'A' });
+    expect(latest()).toEqual([{ id: 'a', title: 'A' }]);
+  });
+
+  it('rejects a batch updating a document removed earlier in it', async () => {
+    const repository = createRepository();
+    await repository.put('a', { title: 'A' });
+
+    await expect(repository.writeBatch([
+      { type: 'remove', id: 'a' },
+      { type: 'update', id: 'a', data: { title: 'Ghost' } },
+    ])).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  it('leaves the collection untouched when a batch updates a missing document', async () => {
+    const repository = createRepository();
+    const latest = watch(repository);
+    await repository.put('a', { title: 'A' });
+
+    await expect(repository.writeBatch([
+      { type: 'remove', id: 'a' },
+      { type: 'put', id: 'b', data: { title: 'B' } },
+      { type: 'update', id: 'missing', data: { title: 'Ghost' } },
+    ])).rejects.toMatchObject({ code: 'not-found' });
+    expect(latest()).toEqual([{ id: 'a', title: 'A' }]);
+  });
+
+  it('ignores removing a missing document', async () => {
+    const repository = createRepository();
+    await expect(repository.remove('missing')).resolves.toBeUndefined();
+  });
+
+  it('rejects oversized batches before writing anything', async () => {
+    const repository = createRepository();
+    const latest = watch(repository);
+    const ops = Array.from({ length: MAX_BATCH_WRITES + 1 }, (_, i) => ({ type: 'put', id: `t${i}`, data: {} }));
+
+    await expect(repository.writeBatch(ops)).rejects.toMatchObject({ code: 'batch-too-large' });
+    await expect(repository.writeBatch(ops.slice(1))).resolves.toBeUndefined();
+    expect(latest()).toHaveLength(MAX_BATCH_WRITES);
+  });
+});
@@ -0,0 +1,195 @@
+import { generateId, resolveTimestamps } from './localRepository.js';
+import { assertBatchSize, chunkForBatches } from './batches.js';
+
+const QUEUE_KEY_PREFIX = 'focus-hub:queue:';
+const DEAD_LETTER_KEY_PREFIX = 'focus-hub:dead-letter:';
+const RETRY_DELAY = 15000; // Retry failed replays every 15 seconds while online
+
+// Firestore error codes that may succeed on a later attempt; errors without a code are
+// network failures. Any other code (permission-denied, invalid-argument, ...) never will.
+const TRANSIENT_ERROR_CODES = new Set([
+  'unavailable',
+  'deadline-exceeded',
+  'resource-exhausted',
+  'aborted',
+  'cancelled',
+  'internal',
+  'unknown',
+  'unauthenticated',
+]);
+
+const isTransientError = (e) => !e?.code || TRANSIENT_ERROR_CODES.has(e.code);
+
+const loadQueue = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const saveQueue = (key, queue) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(queue));
+  } catch {
+    // Storage unavailable (private mode / Node): the queue only lives in memory
+  }
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// A queued batch ({ type: 'batch', ops }) is replayed as one atomic remote write
+const flattenQueue = (queue) => queue.flatMap(op => (op.type === 'batch' ? op.ops : [op]));
+
+/**
+ * Applies queued (not yet acknowledged) operations on top of a remote snapshot.
+ */
+const applyQueue = (docs, queue) => {
+  const byId = new Map(docs.map(d => [d.id, d]));
+  for (const op of flattenQueue(queue)) {
+    if (op.type === 'put') {
+      byId.set(op.id, { id: op.id, ...op.data });
+    } else if (op.type === 'update' && byId.has(op.id)) {
+      byId.set(op.id, { ...byId.get(op.id), ...op.data });
+    } else if (op.type === 'remove') {
+      byId.delete(op.id);
+    }
+  }
+  return Array.from(byId.values());
+};
+
+/**
+ * Offline-first repository: every write lands in the local repository immediately and
+ * is queued (persisted in localStorage) for the remote one. The queue is replayed in
+ * order whenever the browser is online; remote snapshots are mirrored into the local
+ * repository with still-pending operations re-applied on top. Writes that fail with a
+ * transient error are retried; writes the server rejects for good are dropped and reported.
+ */
+export const createOfflineFirstRepository = ({ name, local, remote }) => {
+  const queueKey = `${QUEUE_KEY_PREFIX}${name}`;
+  const deadLetterKey = `${DEAD_LETTER_KEY_PREFIX}${name}`;
+  let queue = loadQueue(queueKey);
+  let flushing = false;
+  let retryTimer = null;
+  const errorListeners = new Set();
+
+  // Keeps a rejected write for inspection and tells subscribers it was discarded
+  const reportDropped = (op, e) => {
+    console.error(`Dropped a queued ${op.type} the server rejected:`, e);
+    saveQueue(deadLetterKey, [...loadQueue(deadLetterKey), { ...op, error: e.code, droppedAt: Date.now() }]);
+    const error = new Error(`A change could not be synced and was discarded (${e.code}).`);
+    error.code = 'write-dropped';
+    error.cause = e;
+    errorListeners.forEach(listener => listener(error));
+  };
+
+  const replay = async (op) => {
+    try {
+      if (op.type === 'put') await remote.put(op.id, op.data);
+      else if (op.type === 'update') await remote.update(op.id, op.data);
+      else if (op.type === 'remove') await remote.remove(op.id);
+      else if (op.type === 'batch') await remote.writeBatch(op.ops);
+    } catch (e) {
+      // Only transient failures are retried; a permanent one would block every later write.
+      // A batch is dropped as a whole, never half-applied: the next remote snapshot then
+      // replaces the local copy.
+      if (isTransientError(e)) throw e;
+      // A document deleted elsewhere can never accept the update, which is expected
+      if (e.code === 'not-found') console.warn(`Dropped a queued ${op.type} that no longer applies:`, e);
+      else reportDropped(op, e);
+    }
+  };
+
+  const flush = async () => {
+    if (flushing || !isOnline()) return;
+    flushing = true;
+    clearTimeout(retryTimer);
+    try {
+      while (queue.length > 0) {
+        await replay(queue[0]);
+        queue = queue.slice(1);
+        saveQueue(queueKey, queue);
+      }
+    } catch (e) {
+      console.error("Error replaying queued writes:", e);
+      retryTimer = setTimeout(flush, RETRY_DELAY);
+    } finally {
+      flushing = false;
+    }
+  };
+
+  const enqueue = (...ops) => {
+    queue = [...queue, ...ops];
+    saveQueue(queueKey, queue);
+    flush();
+  };
+
+  // Local writes are all-or-nothing, and the queued batch replays atomically as well
+  const writeBatch = async (ops) => {
+    if (ops.length === 0) return;
+    // Checked up front: an oversized batch would fail every remote replay
+    assertBatchSize(ops);
+    const resolved = ops.map(op => (op.data ? { ...op, data: resolveTimestamps(op.data) } : op));
+    await local.writeBatch(resolved);
+    enqueue({ type: 'batch', ops: resolved });
+  };
+
+  return {
+    /**
+     * `onError` also receives writes the server rejected for good (code 'write-dropped');
+     * those are discarded and kept under the dead-letter key.
+     */
+    subscribe(onNext, onError) {
+      const unsubscribeLocal = local.subscribe(onNext, onError);
+      if (onError) errorListeners.add(onError);
+      const unsubscribeRemote = remote.subscribe(
+        (docs) => local.replaceAll(applyQueue(docs, queue)),
+        // Remote errors are not fatal: the local copy keeps serving reads
+        (error) => console.error("Remote subscription failed, continuing offline:", error)
+      );
+      if (typeof window !== 'undefined') window.addEventListener('online', flush);
+      flush();
+
+      return () => {
+        unsubscribeLocal();
+        unsubscribeRemote();
+        errorListeners.delete(onError);
+        clearTimeout(retryTimer);
+        if (typeof window !== 'undefined') window.removeEventListener('online', flush);
+      };
+    },
+
+    async add(data) {
+      const id = generateId();
+      const resolved = resolveTimestamps(data);
+      await local.put(id, resolved);
+      enqueue({ type: 'put', id, data: resolved });
+      return id;
+    },
+
+    async addMany(items) {
+      const ops = items.map(item => ({ type: 'put', id: generateId(), data: item }));
+      for (const chunk of chunkForBatches(ops)) await writeBatch(chunk);
+      return ops.map(op => op.id);
+    },
+
+    writeBatch,
+
+    async put(id, data) {
+      const resolved = resolveTimestamps(data);
+      await local.put(id, resolved);
+      enqueue({ type: 'put', id, data: resolved });
+    },
+
+    async update(id, changes) {
+      const resolved = resolveTimestamps(changes);
+      await local.update(id, resolved);
+      enqueue({ type: 'update', id, data: resolved });
+    },
+
+    async remove(id) {
+      await local.remove(id);
+      enqueue({ type: 'remove', id });
+    },
+  };
+};
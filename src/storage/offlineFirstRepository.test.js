@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createLocalRepository } from './localRepository.js';
+import { createOfflineFirstRepository } from './offlineFirstRepository.js';
+
+// Lets queued replays and snapshot listeners run
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createMemoryRepository = () => createLocalRepository({ name: 'tasks', persistence: null });
+
+// A second local repository plays the remote. It records successful writes, and
+// `failures` makes that many of the next writes throw an error with `failureCode`.
+const createFakeRemote = () => {
+  const remote = createMemoryRepository();
+  const fake = { ...remote, failures: 0, failureCode: 'unavailable', writes: [] };
+  for (const method of ['put', 'update', 'remove', 'writeBatch']) {
+    fake[method] = async (...args) => {
+      if (fake.failures > 0) {
+        fake.failures--;
+        throw Object.assign(new Error(`Remote write failed: ${fake.failureCode}`), { code: fake.failureCode });
+      }
+      const result = await remote[method](...args);
+      fake.writes.push(method);
+      return result;
+    };
+  }
+  return fake;
+};
+
+const watch = (repository) => {
+  const snapshots = [];
+  repository.subscribe(list => snapshots.push(list));
+  return () => snapshots[snapshots.length - 1];
+};
+
+const sortById = (list) => list.slice().sort((a, b) => (a.id < b.id ? -1 : 1));
+
+const goOnline = () => {
+  navigator.onLine = true;
+  window.dispatchEvent(new Event('online'));
+};
+
+describe('createOfflineFirstRepository', () => {
+  let local;
+  let remote;
+  let repository;
+  let unsubscribe;
+
+  beforeEach(() => {
+    vi.stubGlobal('navigator', { onLine: false });
+    vi.stubGlobal('window', new EventTarget());
+    local = createMemoryRepository();
+    remote = createFakeRemote();
+    repository = createOfflineFirstRepository({ name: 'tasks', local, remote });
+  });
+
+  afterEach(() => {
+    unsubscribe?.();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('writes locally while offline and replays the queue in order after reconnecting', async () => {
+    unsubscribe = repository.subscribe(() => {});
+    const latest = watch(local);
+    const remoteLatest = watch(remote);
+    await settle();
+
+    const id = await repository.add({ title: 'Offline', completed: false });
+    await repository.update(id, { completed: true });
+    await repository.writeBatch([
+      { type: 'put', id: 'b', data: { title: 'Batched' } },
+      { type: 'remove', id },
+    ]);
+    await settle();
+    expect(latest()).toEqual([{ id: 'b', title: 'Batched' }]);
+    expect(remote.writes).toEqual([]);
+
+    goOnline();
+    await settle();
+    expect(remote.writes).toEqual(['put', 'update', 'writeBatch']);
+    expect(remoteLatest()).toEqual([{ id: 'b', title: 'Batched' }]);
+    expect(latest()).toEqual([{ id: 'b', title: 'Batched' }]);
+  });
+
+  it('keeps pending writes on top of remote snapshots', async () => {
+    await remote.put('a', { title: 'Remote' });
+    unsubscribe = repository.subscribe(() => {});
+    const latest = watch(local);
+    await settle();
+
+    await repository.update('a', { title: 'Edited offline' });
+    await remote.put('c', { title: 'From another device' });
+    await settle();
+    expect(sortById(latest())).toEqual([
+      { id: 'a', title: 'Edited offline' },
+      { id: 'c', title: 'From another device' },
+    ]);
+  });
+
+  it('drops a queued update whose document was deleted elsewhere and replays the rest', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await remote.put('a', { title: 'Shared' });
+    unsubscribe = repository.subscribe(() => {});
+    await settle();
+
+    await repository.update('a', { title: 'Edited offline' });
+    await repository.put('b', { title: 'New' });
+    await remote.remove('a');
+    remote.writes = [];
+
+    goOnline();
+    await settle();
+    expect(warn).toHaveBeenCalledOnce();
+    expect(remote.writes).toEqual(['put']);
+    expect(await new Promise(resolve => remote.subscribe(resolve))).toEqual([{ id: 'b', title: 'New' }]);
+  });
+
+  it('drops a queued batch as a whole when one of its updates no longer applies', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await remote.put('a', { title: 'Shared' });
+    unsubscribe = repository.subscribe(() => {});
+    await settle();
+
+    await repository.writeBatch([
+      { type: 'put', id: 'b', data: { title: 'New' } },
+      { type: 'update', id: 'a', data: { title: 'Edited offline' } },
+    ]);
+    await remote.remove('a');
+
+    goOnline();
+    await settle();
+    expect(await new Promise(resolve => remote.subscribe(resolve))).toEqual([]);
+  });
+
+  it('does not queue an update the local repository rejects', async () => {
+    unsubscribe = repository.subscribe(() => {});
+    await expect(repository.update('missing', { title: 'Ghost' })).rejects.toMatchObject({ code: 'not-found' });
+
+    goOnline();
+    await settle();
+    expect(remote.writes).toEqual([]);
+  });
+
+  it('retries a failed replay later, keeping the queue', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    navigator.onLine = true;
+    remote.failures = 1;
+
+    unsubscribe = repository.subscribe(() => {});
+    await repository.put('a', { title: 'Retry me' });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(remote.writes).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(15000);
+    expect(remote.writes).toEqual(['put']);
+  });
+
+  it.each(['permission-denied', 'invalid-argument', 'batch-too-large'])(
+    'drops and reports a write rejected with %s instead of blocking the queue',
+    async (code) => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const onError = vi.fn();
+      unsubscribe = repository.subscribe(() => {}, onError);
+      await settle();
+
+      await repository.put('a', { title: 'Rejected' });
+      await repository.put('b', { title: 'Accepted' });
+      remote.failures = 1;
+      remote.failureCode = code;
+
+      goOnline();
+      await settle();
+      expect(remote.writes).toEqual(['put']);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'write-dropped' }));
+      expect(await new Promise(resolve => remote.subscribe(resolve))).toEqual([{ id: 'b', title: 'Accepted' }]);
+    }
+  );
+
+  it('retries network errors without a code', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    navigator.onLine = true;
+    const onError = vi.fn();
+    unsubscribe = repository.subscribe(() => {}, onError);
+    const put = remote.put;
+    remote.put = vi.fn().mockRejectedValueOnce(new TypeError('Failed to fetch')).mockImplementation(put);
+
+    await repository.put('a', { title: 'Retry me' });
+    await vi.advanceTimersByTimeAsync(15000);
+    expect(remote.put).toHaveBeenCalledTimes(2);
+    expect(remote.writes).toEqual(['put']);
+    expect(onError).not.toHaveBeenCalled();
+  });
+});
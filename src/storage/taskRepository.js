@@ -0,0 +1,46 @@
+import { createFirestoreRepository } from './firestoreRepository.js';
+import { createLocalRepository } from './localRepository.js';
+import { createOfflineFirstRepository } from './offlineFirstRepository.js';
+
+export { SERVER_TIMESTAMP } from './timestamps.js';
+export { MAX_BATCH_WRITES } from './batches.js';
+
+/**
+ * Repository interface shared by every storage backend. Documents are plain objects
+ * with an `id`; timestamp fields are epoch milliseconds (or SERVER_TIMESTAMP on write).
+ *
+ * @typedef {Object} Repository
+ * @property {(onNext: (docs: Object[]) => void, onError?: (e: Error) => void) => () => void} subscribe
+ *                                                                 The offline-first backend also reports queued writes the
+ *                                                                 server rejected to `onError` (code 'write-dropped').
+ * @property {(data: Object) => Promise<string>} add               Creates a document, resolves its id.
+ * @property {(items: Object[]) => Promise<string[]>} addMany      Creates several documents, in batches of up to
+ *                                                                 MAX_BATCH_WRITES (each batch is all-or-nothing).
+ * @property {(id: string, data: Object) => Promise<void>} put     Creates or overwrites a document.
+ * @property {(id: string, changes: Object) => Promise<void>} update
+ * @property {(id: string) => Promise<void>} remove
+ * @property {(ops: BatchOp[]) => Promise<void>} writeBatch         Applies all operations or none of them. Rejects
+ *                                                                 more than MAX_BATCH_WRITES operations (code 'batch-too-large').
+ *
+ * @typedef {{ type: 'put' | 'update' | 'remove', id: string, data?: Object }} BatchOp
+ */
+
+/**
+ * 'firestore' (offline-first, default) or 'local' (IndexedDB/in-memory only, no Firebase project needed).
+ */
+export const STORAGE_BACKEND = import.meta.env?.VITE_TASK_STORAGE === 'local' ? 'local' : 'firestore';
+
+export const getUserCollectionPath = (appId, userId, name) => `artifacts/${appId}/users/${userId}/${name}`;
+
+/**
+ * Builds the repository for one of the user's collections (e.g. 'todos').
+ * Without a Firestore instance (or with the 'local' backend) data stays on this device.
+ */
+export const createUserRepository = ({ db, appId, userId, name, timestampFields, backend = STORAGE_BACKEND }) => {
+  const path = getUserCollectionPath(appId, userId, name);
+  const local = createLocalRepository({ name: path });
+  if (backend === 'local' || !db) return local;
+
+  const remote = createFirestoreRepository({ db, path, timestampFields });
+  return createOfflineFirstRepository({ name: path, local, remote });
+};
@@ -0,0 +1,10 @@
+/**
+ * Sentinel for "set this field to the write time". The Firestore repository maps it to
+ * serverTimestamp(); local repositories resolve it to the client clock.
+ */
+export const SERVER_TIMESTAMP = '__server_timestamp__';
+
+/**
+ * Fields stored as Firestore Timestamps remotely and as epoch milliseconds everywhere else.
+ */
+export const DEFAULT_TIMESTAMP_FIELDS = ['createdAt', 'completedAt'];
@@ -0,0 +1,43 @@
+import { generateId } from '../storage/localRepository.js';
+import { DATE_KEY_PATTERN } from './dates.js';
+import { normalizeSubtasks } from './subtasks.js';
+
+/**
+ * AI-generated tasks are staged as drafts the user can edit, drop, reorder or regenerate
+ * before anything is saved. A draft is { draftId, title, scheduledDate, subtasks, dateFlag, isRegenerating }.
+ */
+
+export const createDraft = (task) => ({
+  draftId: generateId(),
+  title: String(task.title || '').trim(),
+  scheduledDate: DATE_KEY_PATTERN.test(task.scheduledDate || '') ? task.scheduledDate : '',
+  subtasks: normalizeSubtasks(task.subtasks),
+  dateFlag: task.dateFlag || null, // set when the suggested date had to be corrected
+  isRegenerating: false,
+});
+
+export const updateDraft = (drafts, draftId, changes) =>
+  drafts.map(d => d.draftId === draftId ? { ...d, ...changes } : d);
+
+export const removeDraft = (drafts, draftId) => drafts.filter(d => d.draftId !== draftId);
+
+/**
+ * Moves a draft one step up (delta -1) or down (delta 1); out-of-range moves are ignored.
+ */
+export const moveDraft = (drafts, draftId, delta) => {
+  const index = drafts.findIndex(d => d.draftId === draftId);
+  const target = index + delta;
+  if (index === -1 || target < 0 || target >= drafts.length) return drafts;
+  const next = [...drafts];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+/**
+ * Swaps in a regenerated task, keeping the draft's position.
+ */
+export const replaceDraft = (drafts, draftId, task) =>
+  drafts.map(d => d.draftId === draftId ? { ...createDraft(task), draftId } : d);
+
+// Drafts whose title was cleared are dropped on save
+export const getAcceptedDrafts = (drafts) => drafts.filter(d => d.title.trim());
@@ -0,0 +1,116 @@
+import { toDateKey, parseDateKey, addDays, startOfWeek } from './dates.js';
+
+/**
+ * Productivity analytics derived from task timestamps (`createdAt` / `completedAt`, epoch ms).
+ * Days are local calendar days, weeks start on Sunday. `todayKey` is passed in to keep
+ * everything pure.
+ */
+
+export const HEATMAP_WEEKS = 53; // one year, plus the partial week on either end
+
+/**
+ * Completed tasks per local day: { 'YYYY-MM-DD': count }.
+ */
+export const countCompletionsByDay = (tasks) => tasks.reduce((counts, task) => {
+  if (task.completed && typeof task.completedAt === 'number') {
+    const key = toDateKey(new Date(task.completedAt));
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}, {});
+
+/**
+ * The last `days` days up to and including `todayKey`: [{ dateKey, count }], oldest first.
+ */
+export const getDailySeries = (counts, todayKey, days) => {
+  const today = parseDateKey(todayKey);
+  return Array.from({ length: days }, (_, i) => {
+    const dateKey = toDateKey(addDays(today, i - days + 1));
+    return { dateKey, count: counts[dateKey] || 0 };
+  });
+};
+
+/**
+ * The last `weeks` weeks up to the current one: [{ weekStart, count }], oldest first.
+ */
+export const getWeeklySeries = (counts, todayKey, weeks) => {
+  const currentWeek = startOfWeek(parseDateKey(todayKey));
+  return Array.from({ length: weeks }, (_, i) => {
+    const start = addDays(currentWeek, (i - weeks + 1) * 7);
+    let count = 0;
+    for (let d = 0; d < 7; d++) count += counts[toDateKey(addDays(start, d))] || 0;
+    return { weekStart: toDateKey(start), count };
+  });
+};
+
+/**
+ * GitHub-style grid: HEATMAP_WEEKS columns of 7 days (Sunday first), ending with the current week.
+ * Days after today are flagged `isFuture`; `level` (0-4) scales with the busiest day shown.
+ */
+export const getHeatmap = (counts, todayKey) => {
+  const firstDay = addDays(startOfWeek(parseDateKey(todayKey)), -(HEATMAP_WEEKS - 1) * 7);
+  const cells = Array.from({ length: HEATMAP_WEEKS * 7 }, (_, i) => {
+    const dateKey = toDateKey(addDays(firstDay, i));
+    return { dateKey, count: counts[dateKey] || 0, isFuture: dateKey > todayKey };
+  });
+  const max = Math.max(0, ...cells.map(c => c.count));
+  const weeks = [];
+  for (let w = 0; w < HEATMAP_WEEKS; w++) {
+    weeks.push(cells.slice(w * 7, w * 7 + 7).map(cell => ({
+      ...cell,
+      level: cell.count === 0 || max === 0 ? 0 : Math.ceil((cell.count / max) * 4),
+    })));
+  }
+  return weeks;
+};
+
+/**
+ * Runs of consecutive days with at least one completion. The current streak still counts
+ * when nothing is done yet today, as long as yesterday was active.
+ */
+export const getStreaks = (counts, todayKey) => {
+  const days = Object.keys(counts).filter(key => counts[key] > 0).sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  days.forEach(key => {
+    run = previous && toDateKey(addDays(parseDateKey(previous), 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = key;
+  });
+
+  const today = parseDateKey(todayKey);
+  let current = 0;
+  let cursor = counts[todayKey] ? today : addDays(today, -1);
+  while (counts[toDateKey(cursor)]) {
+    current++;
+    cursor = addDays(cursor, -1);
+  }
+  return { current, longest };
+};
+
+/**
+ * Average ms from `createdAt` to `completedAt` over completed tasks with both timestamps,
+ * or null when there are none. Tasks without a real creation time (stored as 0) are skipped.
+ */
+export const getAverageCompletionTime = (tasks) => {
+  const durations = tasks
+    .filter(t => t.completed && typeof t.createdAt === 'number' && t.createdAt > 0 && typeof t.completedAt === 'number')
+    .map(t => t.completedAt - t.createdAt)
+    .filter(ms => ms >= 0);
+  return durations.length > 0 ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length : null;
+};
+
+/**
+ * Everything the dashboard charts need in one pass.
+ */
+export const summarizeAnalytics = (tasks, todayKey, { days = 14, weeks = 12 } = {}) => {
+  const counts = countCompletionsByDay(tasks);
+  return {
+    daily: getDailySeries(counts, todayKey, days),
+    weekly: getWeeklySeries(counts, todayKey, weeks),
+    heatmap: getHeatmap(counts, todayKey),
+    streaks: getStreaks(counts, todayKey),
+    averageCompletionTime: getAverageCompletionTime(tasks),
+  };
+};
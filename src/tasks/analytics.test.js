@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HEATMAP_WEEKS,
+  countCompletionsByDay,
+  getDailySeries,
+  getWeeklySeries,
+  getHeatmap,
+  getStreaks,
+  getAverageCompletionTime,
+} from './analytics.js';
+
+// Monday 19 October 2026; its week starts on Sunday the 18th
+const TODAY = '2026-10-19';
+const HOUR = 60 * 60 * 1000;
+
+// Local time, like the app's completion timestamps
+const at = (dateKey, hours = 12) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day, hours).getTime();
+};
+
+const done = (dateKey, fields = {}) => ({ completed: true, completedAt: at(dateKey), ...fields });
+
+// Counts keyed by day, as countCompletionsByDay returns them
+const countsFor = (...dateKeys) => dateKeys.reduce((counts, key) => ({ ...counts, [key]: (counts[key] || 0) + 1 }), {});
+
+describe('countCompletionsByDay', () => {
+  it('buckets completed tasks by local completion day', () => {
+    const tasks = [
+      done('2026-10-19', { completedAt: at('2026-10-19', 0) }),
+      done('2026-10-19', { completedAt: at('2026-10-19', 23) }),
+      done('2026-10-18'),
+      { completed: false, completedAt: at('2026-10-18') },
+      { completed: true, completedAt: null },
+    ];
+    expect(countCompletionsByDay(tasks)).toEqual({ '2026-10-19': 2, '2026-10-18': 1 });
+  });
+});
+
+describe('getDailySeries', () => {
+  it('lists the last days up to today, oldest first, with zeros for quiet days', () => {
+    expect(getDailySeries(countsFor('2026-10-19', '2026-10-17', '2026-10-17', '2026-10-10'), TODAY, 3)).toEqual([
+      { dateKey: '2026-10-17', count: 2 },
+      { dateKey: '2026-10-18', count: 0 },
+      { dateKey: '2026-10-19', count: 1 },
+    ]);
+  });
+
+  it('crosses month and year boundaries', () => {
+    expect(getDailySeries({}, '2027-01-01', 2).map(d => d.dateKey)).toEqual(['2026-12-31', '2027-01-01']);
+  });
+});
+
+describe('getWeeklySeries', () => {
+  it('sums Sunday-to-Saturday weeks ending with the current one', () => {
+    const counts = countsFor('2026-10-18', '2026-10-19', '2026-10-17', '2026-10-11', '2026-10-10');
+    expect(getWeeklySeries(counts, TODAY, 3)).toEqual([
+      { weekStart: '2026-10-04', count: 1 },
+      { weekStart: '2026-10-11', count: 2 },
+      { weekStart: '2026-10-18', count: 2 },
+    ]);
+  });
+});
+
+describe('getHeatmap', () => {
+  const heatmap = getHeatmap(countsFor('2026-10-19', '2026-10-19', '2026-10-19', '2026-10-19', '2026-10-12', '2025-10-20'), TODAY);
+
+  it('has HEATMAP_WEEKS columns of seven days, Sunday first, ending with the current week', () => {
+    expect(heatmap).toHaveLength(HEATMAP_WEEKS);
+    heatmap.forEach(week => expect(week).toHaveLength(7));
+    expect(heatmap[0][0].dateKey).toBe('2025-10-19');
+    expect(heatmap[HEATMAP_WEEKS - 1][0].dateKey).toBe('2026-10-18');
+    expect(heatmap[HEATMAP_WEEKS - 1][6].dateKey).toBe('2026-10-24');
+  });
+
+  it('flags days after today as future', () => {
+    const lastWeek = heatmap[HEATMAP_WEEKS - 1];
+    expect(lastWeek.map(cell => cell.isFuture)).toEqual([false, false, true, true, true, true, true]);
+  });
+
+  it('scales levels to the busiest day', () => {
+    const cells = Object.fromEntries(heatmap.flat().map(cell => [cell.dateKey, cell]));
+    expect(cells['2026-10-19']).toMatchObject({ count: 4, level: 4 });
+    expect(cells['2026-10-12']).toMatchObject({ count: 1, level: 1 });
+    expect(cells['2025-10-20']).toMatchObject({ count: 1, level: 1 });
+    expect(cells['2026-10-13']).toMatchObject({ count: 0, level: 0 });
+  });
+
+  it('is all level 0 without completions', () => {
+    expect(getHeatmap({}, TODAY).flat().every(cell => cell.level === 0)).toBe(true);
+  });
+});
+
+describe('getStreaks', () => {
+  it.each([
+    ['no completions', [], { current: 0, longest: 0 }],
+    ['active today', ['2026-10-17', '2026-10-18', '2026-10-19'], { current: 3, longest: 3 }],
+    ['nothing yet today but active yesterday', ['2026-10-17', '2026-10-18'], { current: 2, longest: 2 }],
+    ['last active two days ago', ['2026-10-16', '2026-10-17'], { current: 0, longest: 2 }],
+    ['gap breaks the run', ['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-13', '2026-10-18', '2026-10-19'], { current: 2, longest: 4 }],
+    ['across a month boundary', ['2026-09-29', '2026-09-30', '2026-10-01'], { current: 0, longest: 3 }],
+    ['across a year boundary', ['2025-12-31', '2026-01-01'], { current: 0, longest: 2 }],
+  ])('%s', (_, dateKeys, streaks) => {
+    expect(getStreaks(countsFor(...dateKeys), TODAY)).toEqual(streaks);
+  });
+
+  it('ignores days with a zero count', () => {
+    expect(getStreaks({ '2026-10-18': 0, '2026-10-19': 1 }, TODAY)).toEqual({ current: 1, longest: 1 });
+  });
+});
+
+describe('getAverageCompletionTime', () => {
+  it('averages creation-to-completion time over completed tasks', () => {
+    const tasks = [
+      { completed: true, createdAt: at(TODAY, 8), completedAt: at(TODAY, 10) },
+      { completed: true, createdAt: at(TODAY, 8), completedAt: at(TODAY, 12) },
+      { completed: false, createdAt: at(TODAY, 8), completedAt: null },
+    ];
+    expect(getAverageCompletionTime(tasks)).toBe(3 * HOUR);
+  });
+
+  it.each([
+    ['missing creation time (stored as 0)', { createdAt: 0 }],
+    ['pending server timestamp', { createdAt: null }],
+    ['completed before creation (clock skew)', { createdAt: at(TODAY, 13) }],
+    ['missing completion time', { completedAt: null }],
+  ])('skips tasks with a %s', (_, fields) => {
+    const tasks = [
+      { completed: true, createdAt: at(TODAY, 8), completedAt: at(TODAY, 10) },
+      { completed: true, createdAt: at(TODAY, 9), completedAt: at(TODAY, 12), ...fields },
+    ];
+    expect(getAverageCompletionTime(tasks)).toBe(2 * HOUR);
+  });
+
+  it('is null without completed tasks', () => {
+    expect(getAverageCompletionTime([{ completed: false, createdAt: at(TODAY) }])).toBeNull();
+  });
+});
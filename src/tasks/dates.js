@@ -0,0 +1,28 @@
+/**
+ * Local-date helpers for the 'YYYY-MM-DD' keys used by `scheduledDate`.
+ * All math uses local date getters to avoid time zone shifts.
+ */
+
+export const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+export const parseDateKey = (key) => {
+  if (!key || !DATE_KEY_PATTERN.test(key)) return null;
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+export const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+export const todayKey = () => toDateKey(new Date());
+
+// Weeks start on Sunday, matching the calendar header
+export const startOfWeek = (date) => addDays(date, -date.getDay());
@@ -0,0 +1,66 @@
+import { chunkForBatches } from '../storage/batches.js';
+
+/**
+ * Undo/redo history for task mutations. Each entry stores how the affected documents looked
+ * before the change, as { label, snapshot: [{ id, doc }] } where `doc` is null for a document
+ * that did not exist yet. Undoing writes the snapshot back and records the current state of the
+ * same documents as the redo entry (and vice versa), so restored tasks keep their original
+ * `createdAt` and `completedAt`.
+ */
+
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+const withoutId = (task) => {
+  const { id: _id, ...doc } = task;
+  return doc;
+};
+
+/**
+ * Current state of the documents `ids` in `tasks` (null for missing ones).
+ */
+export const snapshotTasks = (tasks, ids) => ids.map(id => {
+  const task = tasks.find(t => t.id === id);
+  return { id, doc: task ? withoutId(task) : null };
+});
+
+/**
+ * Adds an entry for a new change; anything that could be redone is dropped.
+ */
+export const recordChange = (history, label, snapshot) => ({
+  past: [...history.past, { label, snapshot }].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+const step = (history, from, to, tasks) => {
+  const entry = history[from][history[from].length - 1];
+  if (!entry) return null;
+  const inverse = { label: entry.label, snapshot: snapshotTasks(tasks, entry.snapshot.map(s => s.id)) };
+  return {
+    entry,
+    commit: (current) => ({
+      ...current,
+      [from]: current[from].filter(e => e !== entry),
+      [to]: [...current[to], inverse].slice(-HISTORY_LIMIT),
+    }),
+  };
+};
+
+/**
+ * The entry to apply for an undo, or null when there is nothing to undo. `commit(history)` moves
+ * it to the redo side; call it only once the snapshot is written, so a failed undo stays undoable.
+ */
+export const undoStep = (history, tasks) => step(history, 'past', 'future', tasks);
+
+export const redoStep = (history, tasks) => step(history, 'future', 'past', tasks);
+
+/**
+ * Writes a snapshot back to the repository: existing documents are overwritten, absent ones
+ * removed. Large snapshots (a big import or restore) take several batches, so a failure can
+ * leave part of one written; applying the same snapshot again finishes it.
+ */
+export const applySnapshot = async (repository, snapshot) => {
+  const ops = snapshot.map(({ id, doc }) => (doc ? { type: 'put', id, data: doc } : { type: 'remove', id }));
+  for (const chunk of chunkForBatches(ops)) await repository.writeBatch(chunk);
+};
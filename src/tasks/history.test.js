@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_HISTORY, snapshotTasks, recordChange, undoStep, redoStep, applySnapshot } from './history.js';
+import { createLocalRepository } from '../storage/localRepository.js';
+import { MAX_BATCH_WRITES } from '../storage/batches.js';
+
+const createRepository = () => createLocalRepository({ name: 'tasks', persistence: null });
+
+const read = (repository) => new Promise(resolve => repository.subscribe(resolve));
+
+describe('undoStep / redoStep', () => {
+  const before = [{ id: 'a', title: 'Old' }];
+  const after = [{ id: 'a', title: 'New' }];
+  const history = recordChange(EMPTY_HISTORY, 'Task updated', snapshotTasks(before, ['a']));
+
+  it('returns the entry to apply and moves it once committed', () => {
+    const undo = undoStep(history, after);
+    expect(undo.entry.snapshot).toEqual([{ id: 'a', doc: { title: 'Old' } }]);
+
+    const undone = undo.commit(history);
+    expect(undone.past).toEqual([]);
+    expect(undone.future).toEqual([{ label: 'Task updated', snapshot: [{ id: 'a', doc: { title: 'New' } }] }]);
+
+    const redo = redoStep(undone, before);
+    expect(redo.entry.snapshot).toEqual([{ id: 'a', doc: { title: 'New' } }]);
+    expect(redo.commit(undone).past).toEqual(history.past);
+  });
+
+  it('leaves the history alone until committed, so a failed undo can be retried', () => {
+    undoStep(history, after);
+    expect(undoStep(history, after).entry).toBe(history.past[0]);
+  });
+
+  it('keeps changes recorded while the step was being written', () => {
+    const undo = undoStep(history, after);
+    const meanwhile = recordChange(history, 'Task added', [{ id: 'b', doc: null }]);
+    expect(undo.commit(meanwhile).past.map(e => e.label)).toEqual(['Task added']);
+  });
+
+  it('is null when there is nothing to step to', () => {
+    expect(undoStep(EMPTY_HISTORY, [])).toBeNull();
+    expect(redoStep(history, after)).toBeNull();
+  });
+});
+
+describe('applySnapshot', () => {
+  it('puts recorded documents back and removes ones that did not exist', async () => {
+    const repository = createRepository();
+    await repository.put('a', { title: 'Edited' });
+    await repository.put('b', { title: 'Added' });
+
+    await applySnapshot(repository, [{ id: 'a', doc: { title: 'Original' } }, { id: 'b', doc: null }]);
+    expect(await read(repository)).toEqual([{ id: 'a', title: 'Original' }]);
+  });
+
+  it('writes snapshots larger than one batch', async () => {
+    const repository = createRepository();
+    const ids = Array.from({ length: MAX_BATCH_WRITES + 100 }, (_, i) => `t${i}`);
+    for (const chunk of [ids.slice(0, MAX_BATCH_WRITES), ids.slice(MAX_BATCH_WRITES)]) {
+      await repository.writeBatch(chunk.map(id => ({ type: 'put', id, data: { title: id } })));
+    }
+
+    // Undoing a large import removes every imported task
+    await applySnapshot(repository, ids.map(id => ({ id, doc: null })));
+    expect(await read(repository)).toEqual([]);
+  });
+});
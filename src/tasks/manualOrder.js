@@ -0,0 +1,89 @@
+/**
+ * Manual task order ("Manual" sort). Tasks are listed by comparing order keys as plain
+ * strings. A task that was never arranged has no stored key and uses one derived from its
+ * scheduled date and creation time, so unarranged tasks keep a stable date order. Moving a
+ * task stores a fresh key between its new neighbours' keys (fractional indexing), so a move
+ * only ever rewrites the moved task.
+ *
+ * Keys use base-36 digits and never end in '0', so there is always room for another
+ * key between any two.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const ORDER_KEY_PATTERN = /^[0-9a-z]*[1-9a-z]$/;
+
+// Unscheduled tasks come after every dated one, as in the 'date' sort
+const NO_DATE = '99991231';
+const CREATED_AT_WIDTH = 9; // base-36 digits of an epoch ms timestamp, until the year 5188
+
+// Key strictly between `a` and `b` ('' = start, null = end); assumes a < b
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Keep the shared prefix and split the remainder
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * Order key between `before` and `after` (either may be null for "first" / "last").
+ * Neighbours with equal keys (two devices moving tasks at once) fall back to after `before`.
+ */
+export const orderKeyBetween = (before, after) => {
+  const a = before || '';
+  const b = after && after > a ? after : null;
+  return midpoint(a, b);
+};
+
+export const hasOrderKey = (task) => typeof task.order === 'string' && ORDER_KEY_PATTERN.test(task.order);
+
+/**
+ * The task's stored key, or the one derived from its date and creation time:
+ * 'YYYYMMDD' + creation time in base 36 + 'i' (so it never ends in '0').
+ */
+export const getOrderKey = (task) => {
+  if (hasOrderKey(task)) return task.order;
+  const date = task.scheduledDate ? task.scheduledDate.replace(/-/g, '') : NO_DATE;
+  const createdAt = typeof task.createdAt === 'number' && task.createdAt > 0 ? task.createdAt : 0;
+  return `${date}${createdAt.toString(36).padStart(CREATED_AT_WIDTH, '0')}i`;
+};
+
+/**
+ * Comparator for the manual order; the id breaks ties so every device agrees.
+ */
+export const compareManualOrder = (a, b) => {
+  const keyA = getOrderKey(a);
+  const keyB = getOrderKey(b);
+  if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+/**
+ * New order key for moving `taskId` to `toIndex` within `tasks` (listed in manual order),
+ * or null when the task isn't in the list.
+ */
+export const planTaskMove = (tasks, taskId, toIndex) => {
+  if (!tasks.some(t => t.id === taskId)) return null;
+  const list = tasks.filter(t => t.id !== taskId);
+  const index = Math.min(Math.max(toIndex, 0), list.length);
+  const before = list[index - 1];
+  const after = list[index];
+  return orderKeyBetween(before ? getOrderKey(before) : null, after ? getOrderKey(after) : null);
+};
+
+/**
+ * `count` ascending keys that place new tasks, in order, after every task in `tasks`.
+ */
+export const appendOrderKeys = (tasks, count) => {
+  let last = tasks.reduce((max, task) => {
+    const key = getOrderKey(task);
+    return max === null || key > max ? key : max;
+  }, null);
+  return Array.from({ length: count }, () => (last = orderKeyBetween(last, null)));
+};
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { orderKeyBetween, getOrderKey, compareManualOrder, planTaskMove, appendOrderKeys } from './manualOrder.js';
+import { sortTasks } from './sorting.js';
+
+const created = (day) => new Date(2026, 9, day, 9).getTime();
+
+// Never arranged: listed by date, then creation time; unscheduled last
+const TASKS = [
+  { id: 'c', scheduledDate: '2026-10-21', createdAt: created(1) },
+  { id: 'a', scheduledDate: '2026-10-19', createdAt: created(2) },
+  { id: 'none', scheduledDate: '', createdAt: created(1) },
+  { id: 'b', scheduledDate: '2026-10-19', createdAt: created(3) },
+  { id: 'd', scheduledDate: '2026-10-25', createdAt: 0 },
+];
+
+const ids = (tasks) => tasks.map(t => t.id);
+
+// Applies a move the way the app does: only the moved task gets a new key
+const move = (tasks, taskId, toIndex) => {
+  const order = planTaskMove(tasks, taskId, toIndex);
+  return sortTasks(tasks.map(t => (t.id === taskId ? { ...t, order } : t)), 'manual');
+};
+
+describe('orderKeyBetween', () => {
+  it('always finds a key strictly between its neighbours', () => {
+    let low = 'a';
+    let high = 'b';
+    for (let i = 0; i < 60; i++) {
+      const key = orderKeyBetween(low, high);
+      expect(key > low && key < high).toBe(true);
+      expect(key.endsWith('0')).toBe(false);
+      if (i % 2) low = key;
+      else high = key;
+    }
+  });
+
+  it('handles open ends and equal neighbours', () => {
+    expect(orderKeyBetween(null, null)).toBe('i');
+    expect(orderKeyBetween('i', null) > 'i').toBe(true);
+    expect(orderKeyBetween(null, 'i') < 'i').toBe(true);
+    expect(orderKeyBetween('m', 'm') > 'm').toBe(true);
+  });
+});
+
+describe('manual sort', () => {
+  it('keeps never-arranged tasks in date order', () => {
+    expect(ids(sortTasks(TASKS, 'manual'))).toEqual(['a', 'b', 'c', 'd', 'none']);
+  });
+
+  it('derives valid keys for tasks without one', () => {
+    const key = getOrderKey(TASKS[0]);
+    expect(key.startsWith('20261021')).toBe(true);
+    expect(getOrderKey({ scheduledDate: '', createdAt: null }).startsWith('99991231')).toBe(true);
+    expect(getOrderKey({ order: 'BAD', scheduledDate: '2026-10-19' }).startsWith('20261019')).toBe(true);
+  });
+
+  it('breaks ties by id', () => {
+    const twins = [{ id: 'y', order: 'k' }, { id: 'x', order: 'k' }];
+    expect(ids(twins.slice().sort(compareManualOrder))).toEqual(['x', 'y']);
+  });
+});
+
+describe('planTaskMove', () => {
+  const sorted = sortTasks(TASKS, 'manual');
+
+  it.each([
+    ['none', 0, ['none', 'a', 'b', 'c', 'd']],
+    ['a', 2, ['b', 'c', 'a', 'd', 'none']],
+    ['c', 4, ['a', 'b', 'd', 'none', 'c']],
+    ['d', 1, ['a', 'd', 'b', 'c', 'none']],
+  ])('moves %s to %i by rewriting only that task', (taskId, toIndex, expected) => {
+    expect(ids(move(sorted, taskId, toIndex))).toEqual(expected);
+  });
+
+  it('keeps earlier moves when moving again', () => {
+    let list = move(sorted, 'none', 0);
+    list = move(list, 'c', 1);
+    list = move(list, 'a', 1);
+    expect(ids(list)).toEqual(['none', 'a', 'c', 'b', 'd']);
+  });
+
+  it('is null for a task that is not listed', () => {
+    expect(planTaskMove(sorted, 'missing', 0)).toBeNull();
+  });
+});
+
+describe('appendOrderKeys', () => {
+  it('places new tasks after every existing one, in order', () => {
+    const keys = appendOrderKeys(TASKS, 3);
+    const added = keys.map((order, i) => ({ id: `new${i}`, order }));
+    expect(ids(sortTasks([...added.slice().reverse(), ...TASKS], 'manual'))).toEqual(['a', 'b', 'c', 'd', 'none', 'new0', 'new1', 'new2']);
+  });
+});
@@ -0,0 +1,83 @@
+import { toDateKey, parseDateKey, addDays } from './dates.js';
+
+/**
+ * Planning context for AI task generation: today's date, an optional deadline and how busy
+ * each day already is, so the model can spread new work over lighter days. Returned dates are
+ * then checked against the same window.
+ */
+
+// Days of workload shown to the model when the user sets no deadline
+export const DEFAULT_PLANNING_DAYS = 14;
+const MAX_LISTED_DAYS = 31;
+
+const getWindowEnd = (todayKey, deadline) =>
+  deadline && deadline >= todayKey ? deadline : toDateKey(addDays(parseDateKey(todayKey), DEFAULT_PLANNING_DAYS - 1));
+
+/**
+ * Pending tasks per day from today to the deadline (or the default window):
+ * [{ dateKey, count, estimate }], one entry per day, including empty ones.
+ */
+export const summarizeWorkload = (tasks, todayKey, deadline = '') => {
+  const endKey = getWindowEnd(todayKey, deadline);
+  const byDay = {};
+  tasks.forEach(task => {
+    if (task.completed || !task.scheduledDate || task.scheduledDate < todayKey || task.scheduledDate > endKey) return;
+    const day = byDay[task.scheduledDate] || (byDay[task.scheduledDate] = { count: 0, estimate: 0 });
+    day.count++;
+    day.estimate += task.estimate || 0;
+  });
+
+  const days = [];
+  for (let date = parseDateKey(todayKey); toDateKey(date) <= endKey; date = addDays(date, 1)) {
+    const dateKey = toDateKey(date);
+    days.push({ dateKey, count: byDay[dateKey]?.count || 0, estimate: byDay[dateKey]?.estimate || 0 });
+  }
+  return days;
+};
+
+/**
+ * Text block prepended to the user's goal.
+ */
+export const describePlanningContext = ({ todayKey, deadline, workload }) => {
+  // Long windows only list busy days to keep the prompt short
+  const listedDays = workload.length > MAX_LISTED_DAYS ? workload.filter(day => day.count > 0) : workload;
+  const weekday = parseDateKey(todayKey).toLocaleDateString('en-US', { weekday: 'long' });
+  const lines = [
+    `Today is ${weekday}, ${todayKey}.`,
+    deadline
+      ? `Deadline: ${deadline}. Schedule every task between ${todayKey} and ${deadline}.`
+      : 'There is no deadline. Only schedule tasks on or after today.',
+    'Tasks already scheduled per day (pending tasks, pomodoro estimate):',
+    ...listedDays.map(day => `${day.dateKey}: ${day.count} task${day.count === 1 ? '' : 's'}${day.estimate ? `, ${day.estimate} pomodoros` : ''}`),
+    ...(listedDays.length < workload.length ? ['Days not listed have nothing scheduled.'] : []),
+    'Prefer the lighter days when choosing dates.',
+  ];
+  return lines.join('\n');
+};
+
+/**
+ * Checks each draft's `scheduledDate` against [today, deadline]. Dates outside are moved to the
+ * least busy day of the window (counting drafts already placed) and flagged with
+ * `dateFlag: { original, reason: 'past' | 'after-deadline' }`.
+ */
+export const correctDraftDates = (drafts, { todayKey, deadline, workload }) => {
+  const load = Object.fromEntries(workload.map(day => [day.dateKey, day.count]));
+  drafts.forEach(draft => {
+    if (draft.scheduledDate in load) load[draft.scheduledDate]++;
+  });
+
+  const lightestDay = () => workload.reduce((best, day) => (load[day.dateKey] < load[best] ? day.dateKey : best), workload[0].dateKey);
+
+  return drafts.map(draft => {
+    const date = draft.scheduledDate;
+    const reason = !date ? null
+      : date < todayKey ? 'past'
+      : deadline && date > deadline ? 'after-deadline'
+      : null;
+    if (!reason) return draft;
+
+    const corrected = lightestDay();
+    load[corrected]++;
+    return { ...draft, scheduledDate: corrected, dateFlag: { original: date, reason } };
+  });
+};
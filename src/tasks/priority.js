@@ -0,0 +1,28 @@
+/**
+ * Priority levels stored on a task as `priority` (missing means 'none').
+ * `rank` drives sorting: lower ranks come first.
+ */
+export const PRIORITY_LEVELS = [
+  { id: 'high', label: 'High', rank: 0, className: 'bg-red-100 text-red-700' },
+  { id: 'medium', label: 'Medium', rank: 1, className: 'bg-amber-100 text-amber-700' },
+  { id: 'low', label: 'Low', rank: 2, className: 'bg-blue-100 text-blue-700' },
+  { id: 'none', label: 'None', rank: 3, className: 'bg-gray-100 text-gray-500' },
+];
+
+export const getPriority = (id) =>
+  PRIORITY_LEVELS.find(level => level.id === id) || PRIORITY_LEVELS[PRIORITY_LEVELS.length - 1];
+
+export const normalizePriority = (id) => getPriority(id).id;
+
+/**
+ * Due time as 'HH:MM' (24h), or '' when the task has no time.
+ */
+export const normalizeDueTime = (value) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(value || '') ? value : '');
+
+/**
+ * Effort estimate in pomodoros (whole number, 0 = not estimated).
+ */
+export const normalizeEstimate = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) || n < 0 ? 0 : Math.min(n, 99);
+};
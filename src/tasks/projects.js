@@ -0,0 +1,61 @@
+/**
+ * Projects live in the user's `projects` collection as { name, color, createdAt };
+ * a task points at one through `projectId` and carries free-form `tags` (lowercase strings).
+ */
+
+export const PROJECT_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#6b7280'];
+
+// Longest project name derived from an AI goal prompt
+const MAX_PROJECT_NAME_LENGTH = 40;
+
+/**
+ * Accepts a comma/space separated string or an array; returns unique lowercase tags without '#'.
+ */
+export const normalizeTags = (input) => {
+  const parts = Array.isArray(input) ? input : String(input || '').split(/[,\s]+/);
+  const tags = parts
+    .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+/**
+ * All tags used by the given tasks, sorted alphabetically.
+ */
+export const collectTags = (tasks) => [...new Set(tasks.flatMap(t => t.tags || []))].sort();
+
+/**
+ * Filters: { type: 'all' } | { type: 'project', id } | { type: 'tag', tag }
+ */
+export const ALL_TASKS_FILTER = { type: 'all' };
+
+export const matchesFilter = (task, filter) => {
+  switch (filter?.type) {
+    case 'project': return task.projectId === filter.id;
+    case 'tag': return (task.tags || []).includes(filter.tag);
+    default: return true;
+  }
+};
+
+export const describeFilter = (filter, projectsById) => {
+  switch (filter?.type) {
+    case 'project': return projectsById[filter.id]?.name || 'Unknown project';
+    case 'tag': return `#${filter.tag}`;
+    default: return '';
+  }
+};
+
+/**
+ * Project name for an AI-generated batch, derived from the goal prompt.
+ */
+export const projectNameFromPrompt = (prompt) => {
+  const name = prompt.trim().replace(/\s+/g, ' ');
+  return name.length > MAX_PROJECT_NAME_LENGTH
+    ? `${name.slice(0, MAX_PROJECT_NAME_LENGTH - 1).trimEnd()}…`
+    : name;
+};
+
+export const findProjectByName = (projects, name) =>
+  projects.find(p => p.name.trim().toLowerCase() === name.trim().toLowerCase()) || null;
+
+export const nextProjectColor = (projects) => PROJECT_COLORS[projects.length % PROJECT_COLORS.length];
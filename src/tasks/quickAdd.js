@@ -0,0 +1,285 @@
+import { toDateKey, parseDateKey, addDays, daysInMonth } from './dates.js';
+import { normalizeRecurrence, createDefaultRecurrence, getNextOccurrence, describeRecurrence } from './recurrence.js';
+import { getPriority } from './priority.js';
+
+/**
+ * Quick-add language: a task title with inline details, e.g.
+ *   send invoice next friday 3pm #finance !high every month
+ *
+ *   dates        today | tomorrow | friday (today or later) | next friday (after today)
+ *                on fri | in 3 days | in 2 weeks | in 1 month | next week | next month
+ *                2026-11-01 | nov 1 | 1 nov | november 1st      (past month/day dates roll to next year)
+ *   times        3pm | 3:30pm | 15:00 | at 9 | noon | midnight
+ *   tags         #finance
+ *   priority     !high | !medium | !low | !1 | !2 | !3
+ *   recurrence   every day | every weekday | every monday and thursday | every mon, wed
+ *                every week | every month | every 15th | every first monday | every last friday
+ *                every 3 days (counted from completion)
+ *
+ * Weekday abbreviations only count after "on", "next" or "every", so "sun cream" stays a title.
+ * Everything else is title text; "double quotes" keep words literal ("next friday").
+ * Parsing is local and deterministic for a given `today`.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = {
+  sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, weds: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6,
+};
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const NTH_WORDS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+const PRIORITY_ALIASES = { high: 'high', medium: 'medium', med: 'medium', low: 'low', 1: 'high', 2: 'medium', 3: 'low' };
+
+const weekdayIndex = (word, { allowAbbreviation = true } = {}) => {
+  if (!word) return -1;
+  if (WEEKDAYS.includes(word)) return WEEKDAYS.indexOf(word);
+  return allowAbbreviation && Object.hasOwn(WEEKDAY_ABBREVIATIONS, word) ? WEEKDAY_ABBREVIATIONS[word] : -1;
+};
+
+const monthIndex = (word) => {
+  if (!word) return -1;
+  if (MONTHS.includes(word)) return MONTHS.indexOf(word);
+  if (word === 'sept') return 8;
+  return word.length === 3 ? MONTHS.findIndex(month => month.startsWith(word)) : -1;
+};
+
+const parseOrdinalDay = (word) => {
+  const match = word.match(/^(\d{1,2})(st|nd|rd|th)?$/);
+  const day = match ? parseInt(match[1], 10) : 0;
+  return day >= 1 && day <= 31 ? day : null;
+};
+
+// Same day of month `months` later, clamped to short months
+const addMonths = (date, months) => {
+  const year = date.getFullYear();
+  const month = date.getMonth() + months;
+  return new Date(year, month, Math.min(date.getDate(), daysInMonth(year, month)));
+};
+
+// First `weekday` on or after `today` (inclusive), or strictly after it
+const nextWeekday = (today, weekday, inclusive) => {
+  const offset = (weekday - today.getDay() + 7) % 7;
+  return addDays(today, offset === 0 && !inclusive ? 7 : offset);
+};
+
+// "3pm", "3:30pm", "3.30pm", "15:00"; a bare hour ("9") only counts after "at"
+const parseTime = (word, { allowBareHour = false } = {}) => {
+  if (word === 'noon') return '12:00';
+  if (word === 'midnight') return '00:00';
+  const match = word.match(/^(\d{1,2})(?:[:.](\d{2}))?(am|pm|a|p)?$/);
+  if (!match || (!match[3] && match[2] === undefined && !allowBareHour)) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3].startsWith('p') ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/*
+ * Matchers look at the (lowercased) words starting at `i` and return
+ * { length, kind, value } when they recognise something, or null.
+ */
+
+const matchDate = (words, i, today) => {
+  const [first, second = '', third = ''] = words.slice(i, i + 3);
+  const dated = (length, date) => ({ length, kind: 'date', value: toDateKey(date) });
+
+  if (first === 'on' && weekdayIndex(second) !== -1) return dated(2, nextWeekday(today, weekdayIndex(second), true));
+  if (first === 'on') {
+    // A trailing "on" (still typing "call mom on ...") is just a word
+    if (!second) return null;
+    const inner = matchDate(words, i + 1, today);
+    return inner && { ...inner, length: inner.length + 1 };
+  }
+  if (first === 'today' || first === 'tonight') return dated(1, today);
+  if (first === 'tomorrow' || first === 'tmr' || first === 'tmrw') return dated(1, addDays(today, 1));
+  if (first === 'next' && second === 'week') return dated(2, addDays(today, 7));
+  if (first === 'next' && second === 'month') return dated(2, addMonths(today, 1));
+  if (first === 'next' && weekdayIndex(second) !== -1) return dated(2, nextWeekday(today, weekdayIndex(second), false));
+  if (weekdayIndex(first, { allowAbbreviation: false }) !== -1) return dated(1, nextWeekday(today, weekdayIndex(first), true));
+
+  if (first === 'in' && /^(a|an|\d{1,3})$/.test(second)) {
+    const amount = /^\d/.test(second) ? parseInt(second, 10) : 1;
+    if (amount > 0 && /^days?$/.test(third)) return dated(3, addDays(today, amount));
+    if (amount > 0 && /^weeks?$/.test(third)) return dated(3, addDays(today, amount * 7));
+    if (amount > 0 && /^months?$/.test(third)) return dated(3, addMonths(today, amount));
+    return null;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(first)) {
+    // Rejects rollovers such as 2026-02-31
+    const date = parseDateKey(first);
+    return toDateKey(date) === first ? dated(1, date) : null;
+  }
+
+  // "nov 1", "november 1st" or "1 nov"
+  let month = monthIndex(first);
+  let day = month !== -1 ? parseOrdinalDay(second) : null;
+  if (day === null) {
+    month = monthIndex(second);
+    day = month !== -1 ? parseOrdinalDay(first) : null;
+  }
+  if (day === null) return null;
+
+  const year = today.getFullYear();
+  const thisYear = day <= daysInMonth(year, month) ? new Date(year, month, day) : null;
+  if (thisYear && thisYear >= today) return dated(2, thisYear);
+  return day <= daysInMonth(year + 1, month) ? dated(2, new Date(year + 1, month, day)) : null;
+};
+
+const matchTime = (words, i) => {
+  const [first, second = ''] = words.slice(i, i + 2);
+  if (first === 'at') {
+    const time = parseTime(second, { allowBareHour: true });
+    return time && { length: 2, kind: 'time', value: time };
+  }
+  const time = parseTime(first);
+  return time && { length: 1, kind: 'time', value: time };
+};
+
+// "monday and thursday", "mon, wed, fri" or "mon,wed" starting at `start`
+const readWeekdayList = (words, start) => {
+  const days = [];
+  let j = start;
+  while (j < words.length) {
+    const names = words[j].split(',').filter(Boolean);
+    if (names.length === 0 || names.some(name => weekdayIndex(name) === -1)) break;
+    days.push(...names.map(name => weekdayIndex(name)));
+    j++;
+    if (words[j] === 'and' && weekdayIndex((words[j + 1] || '').split(',')[0]) !== -1) j++;
+  }
+  return { days, length: j - start };
+};
+
+const matchRecurrence = (words, i) => {
+  const [first, second = '', third = ''] = words.slice(i, i + 3);
+  const recurring = (length, rule) => ({ length, kind: 'recurrence', value: rule });
+
+  // Only "every ..." forms: bare "weekly" or "daily" are too common in titles ("weekly review")
+  if (first !== 'every') return null;
+
+  if (second === 'day') return recurring(2, { type: 'daily' });
+  if (second === 'weekday') return recurring(2, { type: 'weekdays' });
+  if (second === 'week') return recurring(2, { type: 'weekly' });
+  if (second === 'month') return recurring(2, { type: 'monthly-date' });
+  if (/^\d{1,3}$/.test(second) && /^days?$/.test(third)) {
+    return recurring(3, { type: 'after-completion', interval: parseInt(second, 10) });
+  }
+  if (Object.hasOwn(NTH_WORDS, second) && weekdayIndex(third) !== -1) {
+    return recurring(3, { type: 'monthly-nth', nth: NTH_WORDS[second], weekday: weekdayIndex(third) });
+  }
+  if (/^\d{1,2}(st|nd|rd|th)$/.test(second) && parseOrdinalDay(second) !== null) {
+    return recurring(2, { type: 'monthly-date', dayOfMonth: parseOrdinalDay(second) });
+  }
+
+  const { days, length } = readWeekdayList(words, i + 1);
+  return days.length > 0 ? recurring(1 + length, { type: 'weekly', days }) : null;
+};
+
+const matchTag = (words, i) => {
+  const match = words[i].match(/^#([\p{L}\p{N}_-]+)$/u);
+  return match && { length: 1, kind: 'tag', value: match[1] };
+};
+
+const matchPriority = (words, i) => {
+  const match = words[i].match(/^!(\w+)$/);
+  return match && Object.hasOwn(PRIORITY_ALIASES, match[1])
+    ? { length: 1, kind: 'priority', value: PRIORITY_ALIASES[match[1]] }
+    : null;
+};
+
+const MATCHERS = [matchRecurrence, matchDate, matchTime, matchTag, matchPriority];
+
+// Words with surrounding "double quoted" runs kept together as literal title text
+const tokenize = (input) => [...input.matchAll(/"([^"]*)"|(\S+)/g)].map(([raw, quoted, word]) => (
+  quoted !== undefined ? { raw, text: quoted, literal: true } : { raw, text: word, literal: false }
+));
+
+// Recurring rules without explicit days take them from the task's date, and an undated
+// recurring task is scheduled on its first occurrence from today
+const resolveRecurrence = (recurrence, scheduledDate, today) => {
+  const todayKey = toDateKey(today);
+  const needsAnchor = (recurrence.type === 'weekly' && !recurrence.days)
+    || (recurrence.type === 'monthly-date' && !recurrence.dayOfMonth);
+  const rule = normalizeRecurrence(needsAnchor ? createDefaultRecurrence(recurrence.type, scheduledDate || todayKey) : recurrence);
+
+  if (scheduledDate) return { rule, scheduledDate };
+  const firstOccurrence = rule.type === 'after-completion'
+    ? todayKey
+    : getNextOccurrence(rule, toDateKey(addDays(today, -1)));
+  return { rule, scheduledDate: firstOccurrence || todayKey };
+};
+
+const describePart = (kind, value) => {
+  switch (kind) {
+    case 'date': return parseDateKey(value).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    case 'tag': return `#${value}`;
+    case 'priority': return `${getPriority(value).label} priority`;
+    case 'recurrence': return describeRecurrence(value);
+    default: return value;
+  }
+};
+
+/**
+ * Parses quick-add text into task fields:
+ *   { title, scheduledDate, dueTime, tags, priority, recurrence, parts }
+ * `parts` lists what was recognised, in input order, as [{ kind, text, label }] for display as chips.
+ * When a detail appears twice the later one wins; unrecognised words stay in the title.
+ */
+export const parseQuickAdd = (input, today = new Date()) => {
+  const todayDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const tokens = tokenize(input || '');
+  // Literal tokens become '' so no matcher can recognise or reach across them;
+  // trailing punctuation is ignored ("friday," or "3pm.")
+  const words = tokens.map(token => (token.literal ? '' : token.text.toLowerCase().replace(/[.,;]+$/, '')));
+
+  const fields = { scheduledDate: '', dueTime: '', tags: [], priority: 'none', recurrence: null };
+  const titleWords = [];
+  const parts = [];
+
+  for (let i = 0; i < tokens.length;) {
+    const match = words[i] ? MATCHERS.reduce((found, matcher) => found || matcher(words, i, todayDate), null) : null;
+    if (!match) {
+      titleWords.push(tokens[i].text);
+      i++;
+      continue;
+    }
+
+    if (match.kind === 'tag') {
+      if (fields.tags.includes(match.value)) {
+        i += match.length;
+        continue;
+      }
+      fields.tags.push(match.value);
+    } else if (match.kind === 'date') {
+      fields.scheduledDate = match.value;
+    } else if (match.kind === 'time') {
+      fields.dueTime = match.value;
+    } else if (match.kind === 'priority') {
+      fields.priority = match.value;
+    } else {
+      fields.recurrence = match.value;
+    }
+    parts.push({ kind: match.kind, text: tokens.slice(i, i + match.length).map(t => t.raw).join(' '), value: match.value });
+    i += match.length;
+  }
+
+  if (fields.recurrence) {
+    const { rule, scheduledDate } = resolveRecurrence(fields.recurrence, fields.scheduledDate, todayDate);
+    fields.recurrence = rule;
+    fields.scheduledDate = scheduledDate;
+  }
+
+  return {
+    title: titleWords.join(' ').trim(),
+    ...fields,
+    parts: parts.map(({ kind, text, value }) => ({
+      kind,
+      text,
+      label: describePart(kind, kind === 'recurrence' ? fields.recurrence : value),
+    })),
+  };
+};
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd } from './quickAdd.js';
+
+// Monday 19 October 2026
+const TODAY = new Date(2026, 9, 19);
+
+describe('parseQuickAdd', () => {
+  describe('relative dates', () => {
+    it.each([
+      ['call mom today', 'call mom', '2026-10-19'],
+      ['call mom tonight', 'call mom', '2026-10-19'],
+      ['call mom tomorrow', 'call mom', '2026-10-20'],
+      ['call mom tmr', 'call mom', '2026-10-20'],
+      ['call mom friday', 'call mom', '2026-10-23'],
+      ['call mom monday', 'call mom', '2026-10-19'],
+      ['call mom next monday', 'call mom', '2026-10-26'],
+      ['call mom next friday', 'call mom', '2026-10-23'],
+      ['call mom on fri', 'call mom', '2026-10-23'],
+      ['call mom on tomorrow', 'call mom', '2026-10-20'],
+      ['call mom in 3 days', 'call mom', '2026-10-22'],
+      ['call mom in 2 weeks', 'call mom', '2026-11-02'],
+      ['call mom in a month', 'call mom', '2026-11-19'],
+      ['call mom next week', 'call mom', '2026-10-26'],
+      ['call mom next month', 'call mom', '2026-11-19'],
+      ['call mom 2026-11-01', 'call mom', '2026-11-01'],
+      ['call mom nov 1', 'call mom', '2026-11-01'],
+      ['call mom 1 nov', 'call mom', '2026-11-01'],
+      ['call mom november 1st', 'call mom', '2026-11-01'],
+      ['call mom oct 19', 'call mom', '2026-10-19'],
+    ])('%s', (input, title, scheduledDate) => {
+      expect(parseQuickAdd(input, TODAY)).toMatchObject({ title, scheduledDate });
+    });
+  });
+
+  describe('month and year rollover', () => {
+    it.each([
+      ['in 1 month', new Date(2026, 0, 31), '2026-02-28'],
+      ['next month', new Date(2026, 11, 15), '2027-01-15'],
+      ['in 3 days', new Date(2026, 11, 30), '2027-01-02'],
+      ['next week', new Date(2026, 11, 28), '2027-01-04'],
+      ['jan 5', TODAY, '2027-01-05'],
+      ['oct 18', TODAY, '2027-10-18'],
+      ['feb 29', new Date(2027, 2, 1), '2028-02-29'],
+    ])('%s from %s', (input, today, scheduledDate) => {
+      expect(parseQuickAdd(`pay rent ${input}`, today)).toMatchObject({ title: 'pay rent', scheduledDate });
+    });
+
+    it.each([
+      ['pay rent 2026-02-31'],
+      ['pay rent feb 30'],
+    ])('keeps impossible dates in the title: %s', (input) => {
+      expect(parseQuickAdd(input, TODAY)).toMatchObject({ title: input, scheduledDate: '' });
+    });
+  });
+
+  describe('trailing and incomplete keywords', () => {
+    it.each([
+      ['turn on'],
+      ['call mom on'],
+      ['meet in'],
+      ['meet in 3'],
+      ['plan next'],
+      ['gym every'],
+      ['lunch at'],
+      ['on'],
+      ['in'],
+    ])('%s stays a title', (input) => {
+      expect(parseQuickAdd(input, TODAY)).toMatchObject({ title: input, scheduledDate: '', dueTime: '', recurrence: null });
+    });
+
+    it('never throws on any prefix of the input', () => {
+      const inputs = ['call mom on friday 3pm #family', 'send invoice next friday at 5 !high every month', 'pay rent on "the 1st" every 1st'];
+      for (const input of inputs) {
+        for (let length = 0; length <= input.length; length++) {
+          expect(() => parseQuickAdd(input.slice(0, length), TODAY)).not.toThrow();
+        }
+      }
+    });
+  });
+
+  describe('quoted literals', () => {
+    it.each([
+      ['"next friday" party', 'next friday party', ''],
+      ['watch "tomorrow never dies" tomorrow', 'watch tomorrow never dies', '2026-10-20'],
+      ['pay rent on "friday"', 'pay rent on friday', ''],
+      ['"#not-a-tag" note', '#not-a-tag note', ''],
+    ])('%s', (input, title, scheduledDate) => {
+      expect(parseQuickAdd(input, TODAY)).toMatchObject({ title, scheduledDate, tags: [] });
+    });
+  });
+
+  describe('times', () => {
+    it.each([
+      ['standup at 5', '05:00'],
+      ['standup at 17:30', '17:30'],
+      ['standup 3pm', '15:00'],
+      ['standup 3:30pm', '15:30'],
+      ['standup 15:00', '15:00'],
+      ['standup 12am', '00:00'],
+      ['standup 12pm', '12:00'],
+      ['standup noon', '12:00'],
+      ['standup midnight', '00:00'],
+    ])('%s', (input, dueTime) => {
+      expect(parseQuickAdd(input, TODAY)).toMatchObject({ title: 'standup', dueTime });
+    });
+
+    it.each([
+      ['standup 9'],
+      ['standup 13pm'],
+      ['standup at 25'],
+    ])('%s is not a time', (input) => {
+      expect(parseQuickAdd(input, TODAY)).toMatchObject({ title: input, dueTime: '' });
+    });
+  });
+
+  describe('tags and priority', () => {
+    it('collects tags once and reads the priority', () => {
+      expect(parseQuickAdd('send invoice #finance #work #finance !high', TODAY)).toMatchObject({
+        title: 'send invoice',
+        tags: ['finance', 'work'],
+        priority: 'high',
+      });
+    });
+
+    it.each([
+      ['!1', 'high'],
+      ['!med', 'medium'],
+      ['!3', 'low'],
+      ['!urgent', 'none'],
+    ])('%s', (flag, priority) => {
+      expect(parseQuickAdd(`task ${flag}`, TODAY).priority).toBe(priority);
+    });
+  });
+
+  describe('recurrence anchoring', () => {
+    it.each([
+      ['gym every week', { type: 'weekly', days: [1] }, '2026-10-19'],
+      ['gym friday every week', { type: 'weekly', days: [5] }, '2026-10-23'],
+      ['gym every mon and thu', { type: 'weekly', days: [1, 4] }, '2026-10-19'],
+      ['gym every weekday', { type: 'weekdays' }, '2026-10-19'],
+      ['gym every day', { type: 'daily' }, '2026-10-19'],
+      ['gym every month', { type: 'monthly-date', dayOfMonth: 19 }, '2026-10-19'],
+      ['gym nov 5 every month', { type: 'monthly-date', dayOfMonth: 5 }, '2026-11-05'],
+      ['gym every 1st', { type: 'monthly-date', dayOfMonth: 1 }, '2026-11-01'],
+      ['gym every first monday', { type: 'monthly-nth', nth: 1, weekday: 1 }, '2026-11-02'],
+      ['gym every last friday', { type: 'monthly-nth', nth: -1, weekday: 5 }, '2026-10-30'],
+      ['gym every 3 days', { type: 'after-completion', interval: 3 }, '2026-10-19'],
+    ])('%s', (input, recurrence, scheduledDate) => {
+      expect(parseQuickAdd(input, TODAY)).toMatchObject({ title: 'gym', recurrence, scheduledDate });
+    });
+
+    it('leaves "weekly" and "daily" in the title', () => {
+      expect(parseQuickAdd('weekly review', TODAY)).toMatchObject({ title: 'weekly review', recurrence: null });
+    });
+  });
+
+  it('lists recognised parts in input order', () => {
+    const { parts } = parseQuickAdd('send invoice next friday 3pm #finance', TODAY);
+    expect(parts.map(part => [part.kind, part.text])).toEqual([
+      ['date', 'next friday'],
+      ['time', '3pm'],
+      ['tag', '#finance'],
+    ]);
+  });
+});
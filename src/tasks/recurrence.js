@@ -0,0 +1,150 @@
+import { toDateKey, parseDateKey, addDays, daysInMonth } from './dates.js';
+
+/**
+ * Recurrence rules stored on a task as `recurrence` (null for one-off tasks):
+ *   { type: 'daily' }
+ *   { type: 'weekdays' }                              Monday to Friday
+ *   { type: 'weekly', days: [1, 4] }                  0 = Sunday ... 6 = Saturday
+ *   { type: 'monthly-date', dayOfMonth: 1 }           clamped to short months
+ *   { type: 'monthly-nth', nth: 2, weekday: 2 }       nth: 1-4, or -1 for the last one
+ *   { type: 'after-completion', interval: 3 }         N days after the task is completed
+ */
+export const RECURRENCE_TYPES = [
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekdays', label: 'Every weekday' },
+  { id: 'weekly', label: 'Weekly on chosen days' },
+  { id: 'monthly-date', label: 'Monthly on a date' },
+  { id: 'monthly-nth', label: 'Monthly on the nth weekday' },
+  { id: 'after-completion', label: 'Every N days after completion' },
+];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const NTH_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', [-1]: 'last' };
+
+// Safety bound for the day-by-day search (covers any monthly rule)
+const MAX_SEARCH_DAYS = 400;
+
+const clampInt = (value, min, max, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+};
+
+/**
+ * Returns a cleaned-up rule, or null when the input is not a valid recurrence.
+ */
+export const normalizeRecurrence = (rule) => {
+  if (!rule || typeof rule !== 'object') return null;
+  switch (rule.type) {
+    case 'daily':
+    case 'weekdays':
+      return { type: rule.type };
+    case 'weekly': {
+      const days = Array.isArray(rule.days)
+        ? [...new Set(rule.days.map(Number).filter(d => d >= 0 && d <= 6))].sort((a, b) => a - b)
+        : [];
+      return days.length > 0 ? { type: 'weekly', days } : null;
+    }
+    case 'monthly-date':
+      return { type: 'monthly-date', dayOfMonth: clampInt(rule.dayOfMonth, 1, 31, 1) };
+    case 'monthly-nth':
+      return {
+        type: 'monthly-nth',
+        nth: Number(rule.nth) === -1 ? -1 : clampInt(rule.nth, 1, 4, 1),
+        weekday: clampInt(rule.weekday, 0, 6, 1),
+      };
+    case 'after-completion':
+      return { type: 'after-completion', interval: clampInt(rule.interval, 1, 365, 1) };
+    default:
+      return null;
+  }
+};
+
+const matchesRule = (rule, date) => {
+  const weekday = date.getDay();
+  const dayOfMonth = date.getDate();
+  const monthLength = daysInMonth(date.getFullYear(), date.getMonth());
+
+  switch (rule.type) {
+    case 'daily': return true;
+    case 'weekdays': return weekday >= 1 && weekday <= 5;
+    case 'weekly': return rule.days.includes(weekday);
+    case 'monthly-date': return dayOfMonth === Math.min(rule.dayOfMonth, monthLength);
+    case 'monthly-nth':
+      if (weekday !== rule.weekday) return false;
+      return rule.nth === -1
+        ? dayOfMonth + 7 > monthLength
+        : Math.ceil(dayOfMonth / 7) === rule.nth;
+    default: return false;
+  }
+};
+
+/**
+ * Builds a starting rule for the given type, anchored on the task's date
+ * (e.g. 'weekly' preselects the anchor's weekday).
+ */
+export const createDefaultRecurrence = (type, anchorKey) => {
+  const anchor = parseDateKey(anchorKey) || new Date();
+  switch (type) {
+    case 'weekly': return { type, days: [anchor.getDay()] };
+    case 'monthly-date': return { type, dayOfMonth: anchor.getDate() };
+    case 'monthly-nth': {
+      const week = Math.ceil(anchor.getDate() / 7);
+      return { type, nth: week > 4 ? -1 : week, weekday: anchor.getDay() };
+    }
+    case 'after-completion': return { type, interval: 1 };
+    default: return normalizeRecurrence({ type });
+  }
+};
+
+/**
+ * Date key of the next occurrence strictly after `fromKey`.
+ * For 'after-completion' rules the interval counts from `completedKey` (defaults to `fromKey`).
+ */
+export const getNextOccurrence = (rule, fromKey, completedKey = null) => {
+  const normalized = normalizeRecurrence(rule);
+  const from = parseDateKey(fromKey);
+  if (!normalized || !from) return null;
+
+  if (normalized.type === 'after-completion') {
+    const base = parseDateKey(completedKey) || from;
+    return toDateKey(addDays(base, normalized.interval));
+  }
+
+  for (let i = 1; i <= MAX_SEARCH_DAYS; i++) {
+    const candidate = addDays(from, i);
+    if (matchesRule(normalized, candidate)) return toDateKey(candidate);
+  }
+  return null;
+};
+
+/**
+ * Future occurrences after `anchorKey` that fall within [startKey, endKey].
+ * 'after-completion' rules are projected as if each occurrence is completed on time.
+ */
+export const getOccurrencesBetween = (rule, anchorKey, startKey, endKey, limit = 100) => {
+  const occurrences = [];
+  let current = anchorKey;
+  while (occurrences.length < limit) {
+    current = getNextOccurrence(rule, current);
+    if (!current || current > endKey) break;
+    if (current >= startKey) occurrences.push(current);
+  }
+  return occurrences;
+};
+
+/**
+ * Human-readable summary, e.g. "Weekly on Mon, Thu".
+ */
+export const describeRecurrence = (rule) => {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return '';
+  switch (normalized.type) {
+    case 'daily': return 'Daily';
+    case 'weekdays': return 'Every weekday';
+    case 'weekly': return `Weekly on ${normalized.days.map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+    case 'monthly-date': return `Monthly on day ${normalized.dayOfMonth}`;
+    case 'monthly-nth': return `Monthly on the ${NTH_NAMES[normalized.nth]} ${WEEKDAY_NAMES[normalized.weekday]}`;
+    case 'after-completion': return `${normalized.interval} day${normalized.interval === 1 ? '' : 's'} after completion`;
+    default: return '';
+  }
+};
@@ -0,0 +1,153 @@
+import { DATE_KEY_PATTERN, toDateKey, addDays, parseDateKey } from './dates.js';
+
+/**
+ * Search query language used by the TodoList search box and saved smart lists.
+ *
+ *   report "q3 sales"        free text (quoted phrases allowed), matched against titles and subtasks
+ *   is:pending | is:completed | is:overdue | is:recurring
+ *   due:today | due:tomorrow | due:yesterday | due:2026-11-01 | due:<2026-11-01 | due:>=today
+ *   tag:work   project:"side hustle"   priority:high
+ *   no:date | no:tag | no:project | no:priority | no:estimate      (has:... is the inverse)
+ *   -tag:work                                                        a leading '-' negates any term
+ *
+ * Unknown keys are treated as free text, so "note:foo" still finds a title containing it.
+ */
+
+const FILTER_KEYS = ['is', 'due', 'tag', 'project', 'priority', 'no', 'has'];
+const IS_VALUES = ['pending', 'completed', 'done', 'overdue', 'recurring'];
+const FIELD_VALUES = ['date', 'tag', 'tags', 'project', 'priority', 'estimate', 'time'];
+const RELATIVE_DATES = { yesterday: -1, today: 0, tomorrow: 1 };
+
+const TOKEN_PATTERN = /(-?)([a-z]+):("[^"]*"|\S+)|(-?)"([^"]*)"|(\S+)/gi;
+
+const unquote = (value) => value.replace(/^"(.*)"$/, '$1');
+
+const parseDueValue = (raw) => {
+  const match = raw.match(/^(<=|>=|<|>|=)?(.+)$/);
+  const op = match[1] || '=';
+  const value = match[2].toLowerCase();
+  if (value in RELATIVE_DATES || DATE_KEY_PATTERN.test(value)) {
+    return { op, value };
+  }
+  return null;
+};
+
+/**
+ * Parses a query string into { text: string[], filters: Filter[], errors: string[] }.
+ * Filter: { key, value, op?, negated }.
+ */
+export const parseQuery = (input) => {
+  const parsed = { text: [], filters: [], errors: [] };
+  if (!input || !input.trim()) return parsed;
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [token, keyNegation, rawKey, rawValue, phraseNegation, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) parsed.text.push({ value: phrase.toLowerCase(), negated: phraseNegation === '-' });
+      continue;
+    }
+    if (word !== undefined) {
+      const negated = word.length > 1 && word.startsWith('-');
+      parsed.text.push({ value: (negated ? word.slice(1) : word).toLowerCase(), negated });
+      continue;
+    }
+
+    const key = rawKey.toLowerCase();
+    const value = unquote(rawValue);
+    const negated = keyNegation === '-';
+
+    if (!FILTER_KEYS.includes(key)) {
+      parsed.text.push({ value: token.replace(/^-/, '').toLowerCase(), negated });
+      continue;
+    }
+
+    if (key === 'due') {
+      const due = parseDueValue(value);
+      if (due) parsed.filters.push({ key, ...due, negated });
+      else parsed.errors.push(`Invalid date in "${token}" (use YYYY-MM-DD, today, tomorrow or yesterday)`);
+    } else if (key === 'is') {
+      if (IS_VALUES.includes(value.toLowerCase())) parsed.filters.push({ key, value: value.toLowerCase(), negated });
+      else parsed.errors.push(`Unknown status "${value}" (use ${IS_VALUES.join(', ')})`);
+    } else if (key === 'no' || key === 'has') {
+      const field = value.toLowerCase();
+      if (FIELD_VALUES.includes(field)) {
+        // has:x is stored as a negated no:x
+        parsed.filters.push({ key: 'no', value: field, negated: key === 'has' ? !negated : negated });
+      } else {
+        parsed.errors.push(`Unknown field "${value}" (use ${FIELD_VALUES.join(', ')})`);
+      }
+    } else {
+      parsed.filters.push({ key, value: value.toLowerCase().replace(/^#/, ''), negated });
+    }
+  }
+  return parsed;
+};
+
+export const isEmptyQuery = (parsed) => parsed.text.length === 0 && parsed.filters.length === 0;
+
+const resolveDate = (value, today) =>
+  value in RELATIVE_DATES ? toDateKey(addDays(parseDateKey(today), RELATIVE_DATES[value])) : value;
+
+const compare = (left, op, right) => {
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return left === right;
+  }
+};
+
+const isFieldEmpty = (task, field, projectsById) => {
+  switch (field) {
+    case 'date': return !task.scheduledDate;
+    case 'time': return !task.dueTime;
+    case 'tag':
+    case 'tags': return !task.tags || task.tags.length === 0;
+    case 'project': return !task.projectId || !projectsById[task.projectId];
+    case 'priority': return !task.priority || task.priority === 'none';
+    case 'estimate': return !task.estimate;
+    default: return true;
+  }
+};
+
+const matchesFilter = (task, filter, { today, projectsById }) => {
+  switch (filter.key) {
+    case 'is':
+      switch (filter.value) {
+        case 'pending': return !task.completed;
+        case 'completed':
+        case 'done': return Boolean(task.completed);
+        case 'overdue': return !task.completed && Boolean(task.scheduledDate) && task.scheduledDate < today;
+        case 'recurring': return Boolean(task.recurrence);
+        default: return false;
+      }
+    case 'due':
+      // Tasks without a date never match a date comparison
+      return Boolean(task.scheduledDate) && compare(task.scheduledDate, filter.op, resolveDate(filter.value, today));
+    case 'tag': return (task.tags || []).includes(filter.value);
+    case 'project': {
+      const name = projectsById[task.projectId]?.name?.toLowerCase() || '';
+      return Boolean(name) && name.includes(filter.value);
+    }
+    case 'priority': return (task.priority || 'none') === filter.value;
+    case 'no': return isFieldEmpty(task, filter.value, projectsById);
+    default: return true;
+  }
+};
+
+const matchesText = (task, value) => {
+  const haystack = [task.title, ...(task.subtasks || []).map(s => s.title)].join('\n').toLowerCase();
+  return haystack.includes(value);
+};
+
+/**
+ * True when the task satisfies every term of the parsed query (terms are ANDed).
+ * `context.today` is a 'YYYY-MM-DD' key; `context.projectsById` resolves project names.
+ */
+export const matchesQuery = (task, parsed, { today, projectsById = {} }) => {
+  const context = { today, projectsById };
+  return parsed.text.every(term => matchesText(task, term.value) !== term.negated)
+    && parsed.filters.every(filter => matchesFilter(task, filter, context) !== filter.negated);
+};
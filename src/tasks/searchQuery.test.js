@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, matchesQuery, isEmptyQuery } from './searchQuery.js';
+
+const TODAY = '2026-10-19';
+const PROJECTS = { p1: { id: 'p1', name: 'Side Hustle' } };
+
+const task = (fields) => ({ title: 'Task', completed: false, scheduledDate: '', tags: [], subtasks: [], ...fields });
+
+const matches = (query, fields) => matchesQuery(task(fields), parseQuery(query), { today: TODAY, projectsById: PROJECTS });
+
+describe('parseQuery', () => {
+  it.each([
+    ['is:pending', { key: 'is', value: 'pending', negated: false }],
+    ['is:Completed', { key: 'is', value: 'completed', negated: false }],
+    ['-is:recurring', { key: 'is', value: 'recurring', negated: true }],
+    ['due:today', { key: 'due', op: '=', value: 'today', negated: false }],
+    ['due:<2026-11-01', { key: 'due', op: '<', value: '2026-11-01', negated: false }],
+    ['due:>=tomorrow', { key: 'due', op: '>=', value: 'tomorrow', negated: false }],
+    ['tag:Work', { key: 'tag', value: 'work', negated: false }],
+    ['tag:#work', { key: 'tag', value: 'work', negated: false }],
+    ['-tag:work', { key: 'tag', value: 'work', negated: true }],
+    ['project:"side hustle"', { key: 'project', value: 'side hustle', negated: false }],
+    ['priority:high', { key: 'priority', value: 'high', negated: false }],
+    ['no:date', { key: 'no', value: 'date', negated: false }],
+    ['has:date', { key: 'no', value: 'date', negated: true }],
+    ['-has:tag', { key: 'no', value: 'tag', negated: false }],
+  ])('%s', (query, filter) => {
+    expect(parseQuery(query)).toEqual({ text: [], filters: [filter], errors: [] });
+  });
+
+  it.each([
+    ['report', [{ value: 'report', negated: false }]],
+    ['Q3 report', [{ value: 'q3', negated: false }, { value: 'report', negated: false }]],
+    ['"q3 sales" -draft', [{ value: 'q3 sales', negated: false }, { value: 'draft', negated: true }]],
+    ['-"old notes"', [{ value: 'old notes', negated: true }]],
+    ['note:foo', [{ value: 'note:foo', negated: false }]],
+    ['-', [{ value: '-', negated: false }]],
+  ])('free text: %s', (query, text) => {
+    expect(parseQuery(query)).toEqual({ text, filters: [], errors: [] });
+  });
+
+  it.each([
+    ['is:someday', /Unknown status "someday"/],
+    ['due:soon', /Invalid date in "due:soon"/],
+    ['due:<', /Invalid date in "due:<"/],
+    ['no:colour', /Unknown field "colour"/],
+    ['has:whatever', /Unknown field "whatever"/],
+  ])('malformed %s is reported and dropped', (query, error) => {
+    const parsed = parseQuery(query);
+    expect(parsed.filters).toEqual([]);
+    expect(parsed.errors).toHaveLength(1);
+    expect(parsed.errors[0]).toMatch(error);
+  });
+
+  it('keeps valid terms next to malformed ones', () => {
+    const parsed = parseQuery('report is:someday tag:work');
+    expect(parsed.text).toEqual([{ value: 'report', negated: false }]);
+    expect(parsed.filters).toEqual([{ key: 'tag', value: 'work', negated: false }]);
+    expect(parsed.errors).toHaveLength(1);
+  });
+
+  it.each([[''], ['   '], [null]])('empty input %j', (query) => {
+    expect(isEmptyQuery(parseQuery(query))).toBe(true);
+  });
+});
+
+describe('matchesQuery', () => {
+  it.each([
+    ['is:pending', {}, true],
+    ['is:pending', { completed: true }, false],
+    ['is:done', { completed: true }, true],
+    ['is:overdue', { scheduledDate: '2026-10-18' }, true],
+    ['is:overdue', { scheduledDate: '2026-10-19' }, false],
+    ['is:overdue', { scheduledDate: '2026-10-18', completed: true }, false],
+    ['is:recurring', { recurrence: { type: 'daily' } }, true],
+    ['due:today', { scheduledDate: '2026-10-19' }, true],
+    ['due:tomorrow', { scheduledDate: '2026-10-20' }, true],
+    ['due:yesterday', { scheduledDate: '2026-10-18' }, true],
+    ['due:<2026-11-01', { scheduledDate: '2026-10-31' }, true],
+    ['due:<2026-11-01', { scheduledDate: '2026-11-01' }, false],
+    ['due:<=2026-11-01', { scheduledDate: '2026-11-01' }, true],
+    ['due:>today', { scheduledDate: '2026-10-20' }, true],
+    ['due:<today', {}, false],
+    ['tag:work', { tags: ['work'] }, true],
+    ['tag:work', { tags: ['home'] }, false],
+    ['-tag:work', { tags: ['home'] }, true],
+    ['project:side', { projectId: 'p1' }, true],
+    ['project:side', { projectId: 'missing' }, false],
+    ['priority:high', { priority: 'high' }, true],
+    ['priority:none', {}, true],
+    ['no:date', {}, true],
+    ['no:date', { scheduledDate: '2026-10-19' }, false],
+    ['has:tag', { tags: ['work'] }, true],
+    ['no:project', { projectId: 'missing' }, true],
+    ['no:estimate', { estimate: 2 }, false],
+  ])('%s on %j', (query, fields, expected) => {
+    expect(matches(query, fields)).toBe(expected);
+  });
+
+  it('matches free text against titles and subtasks, case-insensitively', () => {
+    expect(matches('invoice', { title: 'Send Invoice' })).toBe(true);
+    expect(matches('stamps', { title: 'Post letter', subtasks: [{ title: 'Buy stamps' }] })).toBe(true);
+    expect(matches('-invoice', { title: 'Send invoice' })).toBe(false);
+    expect(matches('"send invoice"', { title: 'Send the invoice' })).toBe(false);
+  });
+
+  it('ANDs every term', () => {
+    const fields = { title: 'Q3 report', tags: ['work'], scheduledDate: '2026-10-19' };
+    expect(matches('report tag:work due:today', fields)).toBe(true);
+    expect(matches('report tag:work due:tomorrow', fields)).toBe(false);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Multi-select helpers for task lists. A selection is a Set of task ids; ranges follow
+ * the order the tasks are shown in (`orderedIds`).
+ */
+
+export const toggleSelected = (selected, id) => {
+  const next = new Set(selected);
+  if (next.has(id)) next.delete(id);
+  else next.add(id);
+  return next;
+};
+
+/**
+ * Shift-click: selects every task between `anchorId` and `id` (inclusive). Without a visible
+ * anchor it behaves like a plain toggle.
+ */
+export const selectRange = (selected, orderedIds, anchorId, id) => {
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(id);
+  if (from === -1 || to === -1) return toggleSelected(selected, id);
+
+  const next = new Set(selected);
+  orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(rangeId => next.add(rangeId));
+  return next;
+};
@@ -0,0 +1,46 @@
+import { getPriority } from './priority.js';
+import { compareManualOrder } from './manualOrder.js';
+
+// Unscheduled tasks sort after every real date
+const NO_DATE = '9999-12-31';
+const NO_TIME = '99:99';
+
+/**
+ * Sort orders offered by TodoList for pending tasks.
+ */
+export const SORT_ORDERS = [
+  { id: 'date', label: 'Scheduled date' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'due', label: 'Due date & time' },
+  { id: 'created', label: 'Recently created' },
+  { id: 'estimate', label: 'Estimate (smallest first)' },
+  { id: 'manual', label: 'Manual (drag to arrange)' },
+];
+
+const compareDue = (a, b) => {
+  const dueA = `${a.scheduledDate || NO_DATE} ${a.dueTime || NO_TIME}`;
+  const dueB = `${b.scheduledDate || NO_DATE} ${b.dueTime || NO_TIME}`;
+  return dueA < dueB ? -1 : dueA > dueB ? 1 : 0;
+};
+
+const compareDate = (a, b) => {
+  const dateA = a.scheduledDate || NO_DATE;
+  const dateB = b.scheduledDate || NO_DATE;
+  return dateA < dateB ? -1 : dateA > dateB ? 1 : 0;
+};
+
+const COMPARATORS = {
+  date: compareDate,
+  priority: (a, b) => getPriority(a.priority).rank - getPriority(b.priority).rank || compareDue(a, b),
+  due: compareDue,
+  created: (a, b) => b.createdAt - a.createdAt,
+  // Unestimated tasks (0) go last
+  estimate: (a, b) => (a.estimate || Infinity) - (b.estimate || Infinity) || compareDue(a, b),
+  // Arranged order; tasks never moved keep their scheduled-date order
+  manual: compareManualOrder,
+};
+
+/**
+ * Returns a new array sorted by the given order id (falls back to 'date').
+ */
+export const sortTasks = (tasks, order) => tasks.slice().sort(COMPARATORS[order] || COMPARATORS.date);
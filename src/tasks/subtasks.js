@@ -0,0 +1,31 @@
+import { generateId } from '../storage/localRepository.js';
+
+/**
+ * Creates a checklist item for a task's ordered `subtasks` array.
+ */
+export const createSubtask = (title) => ({ id: generateId(), title: title.trim(), completed: false });
+
+/**
+ * Cleans up subtasks coming from the modal, AI output or storage:
+ * drops blank titles and fills in missing ids/flags.
+ */
+export const normalizeSubtasks = (subtasks) => {
+  if (!Array.isArray(subtasks)) return [];
+  return subtasks
+    .filter(s => s && typeof s.title === 'string' && s.title.trim())
+    .map(s => ({ id: s.id || generateId(), title: s.title.trim(), completed: Boolean(s.completed) }));
+};
+
+export const toggleSubtask = (subtasks, subtaskId) =>
+  subtasks.map(s => s.id === subtaskId ? { ...s, completed: !s.completed } : s);
+
+/**
+ * Returns { done, total } for a progress indicator such as "3/5".
+ */
+export const getSubtaskProgress = (subtasks = []) => ({
+  done: subtasks.filter(s => s.completed).length,
+  total: subtasks.length,
+});
+
+export const areAllSubtasksDone = (subtasks = []) =>
+  subtasks.length > 0 && subtasks.every(s => s.completed);
@@ -0,0 +1,79 @@
+import { toDateKey, parseDateKey, addDays } from './dates.js';
+
+/**
+ * Material for the weekly review: the tasks completed in the last `days` days (by `completedAt`),
+ * the pending tasks whose date has passed, and the focus time logged in that period.
+ * `todayKey` is passed in to keep this pure.
+ */
+
+const MAX_SLIPPED = 30;
+
+export const REVIEW_DAYS = 7;
+
+export const collectWeekReview = (tasks, sessions, todayKey, { days = REVIEW_DAYS } = {}) => {
+  const startKey = toDateKey(addDays(parseDateKey(todayKey), 1 - days));
+  const inPeriod = (ms) => {
+    if (typeof ms !== 'number') return false;
+    const key = toDateKey(new Date(ms));
+    return key >= startKey && key <= todayKey;
+  };
+
+  const focusByTask = {};
+  let focusSeconds = 0;
+  let pomodoros = 0;
+  for (const session of sessions) {
+    if (session.type !== 'work' || !inPeriod(session.endedAt)) continue;
+    const seconds = Math.max(0, Math.round((session.endedAt - session.startedAt) / 1000));
+    focusSeconds += seconds;
+    pomodoros += 1;
+    if (session.taskId) focusByTask[session.taskId] = (focusByTask[session.taskId] || 0) + seconds;
+  }
+
+  return {
+    startKey,
+    endKey: todayKey,
+    completed: tasks
+      .filter(task => task.completed && inPeriod(task.completedAt))
+      .sort((a, b) => a.completedAt - b.completedAt),
+    slipped: tasks
+      .filter(task => !task.completed && task.scheduledDate && task.scheduledDate < todayKey)
+      .sort((a, b) => a.scheduledDate.localeCompare(b.scheduledDate))
+      .slice(-MAX_SLIPPED), // the most recent ones matter most for a weekly retro
+    focus: { seconds: focusSeconds, pomodoros, byTask: focusByTask },
+  };
+};
+
+const formatMinutes = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+};
+
+/**
+ * Prompt text for the review. Task lines look like
+ *   - [taskId] Title | completed: 2026-10-15 | focus: 50 min
+ */
+export const describeWeekReview = (week) => {
+  const line = (task, details) => `- [${task.id}] ${task.title}${details.length ? ` | ${details.join(' | ')}` : ''}`;
+  const focusDetail = (task) => week.focus.byTask[task.id] && `focus: ${formatMinutes(week.focus.byTask[task.id])}`;
+
+  return [
+    `Today is ${week.endKey}. Review period: ${week.startKey} to ${week.endKey}.`,
+    '',
+    'Completed tasks:',
+    ...(week.completed.length
+      ? week.completed.map(task => line(task, [`completed: ${toDateKey(new Date(task.completedAt))}`, focusDetail(task)].filter(Boolean)))
+      : ['(none)']),
+    '',
+    'Slipped tasks (date passed, still pending):',
+    ...(week.slipped.length
+      ? week.slipped.map(task => line(task, [
+        `was due: ${task.scheduledDate}`,
+        task.priority && task.priority !== 'none' && `priority: ${task.priority}`,
+        task.estimate > 0 && `estimate: ${task.estimate} pomodoros`,
+        focusDetail(task),
+      ].filter(Boolean)))
+      : ['(none)']),
+    '',
+    `Focus time: ${formatMinutes(week.focus.seconds)} over ${week.focus.pomodoros} pomodoro${week.focus.pomodoros === 1 ? '' : 's'}.`,
+  ].join('\n');
+};